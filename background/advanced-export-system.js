@@ -8,7 +8,14 @@ class AdvancedExportSystem {
     this.options = {
       enableCompression: options.enableCompression !== false,
       includeMetadata: options.includeMetadata !== false,
-      includeThumbnails: options.includeThumbnails !== false,
+      includeThumbnails: options.includeThumbnails === true, // Fetches every item's image, so opt-in
+      thumbnailSize: options.thumbnailSize || 96, // Longest side of Excel thumbnails, in pixels
+      maxThumbnails: options.maxThumbnails || 1000,
+      pdfColumns: options.pdfColumns || 4, // Contact sheet grid
+      pdfRows: options.pdfRows || 5,
+      pdfPageSize: options.pdfPageSize || 'a4', // 'a4' or 'letter'
+      pdfThumbnailSize: options.pdfThumbnailSize || 320,
+      volumeSize: options.volumeSize || 2 * 1024 * 1024 * 1024, // ZIP volumes with images split at this size
       maxFileSize: options.maxFileSize || 50 * 1024 * 1024, // 50MB
       tempStorage: options.tempStorage || 'memory', // 'memory' or 'indexeddb'
       ...options
@@ -23,6 +30,12 @@ class AdvancedExportSystem {
 
     this.tempData = new Map();
     this.exportHistory = [];
+    this.compiledTemplates = new WeakMap(); // columnTemplate -> compiled columns
+  }
+
+  // Key of the first line of an NDJSON session export
+  static get NDJSON_HEADER() {
+    return '_steptwoSession';
   }
 
   // Main export method supporting multiple formats
@@ -53,10 +66,18 @@ class AdvancedExportSystem {
           result = await this.exportToJSON(data, filename, exportOptions);
           break;
           
+        case 'ndjson':
+          result = await this.exportToNDJSON(data, filename, exportOptions);
+          break;
+          
         case 'html':
           result = await this.exportToHTML(data, filename, exportOptions);
           break;
           
+        case 'pdf':
+          result = await this.exportToPDF(data, filename, exportOptions);
+          break;
+          
         case 'xml':
           result = await this.exportToXML(data, filename, exportOptions);
           break;
@@ -65,6 +86,38 @@ class AdvancedExportSystem {
           result = await this.exportToZip(data, filename, exportOptions);
           break;
           
+        case 'gallery':
+          result = await this.exportToZipVolumes(data, filename, { ...exportOptions, gallery: true });
+          break;
+          
+        case 'gallery-page':
+          result = await this.exportGalleryPage(data, filename, exportOptions);
+          break;
+          
+        case 'warc':
+          result = await this.exportToWARC(data, filename, exportOptions);
+          break;
+          
+        case 'jsonld':
+          result = await this.exportToJSONLD(data, filename, exportOptions);
+          break;
+          
+        case 'iiif':
+          result = await this.exportToIIIF(data, filename, exportOptions);
+          break;
+          
+        case 'manifest-json':
+          result = await this.exportManifestToJSON(data, filename, exportOptions);
+          break;
+          
+        case 'manifest-csv':
+          result = await this.exportManifestToCSV(data, filename, exportOptions);
+          break;
+          
+        case 'sha256sum':
+          result = await this.exportManifestToSha256sum(data, filename, exportOptions);
+          break;
+          
         default:
           throw new Error(`Unsupported export format: ${format}`);
       }
@@ -89,6 +142,8 @@ class AdvancedExportSystem {
         filename: result.filename,
         size: result.size,
         mimeType: result.mimeType,
+        volumes: result.volumes,
+        failed: result.failed,
         exportTime: exportTime
       };
       
@@ -102,6 +157,59 @@ class AdvancedExportSystem {
     }
   }
 
+  // Checksum manifest exports - data.items are ChecksumManifest entries
+  async exportManifestToJSON(data, filename, options) {
+    const manifest = {
+      metadata: {
+        exportDate: new Date().toISOString(),
+        format: 'StepTwo Checksum Manifest',
+        algorithm: 'SHA-256',
+        entryCount: data.items.length,
+        hashedCount: data.items.filter(entry => entry.sha256).length
+      },
+      entries: data.items
+    };
+
+    const buffer = new TextEncoder().encode(JSON.stringify(manifest, null, options.prettify === false ? 0 : 2));
+    return {
+      data: buffer,
+      filename: this.ensureExtension(filename || 'checksum-manifest', 'json'),
+      size: buffer.byteLength,
+      mimeType: 'application/json'
+    };
+  }
+
+  async exportManifestToCSV(data, filename, _options) {
+    const columns = ['relativePath', 'path', 'url', 'referrer', 'timestamp', 'size', 'sha256', 'hashNote'];
+    const rows = [columns.join(',')];
+    for (const entry of data.items) {
+      rows.push(columns.map(column => this.escapeCSV(entry[column])).join(','));
+    }
+
+    const buffer = new TextEncoder().encode(rows.join('\n'));
+    return {
+      data: buffer,
+      filename: this.ensureExtension(filename || 'checksum-manifest', 'csv'),
+      size: buffer.byteLength,
+      mimeType: 'text/csv'
+    };
+  }
+
+  // "<hash>  <path>" lines for `sha256sum -c`, run from the downloads folder
+  async exportManifestToSha256sum(data, filename, _options) {
+    const lines = data.items
+      .filter(entry => entry.sha256)
+      .map(entry => `${entry.sha256}  ${entry.relativePath}`);
+
+    const buffer = new TextEncoder().encode(lines.length ? `${lines.join('\n')}\n` : '');
+    return {
+      data: buffer,
+      filename: this.ensureExtension(filename || 'checksum-manifest', 'sha256'),
+      size: buffer.byteLength,
+      mimeType: 'text/plain'
+    };
+  }
+
   // Excel export with multiple sheets and formatting
   async exportToExcel(data, filename, options) {
     try {
@@ -113,7 +221,8 @@ class AdvancedExportSystem {
       const workbook = XLSX.utils.book_new();
       
       // Main items sheet
-      const itemsSheet = this.createItemsSheet(data.items, options);
+      const thumbnails = options.includeThumbnails ? await this.createThumbnails(data.items, options) : [];
+      const itemsSheet = this.createItemsSheet(data.items, { ...options, includeThumbnails: thumbnails.length > 0 });
       XLSX.utils.book_append_sheet(workbook, itemsSheet, 'Items');
       
       // Summary sheet
@@ -139,12 +248,23 @@ class AdvancedExportSystem {
       }
       
       // Generate file
-      const excelBuffer = XLSX.write(workbook, {
+      let excelBuffer = XLSX.write(workbook, {
         bookType: 'xlsx',
         type: 'array',
         compression: options.enableCompression
       });
       
+      // Header styling, frozen header row and pictures need the package patched after SheetJS
+      if (typeof XlsxSheetDecorator !== 'undefined' && typeof JSZip !== 'undefined') {
+        excelBuffer = await XlsxSheetDecorator.decorate(excelBuffer, {
+          linkCells: itemsSheet['!linkCells'] || [],
+          images: thumbnails.map(thumbnail => ({ ...thumbnail, row: thumbnail.index + 1, col: 0 })),
+          compression: options.enableCompression
+        });
+      } else if (thumbnails.length > 0) {
+        console.warn('XlsxSheetDecorator or JSZip not loaded - exporting Excel without thumbnails');
+      }
+      
       const finalFilename = this.ensureExtension(filename || 'export', 'xlsx');
       
       return {
@@ -169,10 +289,10 @@ class AdvancedExportSystem {
       rows.push(headers.join(','));
       
       // Data rows
-      for (const item of data.items) {
-        const row = this.itemToCSVRow(item, headers, options);
+      data.items.forEach((item, index) => {
+        const row = this.itemToCSVRow(item, headers, options, index);
         rows.push(row.join(','));
-      }
+      });
       
       // Add summary information at the end if requested
       if (options.includeSummary && data.summary) {
@@ -253,6 +373,267 @@ class AdvancedExportSystem {
     }
   }
 
+  // Newline-delimited JSON: a session header line, then one item per line, written chunk by chunk.
+  // options.itemSource (a MemoryOptimizedProcessor) streams items from its IndexedDB spill store instead of
+  // data.items; with options.volumeStore the lines go straight to disk, so memory use stays flat
+  async exportToNDJSON(data, filename, options) {
+    let volumeName = null;
+    try {
+      const finalFilename = this.ensureExtension((filename || 'export').replace(/\.jsonl?$/i, ''), 'ndjson');
+      const chunks = [];
+      volumeName = options.volumeStore ? finalFilename : null;
+      const sink = options.volumeStore ? await options.volumeStore.createVolume(finalFilename) : {
+        write: async bytes => {chunks.push(bytes);},
+        close: async () => {}
+      };
+      const encoder = new TextEncoder();
+      const total = options.itemSource ? options.itemSource.totalItems : data.items.length;
+      let size = 0;
+      let count = 0;
+      
+      const writeLines = async (values) => {
+        if (values.length === 0) {return;}
+        const bytes = encoder.encode(`${values.map(value => JSON.stringify(value)).join('\n')}\n`);
+        await sink.write(bytes);
+        size += bytes.length;
+      };
+      
+      // The header is what importSession (and readNDJSONSession) recognise; plain NDJSON tools can skip line 1
+      await writeLines([{
+        [AdvancedExportSystem.NDJSON_HEADER]: {
+          version: 1,
+          exportDate: new Date().toISOString(),
+          sourceUrl: data.sourceUrl || data.summary?.sourceUrl || null,
+          selectors: data.selectors || null,
+          itemCount: total,
+          stats: data.stats || {}
+        }
+      }]);
+      
+      const writeChunk = async (items) => {
+        await writeLines(items);
+        count += items.length;
+        if (options.onProgress) {
+          options.onProgress({ processed: count, total });
+        }
+      };
+      
+      if (options.itemSource) {
+        await options.itemSource.streamItems(writeChunk, { chunkSize: 500 });
+      } else {
+        for (let i = 0; i < data.items.length; i += 500) {
+          await writeChunk(data.items.slice(i, i + 500)); // eslint-disable-line no-await-in-loop
+        }
+      }
+      await sink.close();
+      
+      let bytes = null;
+      if (!options.volumeStore) {
+        bytes = new Uint8Array(size);
+        let offset = 0;
+        for (const chunk of chunks) {
+          bytes.set(chunk, offset);
+          offset += chunk.length;
+        }
+      } else if (options.onVolume) {
+        await options.onVolume({ filename: finalFilename, size, entries: count });
+      }
+      
+      return {
+        data: bytes,
+        filename: finalFilename,
+        size,
+        mimeType: 'application/x-ndjson',
+        volumes: options.volumeStore ? [{ filename: finalFilename, size, entries: count }] : undefined
+      };
+      
+    } catch (error) {
+      await this.discardVolume(options, volumeName);
+      throw new Error(`NDJSON export failed: ${error.message}`);
+    }
+  }
+
+  // Reads an exportToNDJSON file back chunk by chunk: onHeader(header) once, then onChunk(items) per chunkSize
+  // items. Works on a File/Blob stream, so a session of any size loads without reading the file into one string
+  static async readNDJSONSession(blob, { onHeader = null, onChunk, chunkSize = 500 } = {}) {
+    const reader = blob.stream().pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    let items = [];
+    let lineNumber = 0;
+    let header = null;
+    let count = 0;
+    
+    const parseLine = async (line) => {
+      lineNumber++;
+      if (!line.trim()) {return;}
+      let value;
+      try {
+        value = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Line ${lineNumber} is not valid JSON: ${error.message}`);
+      }
+      
+      if (lineNumber === 1 && value?.[AdvancedExportSystem.NDJSON_HEADER]) {
+        header = value[AdvancedExportSystem.NDJSON_HEADER];
+        if (onHeader) {await onHeader(header);}
+        return;
+      }
+      items.push(value);
+      count++;
+      if (items.length >= chunkSize) {
+        const chunk = items;
+        items = [];
+        await onChunk(chunk);
+      }
+    };
+    
+    for (;;) {
+      const { value, done } = await reader.read(); // eslint-disable-line no-await-in-loop
+      if (done) {break;}
+      buffer += value;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        await parseLine(line); // eslint-disable-line no-await-in-loop
+      }
+    }
+    await parseLine(buffer);
+    if (items.length > 0) {await onChunk(items);}
+    
+    return { header, count };
+  }
+
+  // schema.org JSON-LD: the source page as a WebPage and every item as an ImageObject that isPartOf it
+  async exportToJSONLD(data, filename, options) {
+    try {
+      const sourceUrl = this.exportSourceUrl(data);
+      const pages = new Map();
+      const images = data.items.map(item => {
+        const image = this.imageObject(item);
+        const page = image.isPartOf?.['@id'] || sourceUrl;
+        if (page) {
+          image.isPartOf = { '@id': page };
+          if (!pages.has(page)) {
+            pages.set(page, { '@type': 'WebPage', '@id': page, url: page });
+          }
+        }
+        return image;
+      });
+      if (sourceUrl && pages.has(sourceUrl) && (options.collectionTitle || data.title)) {
+        pages.get(sourceUrl).name = options.collectionTitle || data.title;
+      }
+      
+      const graph = {
+        '@context': 'https://schema.org',
+        '@graph': [...pages.values(), ...images]
+      };
+      
+      const bytes = new TextEncoder().encode(JSON.stringify(graph, null, 2));
+      const finalFilename = this.ensureExtension(filename || 'export', 'jsonld');
+      
+      return {
+        data: bytes,
+        filename: finalFilename,
+        size: bytes.byteLength,
+        mimeType: 'application/ld+json'
+      };
+      
+    } catch (error) {
+      throw new Error(`JSON-LD export failed: ${error.message}`);
+    }
+  }
+
+  // IIIF Presentation 3 manifest, one Canvas per image, for Mirador / Universal Viewer.
+  // Canvases need pixel sizes, so images scraped without them are measured first
+  async exportToIIIF(data, filename, options) {
+    try {
+      const sourceUrl = this.exportSourceUrl(data);
+      const finalFilename = this.ensureExtension((filename || 'export').replace(/\.json$/i, ''), 'json');
+      const base = this.iiifBaseUrl(options.iiifBaseUrl, sourceUrl, finalFilename.replace(/\.json$/i, ''));
+      const label = value => ({ none: [String(value)] });
+      const entry = (name, value) => ({ label: { en: [name] }, value: label(value) });
+      
+      const items = data.items.filter(item => item.image || item.url);
+      const sizes = await this.measureImages(items, options);
+      
+      let title = options.collectionTitle || data.title || '';
+      if (!title) {
+        try {
+          title = sourceUrl ? `Images from ${new URL(sourceUrl).hostname}` : 'StepTwo collection';
+        } catch {
+          title = 'StepTwo collection';
+        }
+      }
+      
+      const manifest = {
+        '@context': 'http://iiif.io/api/presentation/3/context.json',
+        id: `${base}/manifest.json`,
+        type: 'Manifest',
+        label: label(title),
+        metadata: [
+          entry('Items', items.length),
+          entry('Exported', new Date().toISOString())
+        ],
+        items: items.map((item, index) => {
+          const canvasId = `${base}/canvas/${index + 1}`;
+          const url = item.image || item.url;
+          const meta = this.imageObject(item);
+          const { width, height } = sizes.get(index);
+          const canvas = {
+            id: canvasId,
+            type: 'Canvas',
+            label: label(meta.name || meta.caption || this.extractFieldValue(item, 'filename') || `Image ${index + 1}`),
+            width,
+            height,
+            items: [{
+              id: `${canvasId}/page`,
+              type: 'AnnotationPage',
+              items: [{
+                id: `${canvasId}/page/painting`,
+                type: 'Annotation',
+                motivation: 'painting',
+                body: { id: url, type: 'Image', format: this.imageMimeType(url), width, height },
+                target: canvasId
+              }]
+            }]
+          };
+          
+          const metadata = [];
+          if (meta.caption) {metadata.push(entry('Caption', meta.caption));}
+          if (meta.creator) {metadata.push(entry('Creator', meta.creator.name));}
+          if (meta.dateCreated) {metadata.push(entry('Date', meta.dateCreated));}
+          if (meta.keywords) {metadata.push(entry('Keywords', meta.keywords.join(', ')));}
+          if (metadata.length > 0) {canvas.metadata = metadata;}
+          if (meta.creditText) {canvas.requiredStatement = entry('Attribution', meta.creditText);}
+          if (item.thumbnail && item.thumbnail !== url) {
+            canvas.thumbnail = [{ id: item.thumbnail, type: 'Image', format: this.imageMimeType(item.thumbnail) }];
+          }
+          const page = meta.isPartOf?.['@id'] || sourceUrl;
+          if (page) {
+            canvas.homepage = [{ id: page, type: 'Text', label: label(page), format: 'text/html' }];
+          }
+          return canvas;
+        })
+      };
+      if (sourceUrl) {
+        manifest.metadata.unshift(entry('Source', sourceUrl));
+        manifest.homepage = [{ id: sourceUrl, type: 'Text', label: label(title), format: 'text/html' }];
+      }
+      
+      const bytes = new TextEncoder().encode(JSON.stringify(manifest, null, 2));
+      
+      return {
+        data: bytes,
+        filename: finalFilename,
+        size: bytes.byteLength,
+        mimeType: 'application/ld+json;profile="http://iiif.io/api/presentation/3/context.json"'
+      };
+      
+    } catch (error) {
+      throw new Error(`IIIF export failed: ${error.message}`);
+    }
+  }
+
   // HTML export with embedded styling and interactivity
   async exportToHTML(data, filename, options) {
     try {
@@ -272,15 +653,15 @@ class AdvancedExportSystem {
     }
   }
 
-  // PDF export using HTML to PDF conversion
+  // PDF contact sheet: a summary page, then a grid of thumbnails with captions (see pdf-writer.js)
   async exportToPDF(data, filename, options) {
     try {
-      // Generate HTML first
-      const _html = this.generateHTMLReport(data, { ...options, pdfOptimized: true });
+      if (typeof PdfWriter === 'undefined') {
+        throw new Error('PdfWriter not available');
+      }
       
-      // Convert to PDF (would need a PDF library like jsPDF or Puppeteer)
-      // For now, we'll create a basic PDF structure
-      const pdfContent = this.generateBasicPDF(data, options);
+      const thumbnails = await this.createThumbnails(data.items, { ...options, thumbnailSize: options.pdfThumbnailSize });
+      const pdfContent = this.generateContactSheet(data, thumbnails, options);
       
       const finalFilename = this.ensureExtension(filename || 'export', 'pdf');
       
@@ -317,6 +698,10 @@ class AdvancedExportSystem {
 
   // ZIP export with multiple files
   async exportToZip(data, filename, options) {
+    if (options.includeImages) {
+      return this.exportToZipVolumes(data, filename, options);
+    }
+    
     try {
       if (typeof JSZip === 'undefined') {
         throw new Error('JSZip library not available');
@@ -383,29 +768,508 @@ class AdvancedExportSystem {
     }
   }
 
+  // ZIP with the image files themselves, streamed to disk one image at a time (see zip-stream-writer.js).
+  // options.volumeStore provides the sinks; each finished volume is passed to options.onVolume
+  async exportToZipVolumes(data, filename, options) {
+    let unfinished = null; // Volume being written, removed if the export fails
+    try {
+      if (typeof ZipStreamWriter === 'undefined' || !options.volumeStore) {
+        throw new Error('ZipStreamWriter and a volume store are required');
+      }
+      
+      const base = (filename || 'export').replace(/\.zip$/i, '');
+      const volumeSize = Math.min(options.volumeSize, ZipStreamWriter.MAX_SIZE - 1024 * 1024);
+      const volumes = [];
+      const failed = [];
+      const galleryEntries = [];
+      const thumbnails = options.gallery && typeof OffscreenCanvas !== 'undefined';
+      let writer = null;
+      let volumeName = null;
+      
+      const openVolume = async () => {
+        volumeName = `${base}-part${String(volumes.length + 1).padStart(3, '0')}.zip`;
+        unfinished = volumeName;
+        writer = new ZipStreamWriter(await options.volumeStore.createVolume(volumeName));
+      };
+      const closeVolume = async () => {
+        const volume = { filename: volumeName, size: await writer.finish(), entries: writer.entries.length };
+        unfinished = null;
+        volumes.push(volume);
+        if (options.onVolume) {await options.onVolume(volume);}
+      };
+      
+      await openVolume();
+      
+      // Reports go in the first volume so it describes the whole set
+      await writer.addFile('data.json', (await this.exportToJSON(data, 'data.json', options)).data);
+      await writer.addFile('items.csv', (await this.exportToCSV(data, 'items.csv', options)).data);
+      await writer.addFile('report.html', (await this.exportToHTML(data, 'report.html', options)).data);
+      
+      for (let i = 0; i < data.items.length; i++) {
+        const item = data.items[i];
+        const url = item.image || item.url;
+        if (!url) {continue;}
+        
+        let bytes;
+        try {
+          const blob = await this.downloadImageAsBlob(url); // eslint-disable-line no-await-in-loop
+          bytes = new Uint8Array(await blob.arrayBuffer()); // eslint-disable-line no-await-in-loop
+        } catch (error) {
+          failed.push({ url, error: error.message });
+          continue;
+        }
+        
+        const name = this.zipEntryName(item, i, options);
+        let thumbnail = null;
+        if (thumbnails) {
+          try {
+            thumbnail = await this.createThumbnailFromBlob(new Blob([bytes]), options.thumbnailSize * 3); // eslint-disable-line no-await-in-loop
+          } catch (error) {
+            console.warn(`Failed to create gallery thumbnail for ${url}:`, error.message);
+          }
+        }
+        
+        const thumbnailBytes = thumbnail ? thumbnail.bytes.length + ZipStreamWriter.entryOverhead(`thumbnails/${i + 1}.jpg`) : 0;
+        const full = writer.size + bytes.length + thumbnailBytes + ZipStreamWriter.entryOverhead(name) + 22 > volumeSize ||
+          writer.entries.length >= ZipStreamWriter.MAX_ENTRIES - 3; // Leave room for a thumbnail, failed-downloads.txt and index.html
+        if (full && writer.entries.length > 0) {
+          await closeVolume(); // eslint-disable-line no-await-in-loop
+          await openVolume(); // eslint-disable-line no-await-in-loop
+        }
+        
+        const path = await writer.addFile(name, bytes); // eslint-disable-line no-await-in-loop
+        if (options.gallery) {
+          const thumbnailPath = thumbnail ? await writer.addFile(`thumbnails/${i + 1}.jpg`, thumbnail.bytes) : null; // eslint-disable-line no-await-in-loop
+          galleryEntries.push(this.galleryEntry(item, {
+            path,
+            thumbnail: thumbnailPath,
+            size: bytes.length,
+            width: thumbnail?.sourceWidth,
+            height: thumbnail?.sourceHeight
+          }));
+        }
+        if (options.onProgress) {
+          options.onProgress({ processed: i + 1, total: data.items.length, volume: volumes.length + 1, failed: failed.length });
+        }
+      }
+      
+      if (failed.length > 0) {
+        await writer.addFile('failed-downloads.txt', failed.map(entry => `${entry.url}\t${entry.error}`).join('\n'));
+      }
+      if (options.gallery) {
+        // Last, once every path is known; with several volumes, extract them all into one folder
+        await writer.addFile('index.html', this.generateGalleryHTML(galleryEntries, options));
+      }
+      await closeVolume();
+      
+      return {
+        data: null,
+        filename: volumes[0].filename,
+        size: volumes.reduce((sum, volume) => sum + volume.size, 0),
+        mimeType: 'application/zip',
+        volumes,
+        failed
+      };
+      
+    } catch (error) {
+      await this.discardVolume(options, unfinished);
+      throw new Error(`ZIP export failed: ${error.message}`);
+    }
+  }
+  
+  // An export that fails midway would otherwise leave its volume in the origin private file system
+  async discardVolume(options, name) {
+    if (!options?.volumeStore || !name) {return;}
+    await options.volumeStore.discard(name).catch(error => console.warn(`Failed to remove export volume ${name}:`, error));
+  }
+  
+  // WARC 1.1 capture of the gallery page and every image, for replay in pywb or similar (see warc-writer.js).
+  // Written to options.volumeStore when given, otherwise built in memory
+  async exportToWARC(data, filename, options) {
+    let volumeName = null;
+    try {
+      if (typeof WarcWriter === 'undefined') {
+        throw new Error('WarcWriter not available');
+      }
+      
+      const finalFilename = this.ensureExtension((filename || 'export').replace(/\.warc$/i, ''), 'warc');
+      const chunks = [];
+      volumeName = options.volumeStore ? finalFilename : null;
+      const sink = options.volumeStore ? await options.volumeStore.createVolume(finalFilename) : {
+        write: async bytes => {chunks.push(bytes);},
+        close: async () => {}
+      };
+      const warc = new WarcWriter(sink);
+      const sourceUrl = data.summary?.sourceUrl || data.sourceUrl || '';
+      const failed = [];
+      
+      // Keeps what fetch() saw, not just the body, so the response record replays as served
+      const capture = async (url) => {
+        let response = null;
+        const blob = await this.downloadImageAsBlob(url, { onResponse: received => {response = received;} });
+        return {
+          status: response.status,
+          statusText: response.statusText,
+          headers: [...response.headers.entries()],
+          body: new Uint8Array(await blob.arrayBuffer())
+        };
+      };
+      
+      await warc.writeWarcinfo(finalFilename, {
+        isPartOf: sourceUrl || 'unknown',
+        description: `${data.items.length} images captured from ${sourceUrl || 'a scrape'}`
+      });
+      
+      let pageRecord = null;
+      if (/^https?:/i.test(sourceUrl)) {
+        try {
+          pageRecord = await warc.writeExchange(sourceUrl, await capture(sourceUrl));
+        } catch (error) {
+          failed.push({ url: sourceUrl, error: error.message });
+        }
+      }
+      
+      const captured = new Set();
+      let archived = 0;
+      for (let i = 0; i < data.items.length; i++) {
+        const url = data.items[i].image || data.items[i].url;
+        if (!url || !/^https?:/i.test(url) || captured.has(url)) {continue;}
+        captured.add(url);
+        
+        try {
+          await warc.writeExchange(url, await capture(url)); // eslint-disable-line no-await-in-loop
+          archived++;
+        } catch (error) {
+          failed.push({ url, error: error.message });
+        }
+        if (options.onProgress) {
+          options.onProgress({ processed: i + 1, total: data.items.length, failed: failed.length });
+        }
+      }
+      
+      await warc.writeMetadata(sourceUrl || `urn:steptwo:export:${Date.now()}`, {
+        software: 'StepTwo Gallery Scraper',
+        extractedAt: new Date(data.timestamp || data.summary?.timestamp || Date.now()).toISOString(),
+        exportedAt: new Date().toISOString(),
+        sourceUrl: sourceUrl || null,
+        selectors: data.selectors || options.selectors || null,
+        itemCount: data.items.length,
+        archived,
+        failed
+      }, { refersTo: pageRecord });
+      
+      const size = await warc.close();
+      let bytes = null;
+      if (!options.volumeStore) {
+        bytes = WarcWriter.concat(chunks);
+      } else if (options.onVolume) {
+        await options.onVolume({ filename: finalFilename, size, entries: warc.records });
+      }
+      
+      return {
+        data: bytes,
+        filename: finalFilename,
+        size,
+        mimeType: 'application/warc',
+        volumes: options.volumeStore ? [{ filename: finalFilename, size, entries: warc.records }] : undefined,
+        failed
+      };
+      
+    } catch (error) {
+      await this.discardVolume(options, volumeName);
+      throw new Error(`WARC export failed: ${error.message}`);
+    }
+  }
+  
+  // Gallery page next to files that were already downloaded; data.items are DownloadHistory entries.
+  // The page goes in the deepest folder all the files share, so every link stays relative
+  async exportGalleryPage(data, filename, options) {
+    try {
+      const files = data.items.filter(entry => entry.filename);
+      if (files.length === 0) {
+        throw new Error('No downloaded files to show');
+      }
+      
+      // Chrome may have renamed the file on disk (e.g. "photo (1).jpg"), so take the name from the final path
+      const relative = files.map(entry => {
+        const folders = entry.filename.split('/').slice(0, -1);
+        const basename = entry.path ? entry.path.split(/[\\/]/).pop() : entry.filename.split('/').pop();
+        return [...folders, basename];
+      });
+      
+      const common = [];
+      for (let depth = 0; relative.every(parts => parts.length > depth + 1 && parts[depth] === relative[0][depth]); depth++) {
+        common.push(relative[0][depth]);
+      }
+      
+      const entries = files.map((entry, i) => this.galleryEntry({ ...(entry.metadata || {}), url: entry.url, timestamp: entry.timestamp }, {
+        path: relative[i].slice(common.length).join('/'),
+        size: entry.size
+      }));
+      
+      const html = new TextEncoder().encode(this.generateGalleryHTML(entries, options));
+      const pageName = this.ensureExtension(filename || 'gallery', 'html');
+      
+      return {
+        data: html,
+        filename: [...common, pageName].join('/'),
+        size: html.byteLength,
+        mimeType: 'text/html'
+      };
+      
+    } catch (error) {
+      throw new Error(`Gallery export failed: ${error.message}`);
+    }
+  }
+  
+  // schema.org ImageObject for one scraped item; empty properties are left out
+  imageObject(item) {
+    const url = item.image || item.url || '';
+    const credit = item.credit || item.metadata?.credit || '';
+    const byline = item.byline || item.metadata?.byline || credit;
+    const page = item.sourceUrl && item.sourceUrl !== 'unknown' ? item.sourceUrl : '';
+    const width = item.width || item.dimensions?.width;
+    const height = item.height || item.dimensions?.height;
+    
+    const image = {
+      '@type': 'ImageObject',
+      '@id': url || undefined,
+      contentUrl: url || undefined,
+      thumbnailUrl: item.thumbnail && item.thumbnail !== url ? item.thumbnail : undefined,
+      name: item.title || undefined,
+      caption: this.extractFieldValue(item, 'caption') || undefined,
+      creator: byline ? { '@type': 'Person', name: byline } : (item.agency ? { '@type': 'Organization', name: item.agency } : undefined),
+      creditText: credit || undefined,
+      keywords: Array.isArray(item.keywords) && item.keywords.length > 0 ? item.keywords : undefined,
+      dateCreated: item.dateCreated || undefined,
+      width: width ? { '@type': 'QuantitativeValue', value: width, unitCode: 'E37' } : undefined, // E37: pixel
+      height: height ? { '@type': 'QuantitativeValue', value: height, unitCode: 'E37' } : undefined,
+      encodingFormat: url ? this.imageMimeType(url) : undefined,
+      url: item.link || undefined,
+      isPartOf: page ? { '@id': page } : undefined
+    };
+    return Object.fromEntries(Object.entries(image).filter(([, value]) => value !== undefined));
+  }
+  
+  // Pixel sizes for IIIF canvases: scraped dimensions where known, else measured from the image.
+  // Returns Map(index -> {width, height})
+  async measureImages(items, options) {
+    const sizes = new Map();
+    const missing = [];
+    items.forEach((item, index) => {
+      const width = item.width || item.dimensions?.width;
+      const height = item.height || item.dimensions?.height;
+      if (width && height) {
+        sizes.set(index, { width: Math.round(width), height: Math.round(height) });
+      } else {
+        missing.push(index);
+      }
+    });
+    
+    const canMeasure = options.measureDimensions !== false && typeof createImageBitmap !== 'undefined';
+    let next = 0;
+    const worker = async () => {
+      while (canMeasure && next < missing.length) {
+        const index = missing[next++];
+        try {
+          const bitmap = await createImageBitmap(await this.downloadImageAsBlob(items[index].image || items[index].url)); // eslint-disable-line no-await-in-loop
+          sizes.set(index, { width: bitmap.width, height: bitmap.height });
+          bitmap.close();
+        } catch (error) {
+          console.warn(`Failed to measure item ${index + 1}:`, error.message);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: 4 }, worker));
+    
+    // Viewers scale the image to its canvas, so a square placeholder still shows it, only with the wrong aspect
+    missing.filter(index => !sizes.has(index)).forEach(index => sizes.set(index, { width: 1000, height: 1000 }));
+    return sizes;
+  }
+  
+  exportSourceUrl(data) {
+    const sourceUrl = data.summary?.sourceUrl || data.sourceUrl || '';
+    return /^https?:/i.test(sourceUrl) ? sourceUrl : '';
+  }
+  
+  // IIIF resource IDs must be HTTP(S) URIs: where the manifest will be published if given,
+  // else a path on the scraped site so the IDs at least name the collection's real host
+  iiifBaseUrl(baseUrl, sourceUrl, name) {
+    if (baseUrl) {
+      if (!/^https?:\/\/[^/]/i.test(baseUrl)) {
+        throw new Error(`IIIF base URL must start with http:// or https:// (got "${baseUrl}")`);
+      }
+      return baseUrl.replace(/\/+$/, '');
+    }
+    if (sourceUrl) {
+      return `${new URL(sourceUrl).origin}/iiif/${encodeURIComponent(name)}`;
+    }
+    return `https://example.org/iiif/${encodeURIComponent(name)}`;
+  }
+  
+  galleryEntry(item, { path, thumbnail = null, size = 0, width = null, height = null }) {
+    const date = item.dateCreated || item.timestamp || null;
+    return {
+      path,
+      src: path.split('/').map(encodeURIComponent).join('/'), // "#", "?" and spaces are legal in file names
+      thumbnail,
+      caption: this.extractFieldValue(item, 'caption'),
+      title: item.title || '',
+      date: date ? new Date(date).getTime() || null : null,
+      size: size || item.fileSize || 0,
+      width: item.width || width || null,
+      height: item.height || height || null,
+      source: item.sourceUrl && item.sourceUrl !== 'unknown' ? item.sourceUrl : (item.url || item.image || ''),
+      link: item.link || ''
+    };
+  }
+  
+  // Path inside the archive: the filename mask (which may add folders) or the URL's own name
+  zipEntryName(item, index, options) {
+    let name = null;
+    if (options.filenameFor) {
+      try {
+        name = options.filenameFor(item, index);
+      } catch (error) {
+        console.warn('Filename mask not applied:', error.message);
+      }
+    }
+    if (!name) {
+      const url = item.image || item.url || '';
+      const basename = url.split(/[?#]/)[0].split('/').pop() || '';
+      try {
+        name = decodeURIComponent(basename);
+      } catch {
+        name = basename;
+      }
+      name = name || `image_${index + 1}.${this.getImageExtension(url)}`;
+    }
+    return name.replace(/^\/+/, '');
+  }
+
   // Helper methods for creating Excel sheets
   createItemsSheet(items, options) {
     const sheetData = [];
     
     // Generate headers based on selectedFields or default
     const headers = this.generateCSVHeaders(items, options);
-    sheetData.push(headers);
+    // Pictures are anchored over an empty first column (see XlsxSheetDecorator)
+    const offset = options.includeThumbnails ? 1 : 0;
+    sheetData.push(offset ? ['Thumbnail', ...headers] : headers);
     
     // Data rows
     items.forEach((item, index) => {
-      const row = this.itemToCSVRow({...item, index: index + 1}, headers, options)
+      const row = this.itemToCSVRow({...item, index: index + 1}, headers, options, index)
         .map(cell => typeof cell === 'string' && cell.startsWith('"') && cell.endsWith('"') ? 
           cell.slice(1, -1).replace(/""/g, '"') : cell); // Remove CSV escaping for Excel
-      sheetData.push(row);
+      sheetData.push(offset ? ['', ...row] : row);
     });
     
-    return XLSX.utils.aoa_to_sheet(sheetData);
+    const sheet = XLSX.utils.aoa_to_sheet(sheetData);
+    
+    // URL columns become real hyperlinks
+    const linkCells = [];
+    headers.forEach((header, column) => {
+      if (!options.columnTemplate && !this.isLinkHeader(header)) {return;} // Template columns are checked cell by cell
+      for (let row = 1; row < sheetData.length; row++) {
+        const ref = XLSX.utils.encode_cell({ r: row, c: column + offset });
+        const cell = sheet[ref];
+        if (cell && typeof cell.v === 'string' && /^https?:\/\//i.test(cell.v)) {
+          cell.l = { Target: cell.v, Tooltip: header };
+          linkCells.push(ref);
+        }
+      }
+    });
+    sheet['!linkCells'] = linkCells;
+    
+    sheet['!cols'] = sheetData[0].map((header, column) => {
+      if (offset && column === 0) {return { wpx: options.thumbnailSize + 8 };}
+      return { wch: this.isLinkHeader(header) ? 50 : Math.max(10, header.length + 2) };
+    });
+    if (offset) {
+      const rowHeight = Math.round((options.thumbnailSize + 6) * 0.75); // Points
+      sheet['!rows'] = sheetData.map((row, index) => (index === 0 ? { hpt: 20 } : { hpt: rowHeight }));
+    }
+    
+    return sheet;
+  }
+  
+  isLinkHeader(header) {
+    return ['Image URL', 'Thumbnail URL', 'Link', 'Source Link', 'Source URL'].includes(header);
+  }
+  
+  // Scaled JPEG/PNG thumbnails for the Items sheet: [{index, bytes, extension, width, height}]
+  async createThumbnails(items, options) {
+    if (typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap === 'undefined') {
+      console.warn('OffscreenCanvas not available - skipping thumbnails');
+      return [];
+    }
+    
+    const thumbnails = [];
+    const limit = Math.min(items.length, options.maxThumbnails);
+    let next = 0;
+    
+    // A few fetches at a time keeps large exports from holding every image in memory at once
+    const worker = async () => {
+      while (next < limit) {
+        const index = next++;
+        const item = items[index];
+        const source = item.thumbnail || item.image || item.url;
+        if (!source) {continue;}
+        
+        try {
+          thumbnails.push({ index, name: item.filename || `Item ${index + 1}`, ...await this.createThumbnail(source, options.thumbnailSize) }); // eslint-disable-line no-await-in-loop
+        } catch (error) {
+          console.warn(`Failed to create thumbnail for item ${index + 1}:`, error.message);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: 4 }, worker));
+    
+    return thumbnails.sort((a, b) => a.index - b.index);
+  }
+  
+  async createThumbnail(url, size) {
+    return this.createThumbnailFromBlob(await this.downloadImageAsBlob(url), size);
+  }
+  
+  async createThumbnailFromBlob(blob, size) {
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, size / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff'; // JPEG has no alpha
+    context.fillRect(0, 0, width, height);
+    context.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+    
+    const thumbnail = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+    return {
+      bytes: new Uint8Array(await thumbnail.arrayBuffer()),
+      extension: 'jpeg',
+      width,
+      height,
+      sourceWidth: Math.round(width / scale),
+      sourceHeight: Math.round(height / scale)
+    };
   }
 
   createSummarySheet(summary, options) {
     const sheetData = [
       ['Summary Report', ''],
       ['', ''],
+      ...this.summaryRows(summary)
+    ];
+    
+    return XLSX.utils.aoa_to_sheet(sheetData);
+  }
+  
+  // Label/value pairs shared by the Excel summary sheet and the PDF summary page
+  summaryRows(summary) {
+    return [
       ['Total Items', summary.totalItems || 0],
       ['Successful Extractions', summary.successful || 0],
       ['Failed Extractions', summary.failed || 0],
@@ -415,8 +1279,6 @@ class AdvancedExportSystem {
       ['Source URL', summary.sourceUrl || ''],
       ['Export Date', new Date().toISOString()]
     ];
-    
-    return XLSX.utils.aoa_to_sheet(sheetData);
   }
 
   createStatsSheet(data, options) {
@@ -480,6 +1342,7 @@ class AdvancedExportSystem {
         table { width: 100%; border-collapse: collapse; margin-top: 20px; }
         th, td { border: 1px solid #e5e7eb; padding: 12px; text-align: left; }
         th { background: #f9fafb; font-weight: 600; }
+        .template-table td { word-break: break-all; }
         tr:nth-child(even) { background: #f9fafb; }
         .error-list { background: #fef2f2; border: 1px solid #fecaca; border-radius: 6px; padding: 15px; margin: 15px 0; }
         .error-item { color: #dc2626; margin: 5px 0; }
@@ -528,7 +1391,7 @@ class AdvancedExportSystem {
         ` : ''}
 
         <h2>🖼️ Extracted Items</h2>
-        <div class="items-grid">
+        ${options.columnTemplate ? this.templateTableHTML(items.slice(0, 100), options) : `<div class="items-grid">
             ${items.slice(0, 100).map((item, index) => `
                 <div class="item-card">
                     <div class="item-image">
@@ -548,7 +1411,7 @@ class AdvancedExportSystem {
                     </div>
                 </div>
             `).join('')}
-        </div>
+        </div>`}
 
         ${items.length > 100 ? `<p><em>Showing first 100 items of ${items.length} total.</em></p>` : ''}
         
@@ -567,8 +1430,215 @@ class AdvancedExportSystem {
 </html>`;
   }
 
+  // Items table for the HTML report when a column template is chosen; URL values become links
+  templateTableHTML(items, options) {
+    const escape = (str) => String(str).replace(/[<>&'"]/g, (c) => ({
+      '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&#39;', '"': '&quot;'
+    }[c]));
+    const columns = this.templateColumns(options);
+    const cell = (value) => {
+      const text = String(value ?? '');
+      return /^https?:\/\//i.test(text) ? `<a href="${escape(text)}" target="_blank">${escape(text)}</a>` : escape(text);
+    };
+    
+    return `<table class="template-table">
+            <tr>${columns.map(column => `<th>${escape(column.header)}</th>`).join('')}</tr>
+            ${items.map((item, index) => `<tr>${columns.map(column => `<td>${cell(column.value(item, index))}</td>`).join('')}</tr>`).join('\n            ')}
+        </table>`;
+  }
+
+  // Offline gallery page: entries are [{path, src, thumbnail, caption, title, date, size, width, height, source, link}]
+  // with paths relative to where index.html is saved. Everything else is inline, so it opens from disk
+  generateGalleryHTML(entries, options = {}) {
+    const title = options.galleryTitle || 'StepTwo Gallery';
+    const escape = (str) => String(str).replace(/[<>&'"]/g, (c) => ({
+      '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&#39;', '"': '&quot;'
+    }[c]));
+    // JSON inside <script> must not be able to close the tag
+    const json = JSON.stringify(entries).replace(/</g, '\\u003c').replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escape(title)}</title>
+    <style>
+        * { box-sizing: border-box; }
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif; margin: 0; background: #f5f5f5; color: #1f2937; }
+        header { position: sticky; top: 0; z-index: 10; background: white; padding: 14px 20px; box-shadow: 0 1px 6px rgba(0,0,0,0.1); display: flex; flex-wrap: wrap; gap: 12px; align-items: center; }
+        header h1 { font-size: 1.2em; margin: 0 auto 0 0; color: #2563eb; }
+        header input, header select { padding: 7px 10px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 0.95em; }
+        header input { width: 260px; }
+        .count { color: #6b7280; font-size: 0.9em; }
+        .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 16px; padding: 20px; }
+        figure { margin: 0; background: white; border-radius: 8px; overflow: hidden; box-shadow: 0 1px 4px rgba(0,0,0,0.08); cursor: zoom-in; }
+        figure .thumb { height: 180px; background: #e5e7eb; display: flex; align-items: center; justify-content: center; }
+        figure img { max-width: 100%; max-height: 100%; object-fit: contain; }
+        figcaption { padding: 8px 10px; font-size: 0.85em; }
+        figcaption .caption { font-weight: 600; display: -webkit-box; -webkit-line-clamp: 2; -webkit-box-orient: vertical; overflow: hidden; }
+        figcaption .meta { color: #6b7280; font-size: 0.9em; margin-top: 4px; }
+        .lightbox { position: fixed; inset: 0; background: rgba(0,0,0,0.92); display: none; flex-direction: column; align-items: center; justify-content: center; z-index: 20; color: white; }
+        .lightbox.open { display: flex; }
+        .lightbox img { max-width: 92vw; max-height: 80vh; object-fit: contain; }
+        .lightbox .details { max-width: 92vw; margin-top: 12px; text-align: center; font-size: 0.9em; }
+        .lightbox .details a { color: #93c5fd; }
+        .lightbox button { position: absolute; background: none; border: none; color: white; font-size: 2.4em; cursor: pointer; padding: 10px 18px; }
+        .lightbox .close { top: 8px; right: 8px; }
+        .lightbox .prev { left: 8px; top: 50%; transform: translateY(-50%); }
+        .lightbox .next { right: 8px; top: 50%; transform: translateY(-50%); }
+        .empty { padding: 40px; text-align: center; color: #6b7280; }
+    </style>
+</head>
+<body>
+    <header>
+        <h1>${escape(title)}</h1>
+        <input type="search" id="search" placeholder="Search captions, names, sources...">
+        <select id="sort">
+            <option value="original">Original order</option>
+            <option value="caption">Caption (A-Z)</option>
+            <option value="date-desc">Date (newest first)</option>
+            <option value="date-asc">Date (oldest first)</option>
+            <option value="size-desc">Size (largest first)</option>
+            <option value="size-asc">Size (smallest first)</option>
+        </select>
+        <span class="count" id="count"></span>
+    </header>
+    <main class="grid" id="grid"></main>
+    <div class="lightbox" id="lightbox">
+        <button class="close" id="close" title="Close (Esc)">&times;</button>
+        <button class="prev" id="prev" title="Previous">&#8249;</button>
+        <img id="lightboxImage" alt="">
+        <div class="details" id="lightboxDetails"></div>
+        <button class="next" id="next" title="Next">&#8250;</button>
+    </div>
+    <script type="application/json" id="gallery-data">${json}</script>
+    <script>
+    (function () {
+        var entries = JSON.parse(document.getElementById('gallery-data').textContent);
+        entries.forEach(function (entry, index) { entry.order = index; });
+        var visible = entries.slice();
+        var current = -1;
+        var grid = document.getElementById('grid');
+        var lightbox = document.getElementById('lightbox');
+
+        function formatSize(bytes) {
+            if (!bytes) { return ''; }
+            var units = ['B', 'KB', 'MB', 'GB'];
+            var i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+            return (bytes / Math.pow(1024, i)).toFixed(i ? 1 : 0) + ' ' + units[i];
+        }
+
+        function describe(entry) {
+            return [
+                entry.width && entry.height ? entry.width + ' \\u00d7 ' + entry.height : '',
+                formatSize(entry.size),
+                entry.date ? new Date(entry.date).toLocaleDateString() : ''
+            ].filter(Boolean).join(' \\u00b7 ');
+        }
+
+        function render() {
+            var query = document.getElementById('search').value.trim().toLowerCase();
+            var sort = document.getElementById('sort').value;
+            visible = entries.filter(function (entry) {
+                return !query || [entry.caption, entry.title, entry.path, entry.source].some(function (value) {
+                    return value && String(value).toLowerCase().indexOf(query) !== -1;
+                });
+            });
+            var compare = {
+                original: function (a, b) { return a.order - b.order; },
+                caption: function (a, b) { return String(a.caption || a.path).localeCompare(String(b.caption || b.path)); },
+                'date-desc': function (a, b) { return (b.date || 0) - (a.date || 0); },
+                'date-asc': function (a, b) { return (a.date || 0) - (b.date || 0); },
+                'size-desc': function (a, b) { return (b.size || 0) - (a.size || 0); },
+                'size-asc': function (a, b) { return (a.size || 0) - (b.size || 0); }
+            }[sort];
+            visible.sort(compare);
+
+            grid.textContent = '';
+            visible.forEach(function (entry, index) {
+                var figure = document.createElement('figure');
+                var thumb = document.createElement('div');
+                thumb.className = 'thumb';
+                var img = document.createElement('img');
+                img.loading = 'lazy';
+                img.src = entry.thumbnail || entry.src;
+                img.alt = entry.caption || '';
+                thumb.appendChild(img);
+                var caption = document.createElement('figcaption');
+                var text = document.createElement('div');
+                text.className = 'caption';
+                text.textContent = entry.caption || entry.title || entry.path.split('/').pop();
+                var meta = document.createElement('div');
+                meta.className = 'meta';
+                meta.textContent = describe(entry);
+                caption.appendChild(text);
+                caption.appendChild(meta);
+                figure.appendChild(thumb);
+                figure.appendChild(caption);
+                figure.addEventListener('click', function () { open(index); });
+                grid.appendChild(figure);
+            });
+            if (visible.length === 0) {
+                grid.innerHTML = '<div class="empty">No images match your search.</div>';
+            }
+            document.getElementById('count').textContent = visible.length + ' of ' + entries.length + ' images';
+        }
+
+        function open(index) {
+            if (visible.length === 0) { return; }
+            current = (index + visible.length) % visible.length;
+            var entry = visible[current];
+            document.getElementById('lightboxImage').src = entry.src;
+            var details = document.getElementById('lightboxDetails');
+            details.textContent = '';
+            var caption = document.createElement('div');
+            caption.textContent = entry.caption || entry.title || entry.path;
+            var meta = document.createElement('div');
+            meta.textContent = [describe(entry), entry.path].filter(Boolean).join(' \\u00b7 ');
+            details.appendChild(caption);
+            details.appendChild(meta);
+            if (entry.link || entry.source) {
+                var link = document.createElement('a');
+                link.href = entry.link || entry.source;
+                link.target = '_blank';
+                link.rel = 'noopener';
+                link.textContent = 'Source page';
+                details.appendChild(link);
+            }
+            lightbox.classList.add('open');
+        }
+
+        function close() {
+            lightbox.classList.remove('open');
+            current = -1;
+        }
+
+        document.getElementById('search').addEventListener('input', render);
+        document.getElementById('sort').addEventListener('change', render);
+        document.getElementById('close').addEventListener('click', close);
+        document.getElementById('prev').addEventListener('click', function () { open(current - 1); });
+        document.getElementById('next').addEventListener('click', function () { open(current + 1); });
+        lightbox.addEventListener('click', function (event) { if (event.target === lightbox) { close(); } });
+        document.addEventListener('keydown', function (event) {
+            if (current < 0) { return; }
+            if (event.key === 'Escape') { close(); }
+            if (event.key === 'ArrowLeft') { open(current - 1); }
+            if (event.key === 'ArrowRight') { open(current + 1); }
+        });
+        render();
+    })();
+    </script>
+</body>
+</html>`;
+  }
+
   // Utility methods
   generateCSVHeaders(items, options) {
+    if (options.columnTemplate) {
+      return this.templateColumns(options).map(column => column.header);
+    }
+    
     // Use selectedFields from options if provided, otherwise use defaults
     if (options.selectedFields && Array.isArray(options.selectedFields) && options.selectedFields.length > 0) {
       return options.selectedFields.map(field => this.getFieldLabel(field));
@@ -616,7 +1686,11 @@ class AdvancedExportSystem {
     return fieldLabels[fieldKey] || fieldKey.charAt(0).toUpperCase() + fieldKey.slice(1);
   }
 
-  itemToCSVRow(item, headers, options) {
+  itemToCSVRow(item, headers, options, index = 0) {
+    if (options.columnTemplate) {
+      return this.templateColumns(options).map(column => this.escapeCSV(column.value(item, index)));
+    }
+    
     const row = [];
     
     headers.forEach(header => {
@@ -664,6 +1738,83 @@ class AdvancedExportSystem {
     return row;
   }
 
+  // options.columnTemplate: {name, columns: [{header, field | template, regex, flags}]} (see export-templates.js).
+  // Returns [{header, value(item, index)}], compiled once per template object
+  templateColumns(options) {
+    const template = options.columnTemplate;
+    if (!this.compiledTemplates.has(template)) {
+      this.compiledTemplates.set(template, this.compileColumnTemplate(template));
+    }
+    return this.compiledTemplates.get(template);
+  }
+  
+  compileColumnTemplate(template) {
+    const columns = Array.isArray(template?.columns) ? template.columns : [];
+    if (columns.length === 0) {
+      throw new Error(`Export template "${template?.name || 'unnamed'}" has no columns`);
+    }
+    
+    return columns.map(column => {
+      const regex = column.regex ? new RegExp(column.regex, (column.flags || '').replace('g', '')) : null;
+      const raw = column.template ?
+        (item, index) => column.template.replace(/\{([\w.]+)\}/g, (match, key) => String(this.templateValue(item, key, index) ?? '')) :
+        (item, index) => this.templateValue(item, column.field || 'url', index);
+      
+      return {
+        header: column.header || this.getFieldLabel(column.field),
+        value: (item, index) => {
+          const value = raw(item, index);
+          if (!regex) {return value ?? '';}
+          const match = String(value ?? '').match(regex);
+          return match ? (match.length > 1 ? match[1] ?? '' : match[0]) : '';
+        }
+      };
+    });
+  }
+  
+  // Placeholder values: every extractFieldValue field, a few computed from the URL, and dotted item paths
+  templateValue(item, key, index) {
+    const url = item.image || item.url || '';
+    const parsed = (value) => {
+      try {
+        return new URL(value);
+      } catch {
+        return null;
+      }
+    };
+    
+    switch (key) {
+      case 'index':
+        return index + 1;
+      case 'host':
+        return parsed(url)?.hostname || '';
+      case 'path':
+        return parsed(url)?.pathname || '';
+      case 'name': {
+        const last = ((parsed(url)?.pathname || '').split('/').pop() || '').replace(/\.[^.]*$/, '');
+        try {
+          return decodeURIComponent(last);
+        } catch {
+          return last;
+        }
+      }
+      case 'ext':
+        return url ? this.getImageExtension(url) : '';
+      case 'width':
+        return item.width || item.dimensions?.width || '';
+      case 'height':
+        return item.height || item.dimensions?.height || '';
+      case 'pageHost':
+        return parsed(item.sourceUrl)?.hostname || '';
+      default:
+        if (key.includes('.')) {
+          const value = key.split('.').reduce((current, part) => (current == null ? undefined : current[part]), item);
+          return value ?? '';
+        }
+        return this.extractFieldValue(item, key);
+    }
+  }
+
   // Helper method to get field key from label (reverse of getFieldLabel)
   getFieldKeyFromLabel(label) {
     const labelToFieldMap = {
@@ -768,8 +1919,16 @@ class AdvancedExportSystem {
     xml += '  </Summary>\n';
     xml += '  <Items>\n';
     
+    const columns = options.columnTemplate ? this.templateColumns(options) : null;
     (data.items || []).forEach((item, index) => {
       xml += `    <Item id="${index + 1}">\n`;
+      if (columns) {
+        columns.forEach(column => {
+          xml += `      <Field name="${escape(column.header)}">${escape(column.value(item, index))}</Field>\n`;
+        });
+        xml += '    </Item>\n';
+        return;
+      }
       xml += `      <ImageUrl>${escape(item.image || '')}</ImageUrl>\n`;
       xml += `      <ThumbnailUrl>${escape(item.thumbnail || '')}</ThumbnailUrl>\n`;
       xml += `      <Link>${escape(item.link || '')}</Link>\n`;
@@ -787,11 +1946,102 @@ class AdvancedExportSystem {
     return xml;
   }
 
-  // Placeholder for PDF generation (would need proper PDF library)
-  generateBasicPDF(data, options) {
-    // This is a placeholder - real implementation would use jsPDF or similar
-    const pdfText = `Gallery Scraper Report\n\nTotal Items: ${data.items?.length || 0}\nExport Date: ${new Date().toISOString()}`;
-    return new TextEncoder().encode(pdfText);
+  // Lays out the contact sheet; thumbnails come from createThumbnails
+  generateContactSheet(data, thumbnails, options) {
+    const items = data.items || [];
+    const sourceUrl = data.summary?.sourceUrl || data.sourceUrl || '';
+    const summary = {
+      totalItems: items.length,
+      successful: items.filter(item => item.status !== 'failed').length,
+      failed: items.filter(item => item.status === 'failed').length,
+      ...data.summary,
+      sourceUrl
+    };
+    
+    let host = '';
+    try {
+      host = sourceUrl ? new URL(sourceUrl).hostname : '';
+    } catch {
+      // Not a URL - leave the header generic
+    }
+    
+    const pdf = new PdfWriter({ pageSize: options.pdfPageSize, title: `Contact sheet${host ? ` - ${host}` : ''}` });
+    const margin = 36;
+    const headerHeight = 40;
+    const contentWidth = pdf.width - margin * 2;
+    const columns = Math.max(1, options.pdfColumns);
+    const rows = Math.max(1, options.pdfRows);
+    const perPage = columns * rows;
+    const pageCount = 1 + Math.ceil(items.length / perPage);
+    const gray = [110, 110, 110];
+    
+    const pageHeader = (page, number) => {
+      pdf.text(page, margin, margin + 14, PdfWriter.fitText(pdf.options.title, 14, contentWidth - 120, true), { size: 14, bold: true });
+      const pageLabel = `Page ${number} of ${pageCount}`;
+      pdf.text(page, pdf.width - margin - PdfWriter.textWidth(pageLabel, 9), margin + 14, pageLabel, { size: 9, color: gray });
+      pdf.text(page, margin, margin + 28, `${new Date().toLocaleString()} - ${items.length} items`, { size: 9, color: gray });
+      pdf.line(page, margin, margin + headerHeight - 6, pdf.width - margin, margin + headerHeight - 6, { color: [200, 200, 200] });
+    };
+    
+    // Summary page. Thumbnails stop at maxThumbnails to bound memory, so say where the previews end
+    const previewLimit = Math.min(items.length, options.maxThumbnails);
+    const summaryRows = this.summaryRows(summary);
+    if (previewLimit < items.length) {
+      summaryRows.push(['Thumbnails', `First ${previewLimit} of ${items.length} items (maxThumbnails)`]);
+    }
+    const summaryPage = pdf.addPage();
+    pageHeader(summaryPage, 1);
+    pdf.text(summaryPage, margin, margin + headerHeight + 24, 'Summary Report', { size: 16, bold: true });
+    summaryRows.forEach(([label, value], i) => {
+      const y = margin + headerHeight + 56 + i * 20;
+      pdf.text(summaryPage, margin, y, label, { size: 10, bold: true });
+      pdf.text(summaryPage, margin + 170, y, PdfWriter.fitText(value, 10, contentWidth - 170), { size: 10 });
+    });
+    
+    // Contact sheet pages
+    const thumbnailsByIndex = new Map(thumbnails.map(thumbnail => [thumbnail.index, thumbnail]));
+    const cellWidth = contentWidth / columns;
+    const cellHeight = (pdf.height - margin * 2 - headerHeight) / rows;
+    const captionHeight = 34;
+    const boxWidth = cellWidth - 8;
+    const boxHeight = cellHeight - captionHeight - 8;
+    let page = null;
+    
+    items.forEach((item, index) => {
+      const slot = index % perPage;
+      if (slot === 0) {
+        page = pdf.addPage();
+        pageHeader(page, pdf.pages.length);
+      }
+      
+      const x = margin + (slot % columns) * cellWidth + 4;
+      const y = margin + headerHeight + Math.floor(slot / columns) * cellHeight + 4;
+      pdf.rect(page, x, y, boxWidth, boxHeight, { stroke: [220, 220, 220], fill: [246, 246, 246] });
+      
+      const thumbnail = thumbnailsByIndex.get(index);
+      if (thumbnail) {
+        const scale = Math.min(boxWidth / thumbnail.width, boxHeight / thumbnail.height);
+        const width = thumbnail.width * scale;
+        const height = thumbnail.height * scale;
+        const name = pdf.addJpeg(thumbnail.bytes, thumbnail.width, thumbnail.height);
+        pdf.drawImage(page, name, x + (boxWidth - width) / 2, y + (boxHeight - height) / 2, width, height);
+      } else {
+        const label = index < previewLimit ? 'No preview' : 'Past preview limit';
+        pdf.text(page, x + (boxWidth - PdfWriter.textWidth(label, 8)) / 2, y + boxHeight / 2, label, { size: 8, color: gray });
+      }
+      
+      const caption = `${index + 1}. ${this.extractFieldValue(item, 'caption') || item.filename || 'Untitled'}`;
+      const source = this.extractFieldValue(item, 'source') || item.link || '';
+      const width = item.width || thumbnail?.sourceWidth;
+      const height = item.height || thumbnail?.sourceHeight;
+      const dimensions = width && height ? `${width} \u00d7 ${height}` : 'Size unknown';
+      
+      pdf.text(page, x, y + boxHeight + 10, PdfWriter.fitText(caption, 8, boxWidth, true), { size: 8, bold: true });
+      pdf.text(page, x, y + boxHeight + 20, PdfWriter.fitText(source, 7, boxWidth), { size: 7, color: gray });
+      pdf.text(page, x, y + boxHeight + 29, dimensions, { size: 7, color: gray });
+    });
+    
+    return pdf.build();
   }
 
   // Utility methods
@@ -807,9 +2057,19 @@ class AdvancedExportSystem {
     return match ? match[1].toLowerCase() : 'jpg';
   }
 
-  async downloadImageAsBlob(url) {
+  imageMimeType(url) {
+    const types = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', avif: 'image/avif', svg: 'image/svg+xml', tif: 'image/tiff', tiff: 'image/tiff', bmp: 'image/bmp' };
+    return types[this.getImageExtension(url)] || 'image/jpeg';
+  }
+
+  // onResponse sees the Response before its body is read, for callers that need status and headers
+  async downloadImageAsBlob(url, { onResponse = null } = {}) {
     try {
       const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      if (onResponse) {onResponse(response);}
       return await response.blob();
     } catch (error) {
       throw new Error(`Failed to download image: ${error.message}`);
@@ -164,14 +164,295 @@ function parseUrl(url) {
   }
 }
 
-function applyMask(mask, ctx) {
-  if (!mask) {return ctx.name + (ctx.ext ? `.${ctx.ext}` : '');}
-  
-  const now = new Date();
-  const dateStr = now.toISOString().slice(0,10).replace(/-/g,''); // YYYYMMDD
-  const timeStr = now.toTimeString().slice(0,8).replace(/:/g,''); // HHMMSS
-  const timestamp = now.getTime().toString();
-  
+// Tokens a mask can use, as *token* (the original syntax) or inside {expressions}
+const MASK_TOKENS = {
+  name: 'Original filename without extension',
+  num: 'Per-site counter, padded to 3 digits',
+  ext: 'File extension',
+  date: 'Download date, YYYYMMDD or {date:YYYY/MM}',
+  time: 'Download time, HHMMSS or {time:HH-mm}',
+  timestamp: 'Milliseconds since 1970',
+  host: 'Host name (www.example.com)',
+  domain: 'Domain (example.com)',
+  subdirs: 'Folders in the image URL, joined with _',
+  url: 'Full image URL',
+  path: 'URL path',
+  query: 'URL query string',
+  hash: 'URL fragment',
+  caption: 'Scraped caption',
+  title: 'Scraped title',
+  alt: 'Image alt text',
+  credit: 'Photographer or agency credit',
+  id: 'Item id',
+  resolution: 'Image resolution',
+  size: 'File size',
+  type: 'File type',
+  index: 'Position in the gallery',
+  session: 'Per-site counter for this session',
+  global: 'Highest counter so far'
+};
+
+// {value | filter} and {value | filter(n)}
+const MASK_FILTERS = {
+  lowercase: { args: 0, apply: value => value.toLowerCase() },
+  uppercase: { args: 0, apply: value => value.toUpperCase() },
+  trim: { args: 0, apply: value => value.trim() },
+  slugify: {
+    args: 0,
+    apply: value => value.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+  },
+  truncate: { args: 1, apply: (value, length) => Array.from(value).slice(0, length).join('').trim() },
+  pad: { args: 1, apply: (value, width) => value.padStart(width, '0') }
+};
+
+class MaskSyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.position = position;
+  }
+}
+
+function formatMaskDate(date, format) {
+  const pad = value => String(value).padStart(2, '0');
+  const parts = {
+    YYYY: date.getFullYear(),
+    YY: pad(date.getFullYear() % 100),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds())
+  };
+  return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, part => parts[part]);
+}
+
+// Positions are offsets into the whole mask so the options page can point at them
+function tokenizeMaskExpression(source, offset) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const position = offset + i;
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const name = source.slice(i).match(/^[A-Za-z_]\w*/)[0];
+      i += name.length;
+      // date:FORMAT / time:FORMAT; any other ":" separates the branches of a conditional
+      let format = null;
+      if ((name === 'date' || name === 'time') && source[i] === ':' && /[^\s|?]/.test(source[i + 1] || ' ')) {
+        format = source.slice(i + 1).match(/^[^\s|?]+/)[0];
+        i += format.length + 1;
+      }
+      tokens.push({ type: 'ident', value: name, format, position });
+    } else if (char === '\'' || char === '"') {
+      const end = source.indexOf(char, i + 1);
+      if (end === -1) {
+        throw new MaskSyntaxError('Unterminated string', position);
+      }
+      tokens.push({ type: 'string', value: source.slice(i + 1, end), position });
+      i = end + 1;
+    } else if (/\d/.test(char)) {
+      const digits = source.slice(i).match(/^\d+/)[0];
+      tokens.push({ type: 'number', value: Number(digits), position });
+      i += digits.length;
+    } else if (source.startsWith('||', i)) {
+      tokens.push({ type: 'op', value: '||', position });
+      i += 2;
+    } else if ('|?:()!,'.includes(char)) {
+      tokens.push({ type: 'op', value: char, position });
+      i++;
+    } else {
+      throw new MaskSyntaxError(`Unexpected character "${char}"`, position);
+    }
+  }
+
+  tokens.push({ type: 'end', position: offset + source.length });
+  return tokens;
+}
+
+// expression := piped ['?' expression ':' expression]
+// piped      := fallback {'|' filter ['(' number {',' number} ')']}
+// fallback   := primary {'||' primary}
+// primary    := token[:format] | 'string' | number | '!' primary | '(' expression ')'
+function parseMaskExpression(tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const isOp = value => peek().type === 'op' && peek().value === value;
+  const describe = token => (token.type === 'end' ? 'end of expression' : `"${token.value}"`);
+  const expect = (value, what) => {
+    if (!isOp(value)) {
+      throw new MaskSyntaxError(`Expected ${what} but found ${describe(peek())}`, peek().position);
+    }
+    return next();
+  };
+
+  let expression = null;
+
+  const primary = () => {
+    const token = next();
+    if (token.type === 'ident') {
+      if (!Object.prototype.hasOwnProperty.call(MASK_TOKENS, token.value)) {
+        throw new MaskSyntaxError(`Unknown token "${token.value}"`, token.position);
+      }
+      return { type: 'token', name: token.value, format: token.format };
+    }
+    if (token.type === 'string' || token.type === 'number') {
+      return { type: 'literal', value: String(token.value) };
+    }
+    if (token.type === 'op' && token.value === '!') {
+      return { type: 'not', operand: primary() };
+    }
+    if (token.type === 'op' && token.value === '(') {
+      const inner = expression();
+      expect(')', '")"');
+      return inner;
+    }
+    throw new MaskSyntaxError(`Expected a token, string or number but found ${describe(token)}`, token.position);
+  };
+
+  const fallback = () => {
+    const options = [primary()];
+    while (isOp('||')) {
+      next();
+      options.push(primary());
+    }
+    return options.length > 1 ? { type: 'fallback', options } : options[0];
+  };
+
+  const piped = () => {
+    let node = fallback();
+    while (isOp('|')) {
+      next();
+      const name = next();
+      if (name.type !== 'ident') {
+        throw new MaskSyntaxError(`Expected a filter name but found ${describe(name)}`, name.position);
+      }
+      const filter = MASK_FILTERS[name.value];
+      if (!filter) {
+        throw new MaskSyntaxError(`Unknown filter "${name.value}"`, name.position);
+      }
+
+      const args = [];
+      if (isOp('(')) {
+        next();
+        while (!isOp(')')) {
+          if (args.length > 0) {expect(',', '","');}
+          const arg = next();
+          if (arg.type !== 'number') {
+            throw new MaskSyntaxError(`${name.value}() takes whole numbers`, arg.position);
+          }
+          args.push(arg.value);
+        }
+        next();
+      }
+      if (args.length !== filter.args) {
+        const wanted = filter.args ? `${filter.args} argument, e.g. ${name.value}(40)` : 'no arguments';
+        throw new MaskSyntaxError(`${name.value} takes ${wanted}`, name.position);
+      }
+      node = { type: 'filter', name: name.value, args, input: node };
+    }
+    return node;
+  };
+
+  expression = () => {
+    const condition = piped();
+    if (!isOp('?')) {return condition;}
+    next();
+    const then = expression();
+    expect(':', '":" before the else branch');
+    const otherwise = expression();
+    return { type: 'conditional', condition, then, otherwise };
+  };
+
+  const tree = expression();
+  if (peek().type !== 'end') {
+    throw new MaskSyntaxError(`Unexpected ${describe(peek())}`, peek().position);
+  }
+  return tree;
+}
+
+// Split a mask into literal text and {expressions}; "{{" and "}}" are literal braces
+function parseMask(mask) {
+  const nodes = [];
+  const errors = [];
+  let text = '';
+  let i = 0;
+
+  while (i < mask.length) {
+    if (mask.startsWith('{{', i) || mask.startsWith('}}', i)) {
+      text += mask[i];
+      i += 2;
+      continue;
+    }
+    if (mask[i] === '}') {
+      errors.push({ position: i, message: 'Unmatched "}" (write "}}" for a literal brace)' });
+      i++;
+      continue;
+    }
+    if (mask[i] !== '{') {
+      text += mask[i++];
+      continue;
+    }
+
+    const end = mask.indexOf('}', i + 1);
+    if (end === -1) {
+      errors.push({ position: i, message: 'Unclosed "{"' });
+      break;
+    }
+    if (text) {
+      nodes.push({ type: 'text', value: text });
+      text = '';
+    }
+
+    const source = mask.slice(i + 1, end);
+    try {
+      if (!source.trim()) {
+        throw new MaskSyntaxError('Empty expression', i);
+      }
+      nodes.push({ type: 'expression', source, tree: parseMaskExpression(tokenizeMaskExpression(source, i + 1)) });
+    } catch (error) {
+      if (!(error instanceof MaskSyntaxError)) {throw error;}
+      errors.push({ position: error.position, message: error.message });
+    }
+    i = end + 1;
+  }
+
+  if (text) {nodes.push({ type: 'text', value: text });}
+  return { nodes, errors };
+}
+
+function evaluateMaskNode(node, values, now) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'token':
+      return node.format ? formatMaskDate(now, node.format) : values[node.name];
+    case 'not':
+      return evaluateMaskNode(node.operand, values, now) ? '' : 'true';
+    case 'fallback':
+      for (const option of node.options) {
+        const value = evaluateMaskNode(option, values, now);
+        if (value) {return value;}
+      }
+      return '';
+    case 'filter':
+      return MASK_FILTERS[node.name].apply(evaluateMaskNode(node.input, values, now), ...node.args);
+    case 'conditional':
+      return evaluateMaskNode(node.condition, values, now)
+        ? evaluateMaskNode(node.then, values, now)
+        : evaluateMaskNode(node.otherwise, values, now);
+    default:
+      return '';
+  }
+}
+
+// Token values, already safe to use inside a single path segment
+function buildMaskValues(ctx, now) {
   // Get appropriate counter
   const siteKey = ctx.host || 'global';
   if (!siteCounters[siteKey]) {siteCounters[siteKey] = 0;}
@@ -181,47 +462,111 @@ function applyMask(mask, ctx) {
   const sessionCounter = ++sessionCounters[siteKey];
   globalCounter = Math.max(globalCounter, counter);
   
-  let out = mask;
-  const replace = (token, value) => { 
-    out = out.replace(new RegExp(`\\*${token}\\*`,'gi'), sanitizeFilename(String(value || '')));
+  const urlParts = ctx.url ? parseUrl(ctx.url) : { path: '', query: '', hash: '' };
+  const raw = {
+    name: ctx.name || 'untitled',
+    num: String(counter).padStart(3, '0'),
+    ext: ctx.ext || '',
+    date: now.toISOString().slice(0, 10).replace(/-/g, ''), // YYYYMMDD
+    time: now.toTimeString().slice(0, 8).replace(/:/g, ''), // HHMMSS
+    timestamp: now.getTime().toString(),
+    host: ctx.host || '',
+    domain: extractDomain(ctx.host || ctx.url || ''),
+    subdirs: parseSubdirs(ctx.subdirs || ctx.url || ''),
+    url: ctx.url || '',
+    path: urlParts.path,
+    query: urlParts.query,
+    hash: urlParts.hash,
+    caption: ctx.caption || '',
+    title: ctx.title || '',
+    alt: ctx.alt || '',
+    credit: ctx.credit || '',
+    id: ctx.id || '',
+    resolution: ctx.resolution || '',
+    size: ctx.size || '',
+    type: ctx.type || '',
+    index: ctx.index || counter,
+    session: sessionCounter,
+    global: globalCounter
   };
   
-  // Core tokens
-  replace('name', ctx.name || 'untitled');
-  replace('num', String(counter).padStart(3,'0'));
-  replace('ext', ctx.ext || '');
-  replace('date', dateStr);
-  replace('time', timeStr);
-  replace('timestamp', timestamp);
-  replace('host', ctx.host || '');
-  replace('domain', extractDomain(ctx.host || ctx.url || ''));
-  replace('subdirs', parseSubdirs(ctx.subdirs || ctx.url || ''));
+  const values = {};
+  for (const [token, value] of Object.entries(raw)) {
+    values[token] = sanitizeFilename(String(value || ''));
+  }
+  return values;
+}
+
+function renderMask(nodes, values, now) {
+  const out = nodes.map(node => {
+    if (node.type === 'expression') {return evaluateMaskNode(node.tree, values, now);}
+    // *token* in plain text, as masks were written before {expressions}
+    return node.value.replace(/\*(\w+)\*/g, (match, token) => values[token.toLowerCase()] ?? match);
+  }).join('');
   
-  // Enhanced URL parsing tokens
-  if (ctx.url) {
-    const urlParts = parseUrl(ctx.url);
-    replace('url', ctx.url);
-    replace('path', urlParts.path);
-    replace('query', urlParts.query);
-    replace('hash', urlParts.hash);
-  } else {
-    replace('url', '');
-    replace('path', '');
-    replace('query', '');
-    replace('hash', '');
+  // "/" from the mask itself (or a date format) makes folders; empty and relative segments are dropped
+  return out.split(/[\\/]+/)
+    .map(segment => segment.trim())
+    .filter(segment => segment && segment !== '.' && segment !== '..')
+    .map(sanitizeFilename)
+    .join('/');
+}
+
+function applyMask(mask, ctx) {
+  if (!mask) {return ctx.name + (ctx.ext ? `.${ctx.ext}` : '');}
+  
+  const { nodes, errors } = parseMask(mask);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid filename mask: ${errors[0].message} at position ${errors[0].position + 1}`);
+    error.errors = errors;
+    throw error;
   }
   
-  // Additional context tokens
-  replace('caption', ctx.caption || '');
-  replace('id', ctx.id || '');
-  replace('resolution', ctx.resolution || '');
-  replace('size', ctx.size || '');
-  replace('type', ctx.type || '');
-  replace('index', ctx.index || counter);
-  replace('session', sessionCounter);
-  replace('global', globalCounter);
+  const now = new Date();
+  return renderMask(nodes, buildMaskValues(ctx, now), now);
+}
+
+// Render a mask against sample data without advancing the real counters
+function previewMask(mask, ctx = {}) {
+  const sample = {
+    name: 'IMG_2041',
+    ext: 'jpg',
+    host: 'www.example.com',
+    url: 'https://www.example.com/gallery/summer/IMG_2041.jpg?size=large',
+    caption: 'Boats in the harbour at dusk',
+    title: 'Harbour at dusk',
+    alt: 'Fishing boats moored in a harbour',
+    credit: 'Jane Doe / Example Agency',
+    id: 'item_1',
+    resolution: '4000x3000',
+    size: '2.4 MB',
+    type: 'jpg',
+    ...ctx
+  };
+  
+  const { nodes, errors } = parseMask(mask || '');
+  if (errors.length > 0) {
+    return { preview: null, valid: false, errors };
+  }
+  if (!mask) {
+    return { preview: applyMask(mask, sample), valid: true, errors };
+  }
   
-  return out;
+  const saved = { globalCounter, siteCounters: { ...siteCounters }, sessionCounters: { ...sessionCounters } };
+  try {
+    const now = new Date();
+    return { preview: renderMask(nodes, buildMaskValues(sample, now), now), valid: true, errors };
+  } finally {
+    ({ globalCounter, siteCounters, sessionCounters } = saved);
+  }
+}
+
+function getAvailableTokens() {
+  return Object.entries(MASK_TOKENS).map(([name, description]) => ({ name, description }));
+}
+
+function getMaskFilters() {
+  return Object.entries(MASK_FILTERS).map(([name, filter]) => ({ name, args: filter.args }));
 }
 
 function resetCounters() {
@@ -577,6 +922,9 @@ if (typeof self !== 'undefined') {
   // Service Worker/importScripts environment
   self.StepTwoUtils = StepTwoUtils;
   self.applyMask = applyMask;
+  self.previewMask = previewMask;
+  self.getAvailableTokens = getAvailableTokens;
+  self.getMaskFilters = getMaskFilters;
   self.resetCounters = resetCounters;
   self.getCounterStats = getCounterStats;
   self.KeyboardShortcuts = KeyboardShortcuts;
@@ -584,4 +932,4 @@ if (typeof self !== 'undefined') {
 }
 
 // ES modules export (commented out for importScripts compatibility)
-// export { StepTwoUtils, applyMask, resetCounters, getCounterStats, KeyboardShortcuts };
\ No newline at end of file
+// export { StepTwoUtils, applyMask, previewMask, getAvailableTokens, getMaskFilters, resetCounters, getCounterStats, KeyboardShortcuts };
\ No newline at end of file
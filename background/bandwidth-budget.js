@@ -0,0 +1,292 @@
+// bandwidth-budget.js - Session and daily byte caps for the download queue
+// Estimates large runs up front and pauses DownloadQueue when a cap is reached
+
+class BandwidthBudget {
+  constructor(queue, options = {}) {
+    this.queue = queue;
+    this.options = {
+      storageKey: options.storageKey || 'bandwidthBudget',
+      alarmName: options.alarmName || 'steptwo-bandwidth-budget',
+      estimateThreshold: options.estimateThreshold || 10000, // Estimate runs of this many items or more
+      sampleSize: options.sampleSize || 50, // HEAD requests per estimate
+      sampleConcurrency: options.sampleConcurrency || 5,
+      headTimeout: options.headTimeout || 5000,
+      saveDelay: options.saveDelay || 2000,
+      notify: options.notify || (() => {}), // (type, message) - e.g. ChromeNotificationSystem.show
+      ...options
+    };
+
+    this.limits = { sessionCap: 0, dailyCap: 0 }; // Bytes, 0 = no cap
+    this.usage = this.emptyUsage();
+    this.pausedByBudget = null; // 'session' or 'daily' while we hold the queue
+    this.overrun = null; // Cap the user chose to run past until it resets
+    this.saveTimeout = null;
+
+    this.queue.setLargeRunHook(items => this.checkLargeRun(items));
+    this.ready = this.load();
+  }
+
+  emptyUsage() {
+    return {
+      day: BandwidthBudget.dayKey(),
+      dayBytes: 0,
+      dayHosts: {},
+      sessionBytes: 0,
+      sessionHosts: {},
+      sessionStartedAt: Date.now()
+    };
+  }
+
+  // Local calendar day, so the daily cap resets at the user's midnight
+  static dayKey(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  static nextMidnight(date = new Date()) {
+    const midnight = new Date(date);
+    midnight.setHours(24, 0, 0, 0);
+    return midnight.getTime();
+  }
+
+  async load() {
+    try {
+      const stored = await chrome.storage.local.get(this.options.storageKey);
+      const saved = stored[this.options.storageKey];
+      if (saved) {
+        this.limits = { ...this.limits, ...(saved.limits || {}) };
+        this.usage = { ...this.usage, ...(saved.usage || {}) };
+        this.pausedByBudget = saved.pausedByBudget || null;
+        this.overrun = saved.overrun || null;
+      }
+      this.rollOver();
+    } catch (error) {
+      console.error('Failed to load bandwidth budget:', error);
+    }
+  }
+
+  async save() {
+    clearTimeout(this.saveTimeout);
+    this.saveTimeout = null;
+    await chrome.storage.local.set({
+      [this.options.storageKey]: {
+        limits: this.limits,
+        usage: this.usage,
+        pausedByBudget: this.pausedByBudget,
+        overrun: this.overrun
+      }
+    });
+  }
+
+  scheduleSave() {
+    if (this.saveTimeout) {return;}
+    this.saveTimeout = setTimeout(() => {
+      this.save().catch(error => console.error('Failed to save bandwidth budget:', error));
+    }, this.options.saveDelay);
+  }
+
+  async setLimits({ sessionCap, dailyCap } = {}) {
+    await this.ready;
+    for (const [name, value] of Object.entries({ sessionCap, dailyCap })) {
+      if (value === undefined) {continue;}
+      const bytes = Number(value) || 0;
+      if (bytes < 0) {
+        throw new Error(`${name} must be zero (no cap) or a positive number of bytes`);
+      }
+      this.limits[name] = bytes;
+    }
+    // New limits replace any earlier decision to run past the old ones
+    this.overrun = null;
+    await this.save();
+    await this.enforce();
+    return this.getStatus();
+  }
+
+  async resetSession() {
+    await this.ready;
+    const { day, dayBytes, dayHosts } = this.usage;
+    this.usage = { ...this.emptyUsage(), day, dayBytes, dayHosts };
+    if (this.overrun === 'session') {this.overrun = null;}
+    await this.save();
+    await this.enforce();
+  }
+
+  // A new day clears the daily counters
+  rollOver() {
+    const today = BandwidthBudget.dayKey();
+    if (this.usage.day === today) {return false;}
+    this.usage = { ...this.usage, day: today, dayBytes: 0, dayHosts: {} };
+    if (this.overrun === 'daily') {this.overrun = null;}
+    this.scheduleSave();
+    return true;
+  }
+
+  // The cap that has been reached ('session' or 'daily'), ignoring one the user chose to run past
+  exceededCap() {
+    this.rollOver();
+    const { sessionCap, dailyCap } = this.limits;
+    if (sessionCap && this.usage.sessionBytes >= sessionCap && this.overrun !== 'session') {return 'session';}
+    if (dailyCap && this.usage.dayBytes >= dailyCap && this.overrun !== 'daily') {return 'daily';}
+    return null;
+  }
+
+  record(host, bytes) {
+    if (!(bytes > 0)) {return;}
+    this.rollOver();
+    this.usage.sessionBytes += bytes;
+    this.usage.dayBytes += bytes;
+    this.usage.sessionHosts[host] = (this.usage.sessionHosts[host] || 0) + bytes;
+    this.usage.dayHosts[host] = (this.usage.dayHosts[host] || 0) + bytes;
+    this.scheduleSave();
+  }
+
+  // Pause the queue at a cap, or resume it if we paused it and the cap no longer applies
+  async enforce() {
+    const cap = this.exceededCap();
+
+    if (cap && !this.queue.paused) {
+      this.queue.pause();
+      this.pausedByBudget = cap;
+      await this.save();
+
+      const used = StepTwoUtils.formatFileSize(cap === 'session' ? this.usage.sessionBytes : this.usage.dayBytes);
+      const limit = StepTwoUtils.formatFileSize(this.limits[`${cap}Cap`]);
+      console.log(`📶 ${cap === 'session' ? 'Session' : 'Daily'} download cap reached (${used} of ${limit}) - queue paused`);
+      this.options.notify('warning', `${cap === 'session' ? 'Session' : 'Daily'} download cap of ${limit} reached (${used} downloaded). The queue is paused.`);
+
+      if (cap === 'daily') {
+        chrome.alarms.create(this.options.alarmName, { when: BandwidthBudget.nextMidnight() });
+      }
+    } else if (!cap && this.pausedByBudget) {
+      console.log('📶 Download cap lifted - queue resumed');
+      this.pausedByBudget = null;
+      await this.save();
+      this.queue.resume();
+    }
+  }
+
+  // Keep running past the current cap until it resets (a manual "resume anyway")
+  async allowOverrun() {
+    await this.ready;
+    this.overrun = this.exceededCap();
+    this.pausedByBudget = null;
+    await this.save();
+  }
+
+  // A manual pause should not be undone when a cap resets
+  noteManualPause() {
+    if (this.pausedByBudget) {
+      this.pausedByBudget = null;
+      this.scheduleSave();
+    }
+  }
+
+  handleAlarm(alarm) {
+    if (alarm.name !== this.options.alarmName) {return false;}
+    this.rollOver();
+    this.enforce().catch(error => console.error('Failed to apply bandwidth budget:', error));
+    return true;
+  }
+
+  handleQueueProgress(progress) {
+    if (!progress) {return;}
+
+    // Bytes are on disk once Chrome finishes, whether or not the file passes verification
+    if ((progress.state === 'completed' || progress.state === 'corrupt_file') && progress.job?.fileSize) {
+      this.record(new URL(progress.job.url).host, progress.job.fileSize);
+      this.enforce().catch(error => console.error('Failed to apply bandwidth budget:', error));
+    } else if (progress.state === 'resumed' && this.exceededCap()) {
+      // Resumed by something else (e.g. a download window opening) while over a cap
+      this.enforce().catch(error => console.error('Failed to apply bandwidth budget:', error));
+    }
+  }
+
+  // Estimate the bytes a run will take from item sizes or HEAD requests for a sample of items
+  async estimate(items, { sampleSize = this.options.sampleSize } = {}) {
+    const step = Math.max(1, items.length / sampleSize);
+    const sample = [];
+    for (let index = 0; index < items.length && sample.length < sampleSize; index += step) {
+      sample.push(items[Math.floor(index)]);
+    }
+
+    const sizes = [];
+    for (let i = 0; i < sample.length; i += this.options.sampleConcurrency) {
+      const batch = sample.slice(i, i + this.options.sampleConcurrency);
+      const results = await Promise.all(batch.map(item => this.itemSize(item))); // eslint-disable-line no-await-in-loop
+      sizes.push(...results.filter(size => size > 0));
+    }
+
+    const average = sizes.length > 0 ? sizes.reduce((sum, size) => sum + size, 0) / sizes.length : 0;
+    const estimatedBytes = Math.round(average * items.length);
+
+    return {
+      items: items.length,
+      sampled: sample.length,
+      measured: sizes.length,
+      averageBytes: Math.round(average),
+      estimatedBytes,
+      ...this.compareWithLimits(estimatedBytes)
+    };
+  }
+
+  compareWithLimits(bytes) {
+    this.rollOver();
+    const { sessionCap, dailyCap } = this.limits;
+    const sessionRemaining = sessionCap ? Math.max(0, sessionCap - this.usage.sessionBytes) : null;
+    const dailyRemaining = dailyCap ? Math.max(0, dailyCap - this.usage.dayBytes) : null;
+    return {
+      sessionRemaining,
+      dailyRemaining,
+      exceedsSession: sessionRemaining !== null && bytes > sessionRemaining,
+      exceedsDaily: dailyRemaining !== null && bytes > dailyRemaining
+    };
+  }
+
+  async itemSize(item) {
+    if (item.fileSize > 0) {return item.fileSize;}
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.options.headTimeout);
+    try {
+      const response = await fetch(item.url, { method: 'HEAD', credentials: 'include', signal: controller.signal });
+      return response.ok ? parseInt(response.headers.get('content-length') || '0', 10) : 0;
+    } catch (error) {
+      return 0;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  // Called by DownloadQueue.addItems before it switches a large gallery into performance mode
+  async checkLargeRun(items) {
+    if (items.length < this.options.estimateThreshold) {return null;}
+    await this.ready;
+
+    const estimate = await this.estimate(items);
+    if (estimate.exceedsSession || estimate.exceedsDaily) {
+      const remaining = Math.min(...[estimate.sessionRemaining, estimate.dailyRemaining].filter(value => value !== null));
+      const message = `This run of ${items.length} items is estimated at ${StepTwoUtils.formatFileSize(estimate.estimatedBytes)}, ` +
+        `more than the ${StepTwoUtils.formatFileSize(remaining)} left in your ${estimate.exceedsSession ? 'session' : 'daily'} budget.`;
+      console.warn(`📶 ${message}`);
+      this.options.notify('warning', message);
+    }
+    return estimate;
+  }
+
+  getStatus() {
+    this.rollOver();
+    return {
+      limits: { ...this.limits },
+      usage: { ...this.usage },
+      exceeded: this.exceededCap(),
+      pausedByBudget: this.pausedByBudget,
+      overrun: this.overrun,
+      ...this.compareWithLimits(0)
+    };
+  }
+}
+
+// Export for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.BandwidthBudget = BandwidthBudget;
+}
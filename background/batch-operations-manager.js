@@ -235,7 +235,7 @@ class BatchOperationsManager {
       // Inject the scraper script
       await chrome.scripting.executeScript({
         target: { tabId: tabId },
-        files: ['content/scraper.js']
+        files: ['content/srcset-resolver.js', 'content/scraper.js']
       });
 
       // Send message to start scraping
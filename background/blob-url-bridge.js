@@ -0,0 +1,68 @@
+// blob-url-bridge.js - Service-worker side of offscreen-blobs.html
+// Creates blob: URLs for bytes the background has modified so chrome.downloads can save them
+
+class BlobUrlBridge {
+  constructor(options = {}) {
+    this.options = {
+      documentUrl: options.documentUrl || 'background/offscreen-blobs.html',
+      ...options
+    };
+
+    this.creating = null; // In-flight createDocument call, shared by concurrent callers
+  }
+
+  static toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  async ensureDocument() {
+    if (await chrome.offscreen.hasDocument()) {return;}
+
+    if (!this.creating) {
+      this.creating = chrome.offscreen.createDocument({
+        url: this.options.documentUrl,
+        reasons: ['BLOBS'],
+        justification: 'Save images whose metadata was embedded by the extension, and large export files'
+      }).finally(() => { this.creating = null; });
+    }
+    await this.creating;
+  }
+
+  async createUrl(bytes, mimeType) {
+    await this.ensureDocument();
+    const response = await chrome.runtime.sendMessage({
+      target: 'offscreen-blobs',
+      type: 'CREATE_BLOB_URL',
+      data: BlobUrlBridge.toBase64(bytes),
+      mimeType
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Offscreen document did not create a blob URL');
+    }
+    return response.url;
+  }
+
+  // blob: URL for a file in the origin private file system, e.g. an export volume
+  async createFileUrl(path) {
+    await this.ensureDocument();
+    const response = await chrome.runtime.sendMessage({ target: 'offscreen-blobs', type: 'CREATE_FILE_URL', path });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Offscreen document did not create a file URL');
+    }
+    return response.url;
+  }
+
+  revoke(url) {
+    if (!url || !url.startsWith('blob:')) {return;}
+    chrome.runtime.sendMessage({ target: 'offscreen-blobs', type: 'REVOKE_BLOB_URL', url }).catch(() => {});
+  }
+}
+
+// Export for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.BlobUrlBridge = BlobUrlBridge;
+}
@@ -0,0 +1,194 @@
+// checksum-manifest.js - SHA-256 manifest of every file saved by DownloadQueue
+// Kept in IndexedDB across sessions so an archive can be exported and re-verified later
+
+class ChecksumManifest {
+  constructor(options = {}) {
+    this.options = {
+      dbName: options.dbName || 'StepTwoChecksumManifest',
+      dbVersion: options.dbVersion || 1,
+      maxHashBytes: options.maxHashBytes || 500 * 1024 * 1024, // Skip hashing anything larger than 500MB
+      ...options
+    };
+
+    this.db = null;
+  }
+
+  async open() {
+    if (this.db) {return this.db;}
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.options.dbName, this.options.dbVersion);
+
+      request.onerror = () => reject(request.error);
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+
+        if (!db.objectStoreNames.contains('entries')) {
+          const store = db.createObjectStore('entries', { keyPath: 'id' });
+          store.createIndex('sha256', 'sha256', { unique: false });
+          store.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+      };
+    });
+  }
+
+  static async sha256(buffer) {
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // 429/503: the caller backs off rather than treating the file as unavailable and asking again
+  static throttledError(response) {
+    return Object.assign(new Error(`HTTP ${response.status}`), {
+      throttled: true,
+      status: response.status,
+      retryAfter: response.headers.get('retry-after')
+    });
+  }
+
+  // Extensions can't read saved files back, so hash the same resource as served by the origin.
+  // null if it can't be fetched or is larger than maxBytes; throws throttledError on 429/503
+  static async fetchAndHash(url, maxBytes = Infinity) {
+    const controller = new AbortController();
+    try {
+      const response = await fetch(url, { credentials: 'include', signal: controller.signal });
+      if (response.status === 429 || response.status === 503) {throw ChecksumManifest.throttledError(response);}
+      if (!response.ok) {return null;}
+
+      const length = parseInt(response.headers.get('content-length') || '0', 10);
+      if (length > maxBytes) {
+        controller.abort();
+        return null;
+      }
+
+      // Chunked responses have no length up front, so count while reading
+      const chunks = [];
+      let size = 0;
+      const reader = response.body.getReader();
+      for (;;) {
+        const { done, value } = await reader.read(); // eslint-disable-line no-await-in-loop
+        if (done) {break;}
+        size += value.length;
+        if (size > maxBytes) {
+          controller.abort();
+          return null;
+        }
+        chunks.push(value);
+      }
+
+      const bytes = new Uint8Array(size);
+      let offset = 0;
+      for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+      }
+      return {
+        bytes,
+        size,
+        sha256: await ChecksumManifest.sha256(bytes)
+      };
+    } catch (error) {
+      if (error.throttled) {throw error;}
+      console.warn(`Failed to hash ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  fetchAndHash(url) {
+    return ChecksumManifest.fetchAndHash(url, this.options.maxHashBytes);
+  }
+
+  // Path relative to the downloads folder, using the name Chrome actually saved under
+  static relativePath(job, download) {
+    const requested = (job.filename || '').split(/[\\/]/);
+    const saved = (download?.filename || '').split(/[\\/]/).pop();
+    if (saved) {requested[requested.length - 1] = saved;}
+    return requested.filter(Boolean).join('/');
+  }
+
+  async record(job, download, hashed = null) {
+    const size = job.fileSize || download?.fileSize || 0;
+    let sha256 = null;
+    let hashNote = null;
+
+    if (!hashed) {
+      hashNote = 'unavailable';
+    } else if (hashed.size !== size) {
+      // The origin served different bytes than we saved; don't vouch for either
+      hashNote = `size-mismatch (${hashed.size} bytes re-fetched)`;
+    } else {
+      sha256 = hashed.sha256;
+    }
+
+    const entry = {
+      id: job.id,
+      path: download?.filename || job.finalPath || job.filename,
+      relativePath: ChecksumManifest.relativePath(job, download),
+      url: job.url,
+      referrer: job.referrer || null,
+      timestamp: new Date(job.completedAt || Date.now()).toISOString(),
+      size,
+      sha256,
+      hashNote
+    };
+
+    const db = await this.open();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(['entries'], 'readwrite');
+      transaction.objectStore('entries').put(entry);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    return entry;
+  }
+
+  async findBySha256(sha256) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(['entries'], 'readonly').objectStore('entries').index('sha256').getAll(sha256);
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getAll() {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['entries'], 'readonly');
+      const request = transaction.objectStore('entries').index('timestamp').getAll();
+      transaction.oncomplete = () => resolve(request.result || []);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async count() {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(['entries'], 'readonly').objectStore('entries').count();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async clear() {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['entries'], 'readwrite');
+      transaction.objectStore('entries').clear();
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+}
+
+// Export for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.ChecksumManifest = ChecksumManifest;
+}
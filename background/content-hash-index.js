@@ -0,0 +1,132 @@
+// content-hash-index.js - Persistent index of content hashes for files saved by DownloadQueue
+// Lets the queue skip an asset it already saved under a different URL, in this session or an earlier one
+
+class ContentHashIndex {
+  constructor(options = {}) {
+    this.options = {
+      dbName: options.dbName || 'StepTwoContentHashIndex',
+      dbVersion: options.dbVersion || 1,
+      maxHashBytes: options.maxHashBytes || 100 * 1024 * 1024, // Larger files are saved without a content check
+      ...options
+    };
+
+    this.db = null;
+    this.perceptualCache = null; // sha256 -> perceptual hash, loaded on first near-duplicate lookup
+  }
+
+  async open() {
+    if (this.db) {return this.db;}
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.options.dbName, this.options.dbVersion);
+
+      request.onerror = () => reject(request.error);
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+
+        if (!db.objectStoreNames.contains('hashes')) {
+          const store = db.createObjectStore('hashes', { keyPath: 'sha256' });
+          store.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+      };
+    });
+  }
+
+  fetchAndHash(url) {
+    return ChecksumManifest.fetchAndHash(url, this.options.maxHashBytes);
+  }
+
+  async find(sha256) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(['hashes'], 'readonly').objectStore('hashes').get(sha256);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Closest earlier file whose perceptual hash is at least `threshold` similar
+  async findSimilar(perceptualHash, threshold, similarity) {
+    if (!this.perceptualCache) {
+      this.perceptualCache = new Map();
+      for (const entry of await this.getAll()) {
+        if (entry.perceptualHash) {this.perceptualCache.set(entry.sha256, entry.perceptualHash);}
+      }
+    }
+
+    let best = null;
+    for (const [sha256, candidate] of this.perceptualCache) {
+      const score = similarity(perceptualHash, candidate);
+      if (score >= threshold && (!best || score > best.similarity)) {
+        best = { sha256, similarity: score };
+      }
+    }
+    if (!best) {return null;}
+
+    const entry = await this.find(best.sha256);
+    return entry ? { entry, similarity: best.similarity } : null;
+  }
+
+  // The first file saved with a given hash stays the canonical copy
+  async add(entry) {
+    const db = await this.open();
+    const record = { ...entry, timestamp: entry.timestamp || new Date().toISOString() };
+
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(['hashes'], 'readwrite');
+      const store = transaction.objectStore('hashes');
+      const existing = store.get(record.sha256);
+      existing.onsuccess = () => {
+        if (!existing.result) {store.put(record);}
+      };
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    if (this.perceptualCache && record.perceptualHash && !this.perceptualCache.has(record.sha256)) {
+      this.perceptualCache.set(record.sha256, record.perceptualHash);
+    }
+    return record;
+  }
+
+  async getAll() {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['hashes'], 'readonly');
+      const request = transaction.objectStore('hashes').index('timestamp').getAll();
+      transaction.oncomplete = () => resolve(request.result || []);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async count() {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(['hashes'], 'readonly').objectStore('hashes').count();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async clear() {
+    const db = await this.open();
+    this.perceptualCache = null;
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['hashes'], 'readwrite');
+      transaction.objectStore('hashes').clear();
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+}
+
+// Export for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.ContentHashIndex = ContentHashIndex;
+}
@@ -0,0 +1,245 @@
+// download-history.js - Searchable IndexedDB history of every job DownloadQueue finished
+// Answers "did we already pull this?" long after the queue's own lists have been cleared
+
+class DownloadHistory {
+  constructor(options = {}) {
+    this.options = {
+      dbName: options.dbName || 'StepTwoDownloadHistory',
+      dbVersion: options.dbVersion || 1,
+      pageSize: options.pageSize || 100,
+      sessionId: options.sessionId || (() => null), // () -> id of the active download session
+      siteProfile: options.siteProfile || (() => null), // host -> site profile name
+      ...options
+    };
+
+    this.db = null;
+  }
+
+  static get STATUSES() {
+    return ['completed', 'failed', 'duplicate'];
+  }
+
+  async open() {
+    if (this.db) {return this.db;}
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.options.dbName, this.options.dbVersion);
+
+      request.onerror = () => reject(request.error);
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+
+        if (!db.objectStoreNames.contains('downloads')) {
+          const store = db.createObjectStore('downloads', { keyPath: 'id' });
+          store.createIndex('url', 'url', { unique: false });
+          store.createIndex('host', 'host', { unique: false });
+          store.createIndex('timestamp', 'timestamp', { unique: false });
+          store.createIndex('sha256', 'sha256', { unique: false });
+          // Every URL a page might show for the file (image, thumbnail, detail link)
+          store.createIndex('lookupKeys', 'lookupKeys', { unique: false, multiEntry: true });
+        }
+      };
+    });
+  }
+
+  // Fragments never change what a URL serves
+  static normalizeUrl(url) {
+    return typeof url === 'string' && url ? url.split('#')[0] : null;
+  }
+
+  static lookupKeys(entry) {
+    const keys = [entry.url, entry.thumbnail, entry.link].map(DownloadHistory.normalizeUrl).filter(Boolean);
+    return [...new Set(keys)];
+  }
+
+  handleQueueProgress(progress) {
+    if (!progress?.job) {return;}
+
+    const status = { completed: 'completed', failed: 'failed', duplicate_skipped: 'duplicate' }[progress.state];
+    if (!status) {return;}
+
+    this.record(progress.job, status, progress.downloadId)
+      .catch(error => console.error('Failed to record download history:', error));
+  }
+
+  // One entry per job; a later attempt at the same job replaces the earlier one
+  async record(job, status, downloadId = job.downloadId) {
+    let host = '';
+    try {
+      host = new URL(job.url).host;
+    } catch (error) {
+      // Keep the entry even if the URL is odd
+    }
+
+    let siteProfile = null;
+    try {
+      siteProfile = this.options.siteProfile(host);
+    } catch (error) {
+      console.warn(`Failed to resolve site profile for ${host}:`, error);
+    }
+
+    const entry = {
+      id: job.id,
+      url: job.url,
+      filename: job.filename || null,
+      path: job.finalPath || null,
+      host,
+      size: job.fileSize || 0,
+      sha256: job.sha256 || job.contentHash || null,
+      mime: job.mime || null,
+      status,
+      error: status === 'failed' ? (job.finalError || job.error || null) : null,
+      duplicateOf: job.duplicateOf ? (job.duplicateOf.path || job.duplicateOf.url) : null,
+      downloadId: downloadId ?? null,
+      sessionId: this.options.sessionId() || null,
+      siteProfile,
+      thumbnail: job.thumbnail || job.metadata?.thumbnail || null,
+      link: job.link || job.metadata?.link || null,
+      sourceUrl: job.metadata?.sourceUrl && job.metadata.sourceUrl !== 'unknown' ? job.metadata.sourceUrl : null,
+      referrer: job.referrer || null,
+      metadata: job.metadata || null,
+      timestamp: job.completedAt || job.failedAt || job.skippedAt || Date.now()
+    };
+    entry.lookupKeys = DownloadHistory.lookupKeys(entry);
+
+    const db = await this.open();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(['downloads'], 'readwrite');
+      transaction.objectStore('downloads').put(entry);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+    return entry;
+  }
+
+  async get(id) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(['downloads'], 'readonly').objectStore('downloads').get(id);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Newest first. `query` matches URL, filename and host; from/to are timestamps in ms
+  async search({ query = '', host = '', status = '', sessionId = '', from = null, to = null, offset = 0, limit = this.options.pageSize } = {}) {
+    const db = await this.open();
+    const needle = query.trim().toLowerCase();
+    const range = from || to
+      ? IDBKeyRange.bound(from || 0, to || Number.MAX_SAFE_INTEGER)
+      : null;
+
+    const matches = entry => (!host || entry.host === host) &&
+      (!status || entry.status === status) &&
+      (!sessionId || entry.sessionId === sessionId) &&
+      (!needle || [entry.url, entry.filename, entry.path, entry.host].some(value => value && value.toLowerCase().includes(needle)));
+
+    return new Promise((resolve, reject) => {
+      const entries = [];
+      let skipped = 0;
+      let hasMore = false;
+
+      const transaction = db.transaction(['downloads'], 'readonly');
+      const request = transaction.objectStore('downloads').index('timestamp').openCursor(range, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {return;}
+
+        if (matches(cursor.value)) {
+          if (skipped < offset) {
+            skipped++;
+          } else if (entries.length < limit) {
+            entries.push(cursor.value);
+          } else {
+            hasMore = true;
+            return;
+          }
+        }
+        cursor.continue();
+      };
+      transaction.oncomplete = () => resolve({ entries, hasMore });
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Most recent completed download for each URL, matched against the saved image, its
+  // thumbnail or its detail-page link - for "already downloaded" checks on a live page
+  async lookup(urls = []) {
+    const db = await this.open();
+    const found = {};
+
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(['downloads'], 'readonly');
+      const index = transaction.objectStore('downloads').index('lookupKeys');
+      for (const url of new Set(urls)) {
+        const key = DownloadHistory.normalizeUrl(url);
+        if (!key) {continue;}
+        const request = index.getAll(key);
+        request.onsuccess = () => {
+          const completed = (request.result || [])
+            .filter(entry => entry.status === 'completed')
+            .sort((a, b) => b.timestamp - a.timestamp);
+          if (completed.length > 0) {found[url] = completed[0];}
+        };
+      }
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    return found;
+  }
+
+  async hasDownloaded(item) {
+    const urls = [item.url, item.thumbnail, item.link].filter(Boolean);
+    if (urls.length === 0) {return false;}
+    const found = await this.lookup(urls);
+    return Object.keys(found).length > 0;
+  }
+
+  async getHosts() {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const hosts = [];
+      const transaction = db.transaction(['downloads'], 'readonly');
+      const request = transaction.objectStore('downloads').index('host').openKeyCursor(null, 'nextunique');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {return;}
+        if (cursor.key) {hosts.push(cursor.key);}
+        cursor.continue();
+      };
+      transaction.oncomplete = () => resolve(hosts);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async count() {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(['downloads'], 'readonly').objectStore('downloads').count();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async clear() {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['downloads'], 'readwrite');
+      transaction.objectStore('downloads').clear();
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+}
+
+// Export for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.DownloadHistory = DownloadHistory;
+}
@@ -4,7 +4,7 @@
 // Note: ES6 export commented out for importScripts compatibility
 // export class DownloadQueue {
 class DownloadQueue {
-  constructor({concurrency = 5, retryLimit = 3, hostLimit = 3, maxConcurrency = 10, maxHostLimit = 10, retryConfig = {}} = {}) {
+  constructor({concurrency = 5, retryLimit = 3, hostLimit = 3, maxConcurrency = 10, maxHostLimit = 10, retryConfig = {}, journal = null, rateLimits = {}, integrity = {}, manifest = null, hashIndex = null, sidecars = null, embedder = null, history = null} = {}) {
     this.concurrency = concurrency;
     this.hostLimit = hostLimit;
     this.retryLimit = retryLimit;
@@ -33,6 +33,7 @@ class DownloadQueue {
     this.active = new Map(); // downloadId -> job
     this.completed = [];
     this.failed = [];
+    this.retrying = new Map(); // jobId -> job waiting out its retry delay
     this.duplicates = new Set(); // Track duplicate URLs/hashes
     this.contentHashes = new Map(); // For content-based deduplication
     this.onProgress = () => {};
@@ -65,6 +66,7 @@ class DownloadQueue {
       rateLimitHits: 0,
       serverErrors: 0,
       networkErrors: 0,
+      corruptFiles: 0,
       retriesByType: {}
     };
     
@@ -76,8 +78,60 @@ class DownloadQueue {
     this.filters.largeScaleThreshold = 1000;
     this.filters.batchProcessingSize = 20;
     this.filters.enableIncrementalProcessing = true;
+    this.filters.nearDuplicates = false; // Also skip perceptually similar images (needs PerceptualDuplicateDetector)
+    this.filters.nearDuplicateThreshold = 0.95;
+    this.filters.duplicatePolicy = 'largest-area'; // Which near-duplicate survives, see PerceptualDuplicateDetector.DUPLICATE_POLICIES
+    this.filters.onlyNew = false; // Skip anything an earlier session already downloaded (needs history)
     this.errors = [];
     this.hostQueue = new Map(); // Track per-host queue limits
+    
+    // Persistence across service-worker restarts (see queue-journal.js)
+    this.journal = journal;
+    this.queueHead = 0; // Lowest queue position handed out (front inserts)
+    this.queueTail = 0; // Highest queue position handed out (back inserts)
+    
+    // Priority lanes, highest first - the queue array stays grouped in this order
+    this.priorityLanes = ['urgent', 'normal', 'background'];
+    
+    // Optional per-host gate, e.g. scheduled download windows (see download-scheduler.js)
+    this.hostGate = () => true;
+    
+    // Optional check before a large batch is queued, e.g. a bandwidth estimate (see bandwidth-budget.js)
+    this.largeRunHook = null;
+    
+    // Per-host request/byte budgets (see host-rate-limiter.js)
+    this.rateLimiter = new HostRateLimiter(rateLimits);
+    this.rateLimitHints = new Map(); // url -> {retryAfter, at} from 429/503 responses seen on the wire
+    this.rateLimitTimer = null;
+    this.rateLimitWakeAt = 0;
+    
+    // Post-download checks for truncated or mislabelled files (see download-verifier.js)
+    this.verifier = new DownloadVerifier(integrity);
+    
+    // SHA-256 record of every saved file (see checksum-manifest.js)
+    this.manifest = manifest;
+    
+    // Content hashes of earlier downloads, checked before saving when skipDuplicates is on (see content-hash-index.js)
+    this.hashIndex = hashIndex;
+    this.prefetching = new Map(); // jobId -> job being fetched and hashed before it is saved
+    this.prefetchedContent = new Map(); // jobId -> {bytes, size, sha256} from that fetch, reused by _verifyDownload
+    this.skippedDuplicates = []; // Jobs skipped because their content was already saved
+    this.perceptualDetector = null;
+    
+    // XMP/JSON metadata files written next to each download (see sidecar-writer.js)
+    this.sidecars = sidecars;
+    
+    // Captions written into JPEGs before they are saved (see jpeg-metadata-embedder.js)
+    this.embedder = embedder;
+    
+    // Every earlier download, for the onlyNew filter (see download-history.js)
+    this.history = history;
+    
+    // What to do when a file name is already taken; items and site profiles can override it
+    this.conflictPolicy = 'uniquify';
+    this.conflictPolicyResolver = () => null; // host -> policy, e.g. from a site profile
+    this.hostConflictPolicies = new Map(); // host -> resolved policy, looked up once per host
+    this.assignedNames = new Map(); // lowercased filename -> {jobId, url, sha256} handed out this session
   }
 
   // Enhanced performance optimization with adaptive concurrency for large galleries
@@ -157,6 +211,11 @@ class DownloadQueue {
   }
 
   async addItems(items, options = {}) {
+    // addItemsBatch checks the whole run once rather than each slice of it
+    if (!options.largeRunChecked) {
+      await this.checkLargeRun(items);
+    }
+    
     // Enable performance mode for large galleries (1000+ images)
     if (items.length >= 1000) {
       this.enablePerformanceMode(items.length);
@@ -169,19 +228,24 @@ class DownloadQueue {
       processedItems.filter(item => this.passesFilters(item));
     
     // Check for duplicates if enabled
-    const uniqueItems = this.filters.skipDuplicates ? 
+    const dedupedItems = this.filters.skipDuplicates ? 
       await this.removeDuplicates(filteredItems) : filteredItems;
     
+    const uniqueItems = this.filters.onlyNew ?
+      await this.removeEarlierDownloads(dedupedItems) : dedupedItems;
+    
     // Add to queue
     uniqueItems.forEach(item => {
       item.id = this.generateItemId();
       item.addedAt = Date.now();
       item.status = 'queued';
       item.retryCount = 0;
-      this.queue.push(item);
+      item.priority = item.priority || options.priority;
+      this._enqueue(item);
     });
     
     this.stats.totalItems = this.queue.length + this.completed.length + this.failed.length;
+    this._journalMeta();
     this.onProgress({
       state: 'items_added',
       added: uniqueItems.length,
@@ -445,6 +509,26 @@ class DownloadQueue {
     return true;
   }
 
+  // Drop items the download history already has, matched on image, thumbnail or detail-page URL
+  async removeEarlierDownloads(items) {
+    if (!this.history || items.length === 0) {return items;}
+    
+    let found;
+    try {
+      found = await this.history.lookup(items.flatMap(item => [item.url, item.thumbnail, item.link].filter(Boolean)));
+    } catch (error) {
+      console.warn('Download history lookup failed, keeping all items:', error);
+      return items;
+    }
+    
+    return items.filter(item => {
+      const earlier = [item.url, item.thumbnail, item.link].map(url => url && found[url]).find(Boolean);
+      if (!earlier || item.redownloadOf) {return true;}
+      this.logFilter(item, 'already_downloaded', earlier.path || earlier.filename || earlier.url);
+      return false;
+    });
+  }
+
   logFilter(item, reason, details) {
     this.stats.skipped++;
     this.onProgress({
@@ -470,7 +554,8 @@ class DownloadQueue {
   generateFilename(item) {
     // Use filename mask if available
     if (this.filenameMask) {
-      return this.applyFilenameMask(item);
+      const masked = this.applyFilenameMask(item);
+      if (masked) {return masked;}
     }
     
     // Extract from URL
@@ -489,12 +574,33 @@ class DownloadQueue {
     }
   }
 
-  applyFilenameMask(item) {
-    // This would integrate with the enhanced filename-mask.js
-    // Placeholder implementation
-    const timestamp = Date.now();
-    const extension = this.getFileExtension(item.url) || 'jpg';
-    return `${item.name || 'download'}_${timestamp}.${extension}`;
+  // Mask output may contain "/" to save into subfolders; null falls back to the URL's filename
+  applyFilenameMask(item, mask = this.filenameMask) {
+    const url = item.url || item.src || item.href;
+    const meta = { ...item, ...(item.metadata || {}) };
+    const basename = (url || '').split(/[?#]/)[0].split('/').pop() || '';
+    const dot = basename.lastIndexOf('.');
+    const extension = this.getFileExtension(url || '') || 'jpg';
+    
+    try {
+      return applyMask(mask, {
+        name: item.name || decodeURIComponent(dot > 0 ? basename.slice(0, dot) : basename),
+        ext: extension.toLowerCase(),
+        url,
+        host: StepTwoUtils.getHostname(url),
+        caption: meta.caption,
+        title: meta.title,
+        alt: meta.alt,
+        credit: meta.credit,
+        id: item.id,
+        index: meta.index,
+        resolution: meta.width && meta.height ? `${meta.width}x${meta.height}` : '',
+        type: extension.toLowerCase()
+      });
+    } catch (error) {
+      console.warn(`Filename mask not applied to ${url}:`, error.message);
+      return null;
+    }
   }
 
   sanitizeFilename(filename) {
@@ -508,6 +614,28 @@ class DownloadQueue {
     return `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  pause() {
+    this.paused = true;
+    this._journalMeta();
+    this.onProgress({state: 'paused', stats: this.getStats()});
+  }
+
+  resume() {
+    this.paused = false;
+    this.stopped = false;
+    this._journalMeta();
+    this.onProgress({state: 'resumed', stats: this.getStats()});
+    this._fillSlots();
+  }
+
+  // _next() starts one job per call, so fill every free slot
+  _fillSlots() {
+    const freeSlots = Math.max(0, this.concurrency - this.active.size - this.prefetching.size);
+    for (let i = 0; i < freeSlots; i++) {
+      this._next();
+    }
+  }
+
   stop() {
     this.stopped = true;
     this.paused = true;
@@ -516,9 +644,23 @@ class DownloadQueue {
       if (job.controller) {
         job.controller.abort();
       }
+      this._releaseBlobUrl(job);
+      if (this.journal) {
+        this.journal.removeJob(job.id);
+      }
     }
     this.active.clear();
+    for (const job of this.prefetching.values()) {
+      this._releaseBlobUrl(job); // One still being captioned releases its own when it sees the stop
+      if (this.journal) {
+        this.journal.removeJob(job.id);
+      }
+    }
+    this.prefetching.clear();
+    this.prefetchedContent.clear();
+    this._clearRateLimitWake();
     this.stats.endTime = Date.now();
+    this._journalMeta();
     
     // Clear memory to prevent unbounded growth
     this.clearMemoryOptimizations();
@@ -531,8 +673,13 @@ class DownloadQueue {
     this.queue = [];
     this.completed = [];
     this.failed = [];
+    this.retrying.clear();
+    this.rateLimitHints.clear();
     this.duplicates.clear();
     this.contentHashes.clear();
+    this.assignedNames.clear();
+    this.hostConflictPolicies.clear();
+    this.skippedDuplicates = [];
     this.errors = [];
     this.hostQueue.clear();
     
@@ -557,6 +704,10 @@ class DownloadQueue {
     // Additional memory cleanup
     this.clearMemoryOptimizations();
     
+    if (this.journal) {
+      this.journal.clear().catch(error => console.error('Failed to clear queue journal:', error));
+    }
+    
     this.stopped = false;
     this.onProgress({state:'cleared', stats: this.getStats()});
   }
@@ -584,7 +735,7 @@ class DownloadQueue {
     const now = Date.now();
     const elapsed = this.stats.startTime ? (now - this.stats.startTime) / 1000 : 0;
     const rate = elapsed > 0 ? this.stats.processed / elapsed : 0;
-    const remaining = this.queue.length + this.active.size;
+    const remaining = this.queue.length + this.active.size + this.prefetching.size;
     const eta = rate > 0 ? remaining / rate : 0;
     
     return {
@@ -594,7 +745,9 @@ class DownloadQueue {
       eta: Math.round(eta),
       queueSize: this.queue.length,
       activeDownloads: this.active.size,
-      remaining
+      hashing: this.prefetching.size,
+      remaining,
+      rateLimits: this.rateLimiter.getBudget()
     };
   }
 
@@ -606,6 +759,71 @@ class DownloadQueue {
     Object.assign(this.filters, filters);
   }
 
+  setLargeRunHook(hook) {
+    this.largeRunHook = typeof hook === 'function' ? hook : null;
+  }
+
+  // Give the large-run hook a look at a batch before it is queued; never blocks the batch
+  async checkLargeRun(items) {
+    if (!this.largeRunHook) {return null;}
+    try {
+      const estimate = await this.largeRunHook(items);
+      if (estimate) {
+        this.onProgress({state: 'run_estimate', estimate, stats: this.getStats()});
+      }
+      return estimate;
+    } catch (error) {
+      console.warn('Large run check failed:', error);
+      return null;
+    }
+  }
+
+  setFilenameMask(mask) {
+    this.filenameMask = mask || null;
+  }
+
+  static get CONFLICT_POLICIES() {
+    return ['uniquify', 'overwrite', 'skip-identical', 'append-hash', 'append-index'];
+  }
+
+  setConflictPolicy(policy) {
+    if (policy && !DownloadQueue.CONFLICT_POLICIES.includes(policy)) {
+      throw new Error(`Unknown filename conflict policy: ${policy}`);
+    }
+    this.conflictPolicy = policy || 'uniquify';
+  }
+
+  setConflictPolicyResolver(resolver) {
+    this.conflictPolicyResolver = typeof resolver === 'function' ? resolver : () => null;
+    this.hostConflictPolicies.clear();
+  }
+
+  // Record jobs finished in an earlier run so reports and duplicate checks include them
+  importCompleted(jobs = []) {
+    for (const job of jobs) {
+      const restored = {
+        ...job,
+        id: job.id || this.generateItemId(),
+        completedAt: job.completedAt ? new Date(job.completedAt).getTime() : Date.now()
+      };
+      this.completed.push(restored);
+      this.duplicates.add(restored.url);
+      this._journalJob(restored, 'completed');
+    }
+    this.stats.totalItems = this.queue.length + this.active.size + this.completed.length + this.failed.length;
+    this._journalMeta();
+  }
+
+  // Jobs that still need downloading: queued, waiting to retry, or in flight
+  getPendingJobs() {
+    return [
+      ...this.active.values(),
+      ...this.prefetching.values(),
+      ...this.retrying.values(),
+      ...this.queue
+    ];
+  }
+
   async add(job) {
     if (this.stopped) {return false;}
     
@@ -767,7 +985,7 @@ class DownloadQueue {
       job.addedAt = Date.now();
 
       // Check for duplicate URLs
-      if (this.filters.skipDuplicates && this.duplicates.has(job.url)) {
+      if (this.filters.skipDuplicates && !job.redownloadOf && this.duplicates.has(job.url)) {
         this.onProgress({state:'duplicate_skipped', job, reason: 'URL already processed'});
         return false;
       }
@@ -784,7 +1002,7 @@ class DownloadQueue {
         this.duplicates.add(job.url);
       }
 
-      this.queue.push(job);
+      this._enqueue(job);
       this.onProgress({state:'added', job, queueLength: this.queue.length});
       this._next();
       return true;
@@ -805,6 +1023,10 @@ class DownloadQueue {
         return { passed: false, reason: `File type ${extension} not allowed` };
       }
 
+      if (this.filters.onlyNew && this.history && !job.redownloadOf && await this.history.hasDownloaded(job)) {
+        return { passed: false, reason: 'Already downloaded in an earlier session' };
+      }
+
       // Check image dimensions (only available in content script/UI contexts, not service workers)
       if ((this.filters.minWidth > 0 || this.filters.minHeight > 0) && typeof document !== 'undefined') {
         const dimensions = await this._getImageDimensions(job.url);
@@ -847,7 +1069,7 @@ class DownloadQueue {
 
   _next() {
     if (this.paused) {return;}
-    if (this.active.size >= this.concurrency) {return;}
+    if (this.active.size + this.prefetching.size >= this.concurrency) {return;}
     
     // Progressive ramp-up monitoring for large galleries
     if (this.enableProgressiveRampUp) {
@@ -858,22 +1080,410 @@ class DownloadQueue {
       }
     }
     
-    // find next job whose host has free slot
+    // find next job whose host has a free slot and rate-limit budget left
+    const hostWaits = new Map();
+    const hostGates = new Map();
+    const inFlight = [...this.active.values(), ...this.prefetching.values()];
     const idx = this.queue.findIndex(job => {
+      if (job.held) {return false;}
       const host = new URL(job.url).host;
-      const count = Array.from(this.active.values()).filter(j => new URL(j.url).host===host).length;
-      return count < this.hostLimit;
+      const count = inFlight.filter(j => new URL(j.url).host===host).length;
+      if (count >= this.hostLimit) {return false;}
+      if (!hostGates.has(host)) {
+        hostGates.set(host, this.hostGate(host));
+      }
+      if (!hostGates.get(host)) {return false;}
+      if (!hostWaits.has(host)) {
+        hostWaits.set(host, this.rateLimiter.waitTime(host));
+      }
+      return hostWaits.get(host) === 0;
     });
     
-    if(idx===-1) {return;} // no job can run now
+    if(idx===-1) {
+      // Hosts that are only out of budget will have some again shortly
+      const waits = Array.from(hostWaits.values()).filter(wait => wait > 0);
+      if (waits.length > 0) {
+        this._scheduleRateLimitWake(Math.min(...waits));
+      }
+      return;
+    }
     
     const [job] = this.queue.splice(idx,1);
     const host = new URL(job.url).host;
+    this.rateLimiter.consumeRequest(host);
+    
+    if (this._checksContentDuplicates(job) || this._willEmbedMetadata(job) || this._needsContentHash(job)) {
+      this._prefetchAndStart(job, host);
+    } else {
+      this._startDownload(job, host);
+    }
+  }
+
+  // Hash the bytes first and only save them if no earlier file has the same content,
+  // then write captions into JPEGs. Unless a modified copy is saved from a blob: URL,
+  // chrome.downloads fetches the URL again, usually from the HTTP cache.
+  async _prefetchAndStart(job, host) {
+    this.prefetching.set(job.id, job);
+    this.onProgress({state: 'hashing', job, activeCount: this.active.size});
+    
+    let duplicate = null;
+    let throttled = null;
+    try {
+      if (this._checksContentDuplicates(job)) {
+        try {
+          duplicate = await this._findContentDuplicate(job);
+        } catch (error) {
+          if (error.throttled) {throw error;}
+          console.warn(`Content duplicate check failed for ${job.url}:`, error);
+        }
+      }
+      if (!duplicate && this._needsContentHash(job) && !this.prefetchedContent.has(job.id)) {
+        await this._fetchContent(job);
+      }
+      if (!duplicate && this._willEmbedMetadata(job)) {
+        await this._embedMetadata(job);
+      }
+    } catch (error) {
+      if (!error.throttled) {throw error;}
+      throttled = error;
+    }
+    if (!duplicate && !throttled && this._conflictPolicyFor(job) === 'skip-identical') {
+      try {
+        duplicate = await this._findIdenticalFile(job);
+      } catch (error) {
+        console.warn(`Same-name check failed for ${job.url}:`, error);
+      }
+    }
+    
+    // Stopped or cleared while we were hashing
+    if (this.prefetching.get(job.id) !== job) {
+      this._releaseBlobUrl(job);
+      return;
+    }
+    this.prefetching.delete(job.id);
+    
+    // A 429/503 to the prefetch: retry later like a throttled download, not with a second request now
+    if (throttled) {
+      this.rateLimitHints.set(job.url, {retryAfter: HostRateLimiter.parseRetryAfter(throttled.retryAfter), at: Date.now()});
+      this._handleError(job, throttled.message);
+      return;
+    }
+    
+    if (duplicate) {
+      this._skipDuplicate(job, duplicate);
+      this._next();
+      return;
+    }
+    
+    // Only the leading bytes are needed from here on, by the verifier
+    const prefetched = this.prefetchedContent.get(job.id);
+    if (prefetched) {
+      prefetched.bytes = prefetched.bytes.slice(0, this.verifier.options.sniffBytes);
+    }
+    
+    if (job.blobUrl) {
+      this._startDownload(job, host, job.blobUrl);
+    } else {
+      this.rateLimiter.consumeRequest(host);
+      this._startDownload(job, host);
+    }
+  }
+
+  // A re-download requested from the history is saved even if the content is already on disk
+  _checksContentDuplicates(job) {
+    return !!(this.hashIndex && this.filters.skipDuplicates && !job.redownloadOf);
+  }
+
+  _willEmbedMetadata(job) {
+    return !!(this.embedder && this.embedder.enabled && JpegMetadataEmbedder.mayBeJpeg(job));
+  }
+
+  // Swap in a copy of the file with XMP/IPTC captions; bytes fetched for the duplicate check are reused
+  async _embedMetadata(job) {
+    const prefetched = this.prefetchedContent.get(job.id);
+    try {
+      const prepared = await this.embedder.prepare(job, prefetched ? prefetched.bytes : null);
+      if (!prepared) {return;}
+      
+      job.blobUrl = prepared.url;
+      job.metadataEmbedded = true;
+      // The verifier and manifest check what was actually saved, not what the server sent
+      this.prefetchedContent.set(job.id, {
+        bytes: prepared.bytes,
+        size: prepared.bytes.length,
+        sha256: await ChecksumManifest.sha256(prepared.bytes)
+      });
+    } catch (error) {
+      if (error.throttled) {throw error;}
+      console.warn(`Could not embed metadata into ${job.url}, saving the original:`, error);
+    }
+  }
+
+  _releaseBlobUrl(job) {
+    if (!job.blobUrl) {return;}
+    this.embedder.release(job.blobUrl);
+    delete job.blobUrl;
+  }
+
+  // Fetch and hash the file before saving it; null if it couldn't be fetched or is too large
+  async _fetchContent(job, fetchAndHash = url => (this.manifest ? this.manifest.fetchAndHash(url) : ChecksumManifest.fetchAndHash(url))) {
+    const hashed = await fetchAndHash(job.url);
+    if (!hashed) {return null;}
+    
+    job.contentHash = hashed.sha256;
+    job.contentSize = hashed.size;
+    this.prefetchedContent.set(job.id, {
+      bytes: hashed.bytes,
+      size: hashed.size,
+      sha256: hashed.sha256
+    });
+    return hashed;
+  }
+
+  // What an earlier (or in-flight) file this job's content duplicates, or null
+  async _findContentDuplicate(job) {
+    const hashed = await this._fetchContent(job, url => this.hashIndex.fetchAndHash(url));
+    if (!hashed) {return null;}
+    
+    const inFlight = this.contentHashes.get(hashed.sha256);
+    if (inFlight && inFlight.id !== job.id) {
+      return {match: 'sha256', sha256: hashed.sha256, jobId: inFlight.id, url: inFlight.url, path: inFlight.finalPath || inFlight.filename};
+    }
+    
+    const saved = await this.hashIndex.find(hashed.sha256);
+    if (saved && await this._stillOnDisk(saved)) {
+      return {match: 'sha256', sha256: saved.sha256, jobId: saved.jobId, url: saved.url, path: saved.path};
+    }
+    
+    this.contentHashes.set(hashed.sha256, job);
+    
+    if (this.filters.nearDuplicates) {
+      const similar = await this._findNearDuplicate(job, hashed.bytes);
+      if (similar && await this._resolveNearDuplicate(job, similar) === 'existing') {
+        this.contentHashes.delete(hashed.sha256);
+        return similar;
+      }
+    }
+    return null;
+  }
+
+  async _findNearDuplicate(job, bytes) {
+    if (!this.perceptualDetector) {
+      if (typeof PerceptualDuplicateDetector === 'undefined') {return null;}
+      this.perceptualDetector = new PerceptualDuplicateDetector({maxWorkers: 0, enablePersistence: false});
+    }
+    
+    try {
+      const described = await this.perceptualDetector.describeImageBytes(bytes);
+      job.perceptualHash = described.hash;
+      job.pixelWidth = described.width;
+      job.pixelHeight = described.height;
+    } catch (error) {
+      // SVGs and anything createImageBitmap can't decode only get the exact check
+      return null;
+    }
+    
+    const threshold = this.filters.nearDuplicateThreshold;
+    const similarity = (a, b) => this.perceptualDetector.calculateSimilarity(a, b);
+    
+    for (const other of this.contentHashes.values()) {
+      if (other.id === job.id || !other.perceptualHash) {continue;}
+      const score = similarity(job.perceptualHash, other.perceptualHash);
+      if (score >= threshold) {
+        return {
+          match: 'perceptual', similarity: score, sha256: other.contentHash, jobId: other.id, url: other.url, path: other.finalPath || other.filename,
+          downloadId: other.downloadId, width: other.pixelWidth, height: other.pixelHeight, size: other.contentSize, clusterId: other.duplicateClusterId
+        };
+      }
+    }
+    
+    const found = await this.hashIndex.findSimilar(job.perceptualHash, threshold, similarity);
+    if (found && await this._stillOnDisk(found.entry)) {
+      const {entry} = found;
+      return {
+        match: 'perceptual', similarity: found.similarity, sha256: entry.sha256, jobId: entry.jobId, url: entry.url, path: entry.path,
+        downloadId: entry.downloadId, width: entry.width, height: entry.height, size: entry.size, clusterId: entry.clusterId
+      };
+    }
+    return null;
+  }
+
+  // Which copy of a near-duplicate pair to keep, per filters.duplicatePolicy. Returns 'existing' to skip
+  // this job; otherwise it is saved, tagged with a shared cluster ID or marked to replace the earlier file
+  async _resolveNearDuplicate(job, similar) {
+    const policy = PerceptualDuplicateDetector.DUPLICATE_POLICIES.includes(this.filters.duplicatePolicy) ? this.filters.duplicatePolicy : 'largest-area';
+    similar.policy = policy;
+    
+    if (policy === 'keep-all') {
+      job.duplicateClusterId = similar.clusterId || this.perceptualDetector.generateClusterId();
+      const earlier = Array.from(this.contentHashes.values()).find(other => other.id === similar.jobId);
+      if (earlier) {earlier.duplicateClusterId = job.duplicateClusterId;}
+      job.nearDuplicateOf = similar;
+      return 'both';
+    }
+    
+    // Same shape as detectDuplicatesInBatch's image results, so the batch and the queue pick alike
+    const existing = {url: similar.url, fileSize: similar.size, result: {width: similar.width, height: similar.height}};
+    const candidate = {url: job.url, fileSize: job.contentSize, result: {width: job.pixelWidth, height: job.pixelHeight}};
+    const keeper = await this.perceptualDetector.pickKeeper([existing, candidate], policy);
+    if (keeper === existing) {return 'existing';}
+    
+    job.supersedes = similar;
+    return 'new';
+  }
+
+  // The earlier, smaller copy goes once the one replacing it is safely saved. It has to be finished:
+  // one still downloading is left alone
+  async _removeSuperseded(job) {
+    const replaced = job.supersedes;
+    const downloadId = this.completed.find(other => other.id === replaced.jobId)?.downloadId ?? replaced.downloadId;
+    if (downloadId === undefined || downloadId === null) {return;}
+    
+    try {
+      const [download] = await chrome.downloads.search({id: downloadId});
+      if (!download || download.state !== 'complete' || download.exists === false) {return;}
+      await chrome.downloads.removeFile(downloadId);
+      console.log(`♊ Replaced ${replaced.path || replaced.url} with ${job.finalPath || job.filename} (${replaced.policy})`);
+      this.onProgress({state: 'duplicate_replaced', job, replaced, stats: this.getStats()});
+    } catch (error) {
+      console.warn(`Could not remove ${replaced.path || replaced.url} after saving its replacement:`, error);
+    }
+  }
+
+  // Index entries outlive the files; only a download the browser knows was deleted rules one out
+  async _stillOnDisk(entry) {
+    if (entry.downloadId === undefined || entry.downloadId === null) {return true;}
+    try {
+      const [download] = await chrome.downloads.search({id: entry.downloadId});
+      return !download || download.exists !== false;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  _skipDuplicate(job, duplicate) {
+    this.prefetchedContent.delete(job.id);
+    job.duplicateOf = duplicate;
+    job.skippedAt = Date.now();
+    this.skippedDuplicates.push(job);
+    this.stats.duplicates++;
+    this._journalJob(job, 'duplicate');
+    this._journalMeta();
+    
+    console.log(`♊ Skipped ${job.url} - same content as ${duplicate.path || duplicate.url}`);
+    this.onProgress({
+      state: 'duplicate_skipped',
+      job,
+      reason: {perceptual: 'perceptual', filename: 'same_file'}[duplicate.match] || 'content_hash',
+      duplicateOf: duplicate,
+      stats: this.getStats()
+    });
+  }
+
+  // Item setting first, then the site profile, then the queue-wide policy
+  _conflictPolicyFor(job) {
+    let policy = job.conflictPolicy || job.metadata?.conflictPolicy;
+    if (!policy) {
+      const host = new URL(job.url).host;
+      if (!this.hostConflictPolicies.has(host)) {
+        try {
+          this.hostConflictPolicies.set(host, this.conflictPolicyResolver(host));
+        } catch (error) {
+          console.warn(`Failed to resolve conflict policy for ${host}:`, error);
+          this.hostConflictPolicies.set(host, null);
+        }
+      }
+      policy = this.hostConflictPolicies.get(host);
+    }
+    return DownloadQueue.CONFLICT_POLICIES.includes(policy) ? policy : this.conflictPolicy;
+  }
+
+  _needsContentHash(job) {
+    const policy = this._conflictPolicyFor(job);
+    return policy === 'skip-identical' || policy === 'append-hash';
+  }
+
+  // An earlier file under the same name with the same content, in this session or a saved one
+  async _findIdenticalFile(job) {
+    const hashes = new Set([job.contentHash, this.prefetchedContent.get(job.id)?.sha256].filter(Boolean));
+    if (hashes.size === 0) {return null;}
+    
+    const name = this._requestedFilename(job).toLowerCase();
+    const assigned = this.assignedNames.get(name);
+    if (assigned && assigned.jobId !== job.id && hashes.has(assigned.sha256)) {
+      return {match: 'filename', sha256: assigned.sha256, jobId: assigned.jobId, url: assigned.url, path: name};
+    }
+    
+    if (!this.manifest) {return null;}
+    for (const sha256 of hashes) {
+      const entries = await this.manifest.findBySha256(sha256);
+      for (const entry of entries) {
+        if ((entry.relativePath || '').toLowerCase() === name && await this._fileExists(entry.path)) {
+          return {match: 'filename', sha256, jobId: entry.id, url: entry.url, path: entry.path};
+        }
+      }
+    }
+    return null;
+  }
+
+  async _fileExists(path) {
+    try {
+      const downloads = await chrome.downloads.search({filename: path, exists: true});
+      return downloads.length > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  _withSuffix(filename, suffix) {
+    const slash = filename.lastIndexOf('/');
+    const dot = filename.lastIndexOf('.');
+    return dot > slash + 1 ? `${filename.slice(0, dot)}-${suffix}${filename.slice(dot)}` : `${filename}-${suffix}`;
+  }
+
+  // Jobs re-queued from history or a resumed session may come without a name; use the URL's
+  _requestedFilename(job) {
+    job.requestedFilename = job.requestedFilename || job.filename || this.generateFilename(job);
+    return job.requestedFilename;
+  }
+
+  // Pick the name this job is saved under. Names are reserved for the whole session so two
+  // jobs never race for the same file; a retry gets its own name back.
+  _assignFilename(job) {
+    const policy = this._conflictPolicyFor(job);
+    
+    let filename = this._requestedFilename(job);
+    if (policy === 'append-hash' && job.contentHash) {
+      filename = this._withSuffix(filename, job.contentHash.slice(0, 8));
+    } else if (policy === 'append-index') {
+      const index = job.index ?? job.metadata?.index;
+      filename = this._withSuffix(filename, String(index ?? this.assignedNames.size + 1).padStart(3, '0'));
+    }
+    
+    const taken = name => {
+      const assigned = this.assignedNames.get(name.toLowerCase());
+      return assigned && assigned.jobId !== job.id;
+    };
+    const base = filename;
+    for (let n = 2; taken(filename); n++) {
+      filename = this._withSuffix(base, n);
+    }
+    this.assignedNames.set(filename.toLowerCase(), {jobId: job.id, url: job.url, sha256: job.contentHash || null});
+    
+    // A hashed name is only ever reused for the same content, so replacing it is safe
+    const conflictAction = policy === 'overwrite' || policy === 'append-hash' ? 'overwrite' : 'uniquify';
+    return {filename, conflictAction};
+  }
+
+  _startDownload(job, host, url = job.url) {
+    const {filename, conflictAction} = this._assignFilename(job);
+    job.filename = filename;
+    job.conflictAction = conflictAction;
     
     const options = {
-      url: job.url,
-      filename: job.filename,
-      conflictAction: 'uniquify',
+      url,
+      filename,
+      conflictAction,
       saveAs: false
     };
     
@@ -884,12 +1494,17 @@ class DownloadQueue {
       }
       job.host = host;
       job.startedAt = Date.now();
+      job.downloadId = downloadId;
       this.active.set(downloadId, job);
+      this._journalJob(job, 'downloading');
       this.onProgress({state:'started', job, downloadId, activeCount: this.active.size});
     });
   }
 
   _handleError(job, error = 'Unknown error') {
+    this.prefetchedContent.delete(job.id);
+    this._releaseBlobUrl(job);
+    delete job.metadataEmbedded;
     job.error = error;
     job.lastErrorAt = Date.now();
     
@@ -898,6 +1513,12 @@ class DownloadQueue {
     job.errorType = errorInfo.type;
     job.errorCategory = errorInfo.category;
     
+    // Throttled hosts cool down as a whole, not just the job that hit the limit
+    if (errorInfo.type === 'RATE_LIMIT') {
+      const cooldown = errorInfo.retryAfter ?? this._calculateRetryDelay(job.retries + 1, errorInfo);
+      this.rateLimiter.blockHost(new URL(job.url).host, cooldown);
+    }
+    
     // Update failure tracking
     this._updateAuthFailureTracking(job, errorInfo);
     
@@ -918,8 +1539,13 @@ class DownloadQueue {
         timestamp: Date.now()
       });
       
+      this.retrying.set(job.id, job);
+      this._journalJob(job, 'retrying');
+      
       setTimeout(() => { 
-        this.queue.unshift(job); 
+        // Skip if the queue was cleared while we waited
+        if (!this.retrying.delete(job.id)) {return;}
+        this._enqueue(job, {front: true}); 
         this._next(); 
       }, delay);
       
@@ -938,7 +1564,12 @@ class DownloadQueue {
       job.failedAt = Date.now();
       job.finalError = error;
       job.finalErrorType = errorInfo.type;
+      if (job.contentHash && this.contentHashes.get(job.contentHash) === job) {
+        this.contentHashes.delete(job.contentHash);
+      }
       this.failed.push(job);
+      this._journalJob(job, 'failed');
+      this._journalMeta();
       
       this.onProgress({
         state: 'failed', 
@@ -975,6 +1606,14 @@ class DownloadQueue {
     const errorStr = error.toString().toLowerCase();
     const _url = job.url || '';
     
+    // Integrity check failures from _verifyDownload (re-fetch)
+    if (errorStr.startsWith('corrupt_file')) {
+      return {
+        type: 'CORRUPT_FILE',
+        category: 'integrity'
+      };
+    }
+    
     // Authentication errors (don't retry - require manual intervention)
     if (errorStr.includes('unauthorized') || 
         errorStr.includes('forbidden') || 
@@ -1002,12 +1641,19 @@ class DownloadQueue {
     }
     
     // Rate limiting (retry with longer delays)
-    if (errorStr.includes('rate limit') || 
+    // chrome.downloads reports a 429 as a generic SERVER_FAILED, so check responses seen on the wire too
+    const hint = this._takeRateLimitHint(job.url);
+    if (hint ||
+        errorStr.includes('rate limit') || 
         errorStr.includes('too many requests') ||
         errorStr.includes('429')) {
+      const headerMatch = errorStr.match(/retry-after:\s*([^\n;]+)/);
+      const retryAfter = error.retryAfter ?? hint?.retryAfter ?? 
+        (headerMatch ? HostRateLimiter.parseRetryAfter(headerMatch[1]) : null);
       return {
         type: 'RATE_LIMIT',
-        category: 'throttling'
+        category: 'throttling',
+        retryAfter
       };
     }
     
@@ -1137,6 +1783,9 @@ class DownloadQueue {
       case 'NETWORK_ERROR':
         this.stats.networkErrors++;
         break;
+      case 'CORRUPT_FILE':
+        this.stats.corruptFiles++;
+        break;
     }
   }
 
@@ -1144,6 +1793,11 @@ class DownloadQueue {
    * Calculate retry delay with enhanced exponential backoff
    */
   _calculateRetryDelay(attempt, errorInfo) {
+    // The server told us exactly how long to wait
+    if (errorInfo.retryAfter !== null && errorInfo.retryAfter !== undefined) {
+      return Math.min(Math.max(errorInfo.retryAfter, 1000), this.rateLimiter.maxRetryAfter);
+    }
+    
     let baseDelay = 1000; // 1 second
     let maxDelay = 30000; // 30 seconds
     
@@ -1233,6 +1887,7 @@ class DownloadQueue {
       rateLimitHits: this.stats.rateLimitHits,
       serverErrors: this.stats.serverErrors,
       networkErrors: this.stats.networkErrors,
+      corruptFiles: this.stats.corruptFiles,
       retriesByType: { ...this.stats.retriesByType },
       avgRetriesPerFailure: this.failed.length > 0 ? this.stats.totalRetries / this.failed.length : 0,
       circuitBreakerHosts: Array.from(this.authFailureHosts.entries()).map(([host, failures]) => ({
@@ -1263,23 +1918,17 @@ class DownloadQueue {
   }
 
   _handleDownloadChanged(delta) {
-    if (!delta.state || !delta.state.current) {return;}
     const job = this.active.get(delta.id);
+    if (job && delta.filename) {job.finalPath = delta.filename.current;}
+    if (job && delta.totalBytes) {job.totalBytes = delta.totalBytes.current;}
+    if (!delta.state || !delta.state.current) {return;}
     if (!job) {return;}
     
     if (delta.state.current === 'complete') {
-      this.active.delete(delta.id);
-      job.completedAt = Date.now();
-      job.duration = job.completedAt - job.startedAt;
-      this.completed.push(job);
-      this.onProgress({
-        state:'completed', 
-        job, 
-        downloadId: delta.id, 
-        completedCount: this.completed.length,
-        activeCount: this.active.size
+      // The job keeps its slot until the file has been checked
+      this._verifyDownload(job, delta.id).catch(error => {
+        console.error(`Verification failed for download ${delta.id}:`, error);
       });
-      this._next();
     } else if (delta.state.current === 'interrupted') {
       this.active.delete(delta.id);
       const errorReason = delta.error ? delta.error.current : 'Download interrupted';
@@ -1297,6 +1946,187 @@ class DownloadQueue {
     }
   }
 
+  // Resolves to 'completed', 'retrying' or 'failed', or undefined if the job was stopped meanwhile
+  async _verifyDownload(job, downloadId) {
+    let download = null;
+    try {
+      [download] = await chrome.downloads.search({id: downloadId});
+    } catch (error) {
+      console.warn(`Failed to look up download ${downloadId}:`, error);
+    }
+    
+    if (download) {
+      job.fileSize = download.fileSize || download.bytesReceived;
+      job.mime = download.mime;
+      if (download.filename) {job.finalPath = download.filename;}
+    }
+    this._chargeBytes(job);
+    
+    // Bytes hashed before saving stand in for a re-fetch if Chrome saved the same amount
+    let hashed = null;
+    const prefetched = this.prefetchedContent.get(job.id);
+    this.prefetchedContent.delete(job.id);
+    if (download && prefetched && prefetched.size === job.fileSize) {
+      hashed = prefetched;
+    }
+    
+    // Hashing re-fetches the whole file, which also gives the verifier its leading bytes
+    const refetch = download && !hashed && (this.manifest || (this.verifier.enabled && this.verifier.options.sniffMagicBytes));
+    if (refetch) {
+      this.rateLimiter.consumeRequest(new URL(job.url).host);
+    }
+    if (download && !hashed && this.manifest) {
+      hashed = await this.manifest.fetchAndHash(job.url).catch(error => {
+        // The file is saved already; it goes unhashed and the host cools down before the next request
+        const retryAfter = HostRateLimiter.parseRetryAfter(error.retryAfter);
+        this.rateLimiter.blockHost(new URL(job.url).host, this._calculateRetryDelay(1, {type: 'RATE_LIMIT', retryAfter}));
+        return null;
+      });
+    }
+    
+    let result = null;
+    if (download && this.verifier.enabled) {
+      result = await this.verifier.verify(job, download, hashed ? hashed.bytes : null);
+      job.integrity = result;
+    }
+    
+    // Stopped or cleared while we were checking
+    if (this.active.get(downloadId) !== job) {return;}
+    this.active.delete(downloadId);
+    
+    if (result && !result.ok) {
+      this.onProgress({state: 'corrupt_file', job, downloadId, reason: result.reason});
+      await this.verifier.discard(downloadId);
+      delete job.downloadId;
+      this._handleError(job, `CORRUPT_FILE: ${result.reason}`);
+      return this.retrying.has(job.id) ? 'retrying' : 'failed';
+    }
+    
+    this._releaseBlobUrl(job);
+    job.completedAt = Date.now();
+    job.duration = job.completedAt - job.startedAt;
+    this.completed.push(job);
+    this._journalJob(job, 'completed');
+    this._journalMeta();
+    if (hashed && hashed.size === job.fileSize) {
+      job.sha256 = hashed.sha256;
+    }
+    if (this.manifest && download) {
+      this.manifest.record(job, download, hashed)
+        .then(entry => { job.sha256 = entry.sha256; })
+        .catch(error => console.error('Failed to record checksum manifest entry:', error));
+    }
+    this._indexContentHash(job, downloadId, hashed);
+    if (job.supersedes) {
+      this._removeSuperseded(job);
+    }
+    if (this.sidecars && download) {
+      this.sidecars.write(job, download)
+        .catch(error => console.error(`Failed to write metadata sidecar for ${job.url}:`, error));
+    }
+    this.onProgress({
+      state:'completed', 
+      job, 
+      downloadId, 
+      completedCount: this.completed.length,
+      activeCount: this.active.size
+    });
+    this._next();
+    return 'completed';
+  }
+
+  // Remember what was saved so the same content under another URL is skipped next time.
+  // Files with embedded captions are indexed under the server's bytes, which is what later checks hash.
+  _indexContentHash(job, downloadId, hashed) {
+    const sha256 = job.metadataEmbedded ? job.contentHash : (hashed && hashed.size === job.fileSize ? hashed.sha256 : null);
+    if (!this.hashIndex || !sha256) {return;}
+    
+    this.hashIndex.add({
+      sha256,
+      perceptualHash: job.perceptualHash || null,
+      path: job.finalPath || job.filename,
+      url: job.url,
+      jobId: job.id,
+      downloadId,
+      size: job.fileSize,
+      width: job.pixelWidth || null,
+      height: job.pixelHeight || null,
+      clusterId: job.duplicateClusterId || null,
+      timestamp: new Date(job.completedAt).toISOString()
+    }).catch(error => console.error('Failed to index content hash:', error));
+  }
+
+  // Count a finished download against its host's byte budget
+  async _chargeBytes(job) {
+    let bytes = job.fileSize || job.totalBytes;
+    if (!(bytes > 0) && job.downloadId !== undefined) {
+      try {
+        const [download] = await chrome.downloads.search({id: job.downloadId});
+        bytes = download ? (download.fileSize || download.bytesReceived) : 0;
+      } catch (error) {
+        console.warn(`Failed to look up size of download ${job.downloadId}:`, error);
+      }
+    }
+    if (bytes > 0) {
+      job.fileSize = bytes;
+      this.rateLimiter.consumeBytes(new URL(job.url).host, bytes);
+    }
+  }
+
+  // Called by the service worker when a 429/503 response for an in-flight download or prefetch is observed
+  noteRateLimitResponse(url, retryAfterHeader = null) {
+    const isActive = [...this.active.values(), ...this.prefetching.values()].some(job => job.url === url);
+    if (!isActive) {return;}
+    this.rateLimitHints.set(url, {
+      retryAfter: HostRateLimiter.parseRetryAfter(retryAfterHeader),
+      at: Date.now()
+    });
+  }
+
+  _takeRateLimitHint(url) {
+    const hint = this.rateLimitHints.get(url);
+    if (!hint) {return null;}
+    this.rateLimitHints.delete(url);
+    // Ignore stale responses from an earlier attempt
+    return Date.now() - hint.at < 300000 ? hint : null;
+  }
+
+  _scheduleRateLimitWake(delay) {
+    const wakeAt = Date.now() + delay;
+    if (this.rateLimitTimer && this.rateLimitWakeAt <= wakeAt) {return;}
+    
+    this._clearRateLimitWake();
+    this.rateLimitWakeAt = wakeAt;
+    this.rateLimitTimer = setTimeout(() => {
+      this.rateLimitTimer = null;
+      this.rateLimitWakeAt = 0;
+      this._fillSlots();
+    }, delay);
+  }
+
+  _clearRateLimitWake() {
+    if (this.rateLimitTimer) {
+      clearTimeout(this.rateLimitTimer);
+      this.rateLimitTimer = null;
+      this.rateLimitWakeAt = 0;
+    }
+  }
+
+  setHostGate(gate) {
+    this.hostGate = typeof gate === 'function' ? gate : () => true;
+    this.refreshHostGate();
+  }
+
+  // Re-check gated hosts, e.g. when a host's download window opens
+  refreshHostGate() {
+    this._fillSlots();
+  }
+
+  setRateLimits(limits) {
+    this.rateLimiter.setDefaults(limits);
+    this._fillSlots();
+  }
+
   attachListeners() {
     this._onChanged = this._handleDownloadChanged.bind(this);
     chrome.downloads.onChanged.addListener(this._onChanged);
@@ -1306,6 +2136,299 @@ class DownloadQueue {
     if (this._onChanged) {chrome.downloads.onChanged.removeListener(this._onChanged);}
   }
 
+  // Insert a job into the queue, remembering its position so restores keep the order
+  // Jobs are kept grouped by priority lane; front/back refers to the job's own lane
+  _enqueue(job, {front = false} = {}) {
+    job.priority = this.priorityLanes.includes(job.priority) ? job.priority : 'normal';
+    const rank = this._laneRank(job);
+    
+    if (front) {
+      job.queuePosition = --this.queueHead;
+      if (this.queue.length === 0 || this._laneRank(this.queue[0]) >= rank) {
+        this.queue.unshift(job);
+      } else {
+        const idx = this.queue.findIndex(queued => this._laneRank(queued) >= rank);
+        this.queue.splice(idx === -1 ? this.queue.length : idx, 0, job);
+      }
+    } else {
+      job.queuePosition = ++this.queueTail;
+      if (this.queue.length === 0 || this._laneRank(this.queue[this.queue.length - 1]) <= rank) {
+        this.queue.push(job);
+      } else {
+        const idx = this.queue.findIndex(queued => this._laneRank(queued) > rank);
+        this.queue.splice(idx, 0, job);
+      }
+    }
+    this._journalJob(job, 'queued');
+  }
+
+  _laneRank(job) {
+    const rank = this.priorityLanes.indexOf(job.priority);
+    return rank === -1 ? this.priorityLanes.indexOf('normal') : rank;
+  }
+
+  _findQueued(jobId) {
+    const index = this.queue.findIndex(job => job.id === jobId);
+    return index === -1 ? null : {index, job: this.queue[index]};
+  }
+
+  // Drag-and-drop reordering: the job takes index toIndex, joining the neighbouring lane if dropped into one
+  moveJob(jobId, toIndex) {
+    if (!Number.isInteger(toIndex) || toIndex < 0) {return false;}
+    const found = this._findQueued(jobId);
+    if (!found) {return false;}
+    
+    const [job] = this.queue.splice(found.index, 1);
+    const index = Math.max(0, Math.min(toIndex, this.queue.length));
+    const before = this.queue[index - 1];
+    const after = this.queue[index];
+    
+    if (before && this._laneRank(before) > this._laneRank(job)) {
+      job.priority = before.priority;
+    } else if (after && this._laneRank(after) < this._laneRank(job)) {
+      job.priority = after.priority;
+    }
+    
+    const rank = this._laneRank(job);
+    const prev = before && this._laneRank(before) === rank ? before.queuePosition : null;
+    const next = after && this._laneRank(after) === rank ? after.queuePosition : null;
+    if (prev !== null && next !== null) {
+      job.queuePosition = (prev + next) / 2;
+    } else if (prev !== null) {
+      job.queuePosition = prev + 1;
+    } else if (next !== null) {
+      job.queuePosition = next - 1;
+    } else {
+      job.queuePosition = this.queueTail + 1;
+    }
+    this.queueHead = Math.min(this.queueHead, Math.floor(job.queuePosition));
+    this.queueTail = Math.max(this.queueTail, Math.ceil(job.queuePosition));
+    
+    this.queue.splice(index, 0, job);
+    this._journalJob(job, 'queued');
+    this._journalMeta();
+    this.onProgress({state: 'queue_reordered', job, index, stats: this.getStats()});
+    return true;
+  }
+
+  moveToFront(jobId) {
+    const found = this._findQueued(jobId);
+    if (!found) {return false;}
+    
+    this.queue.splice(found.index, 1);
+    found.job.priority = 'urgent';
+    found.job.held = false;
+    this._enqueue(found.job, {front: true});
+    this._journalMeta();
+    this.onProgress({state: 'queue_reordered', job: found.job, index: 0, stats: this.getStats()});
+    this._next();
+    return true;
+  }
+
+  setJobPriority(jobId, priority) {
+    if (!this.priorityLanes.includes(priority)) {
+      throw new Error(`Unknown priority: ${priority}`);
+    }
+    const found = this._findQueued(jobId);
+    if (!found) {return false;}
+    
+    this.queue.splice(found.index, 1);
+    found.job.priority = priority;
+    this._enqueue(found.job);
+    this._journalMeta();
+    this.onProgress({state: 'queue_reordered', job: found.job, index: this.queue.indexOf(found.job), stats: this.getStats()});
+    this._next();
+    return true;
+  }
+
+  // Held jobs keep their place but are skipped by _next() until released
+  holdJob(jobId, held = true) {
+    const found = this._findQueued(jobId);
+    if (!found) {return false;}
+    
+    found.job.held = held;
+    this._journalJob(found.job, 'queued');
+    this.onProgress({state: held ? 'job_held' : 'job_released', job: found.job, stats: this.getStats()});
+    if (!held) {
+      this._next();
+    }
+    return true;
+  }
+
+  // Lightweight view of the queue for the dashboard
+  getQueueSnapshot({offset = 0, limit = 100} = {}) {
+    const describe = job => ({
+      id: job.id,
+      url: job.url,
+      filename: job.filename,
+      priority: job.priority || 'normal',
+      held: !!job.held,
+      retries: job.retries || 0,
+      status: job.status
+    });
+    
+    const lanes = {};
+    for (const lane of this.priorityLanes) {lanes[lane] = 0;}
+    let held = 0;
+    for (const job of this.queue) {
+      lanes[this.priorityLanes[this._laneRank(job)]]++;
+      if (job.held) {held++;}
+    }
+    
+    return {
+      active: [...this.active.values(), ...this.prefetching.values()].map(describe),
+      queued: this.queue.slice(offset, offset + limit).map((job, i) => ({...describe(job), index: offset + i})),
+      total: this.queue.length,
+      offset,
+      lanes,
+      held
+    };
+  }
+
+  _journalJob(job, status) {
+    job.status = status;
+    if (this.journal) {
+      this.journal.recordJob(job);
+    }
+  }
+
+  _journalMeta() {
+    if (!this.journal) {return;}
+    this.journal.recordMeta({
+      stats: this.stats,
+      paused: this.paused,
+      queueHead: this.queueHead,
+      queueTail: this.queueTail,
+      savedAt: Date.now()
+    });
+  }
+
+  /**
+   * Rebuild queue state from the journal after a service-worker restart.
+   * Jobs that were downloading are reconciled against chrome.downloads so
+   * files that finished while the worker was suspended are not fetched again.
+   */
+  async restoreFromJournal() {
+    if (!this.journal) {return {restored: 0};}
+
+    let snapshot;
+    try {
+      snapshot = await this.journal.load();
+    } catch (error) {
+      console.error('Failed to load queue journal:', error);
+      return {restored: 0, error: error.message};
+    }
+
+    const {jobs, meta} = snapshot;
+    if (jobs.length === 0) {return {restored: 0};}
+
+    const queued = [];
+    const inFlight = [];
+
+    for (const job of jobs) {
+      switch (job.status) {
+        case 'completed':
+          this.completed.push(job);
+          break;
+        case 'failed':
+          this.failed.push(job);
+          break;
+        case 'duplicate':
+          this.skippedDuplicates.push(job);
+          break;
+        case 'downloading':
+          inFlight.push(job);
+          break;
+        default:
+          // 'queued' and 'retrying' jobs both go back into the queue
+          queued.push(job);
+      }
+      this.duplicates.add(job.url);
+    }
+
+    this.completed.sort((a, b) => (a.completedAt || 0) - (b.completedAt || 0));
+    this.failed.sort((a, b) => (a.failedAt || 0) - (b.failedAt || 0));
+    queued.sort((a, b) => (this._laneRank(a) - this._laneRank(b)) || ((a.queuePosition || 0) - (b.queuePosition || 0)));
+
+    if (meta) {
+      Object.assign(this.stats, meta.stats || {});
+      // Keep a pause applied before restoring (e.g. by the download scheduler)
+      this.paused = this.paused || !!meta.paused;
+      this.queueHead = meta.queueHead || 0;
+      this.queueTail = meta.queueTail || 0;
+    }
+    this.queue.push(...queued);
+    this.queueHead = Math.min(this.queueHead, ...queued.map(job => job.queuePosition || 0));
+    this.queueTail = Math.max(this.queueTail, ...queued.map(job => job.queuePosition || 0));
+
+    const reconciled = {completed: 0, active: 0, requeued: 0, retrying: 0, failed: 0};
+    for (const job of inFlight) {
+      const outcome = await this._reconcileDownload(job); // eslint-disable-line no-await-in-loop
+      if (reconciled[outcome] !== undefined) {
+        reconciled[outcome]++;
+      }
+    }
+
+    this.stats.totalItems = this.queue.length + this.active.size + this.completed.length + this.failed.length;
+    this._journalMeta();
+
+    console.log(`♻️ Restored download queue: ${this.queue.length} queued, ${this.active.size} active, ${this.completed.length} completed, ${this.failed.length} failed`);
+
+    this.onProgress({
+      state: 'restored',
+      restored: jobs.length,
+      reconciled,
+      stats: this.getStats()
+    });
+
+    if (!this.paused) {
+      this.resume();
+    }
+
+    return {restored: jobs.length, reconciled};
+  }
+
+  // Check a journaled in-flight job against the browser's download history
+  async _reconcileDownload(job) {
+    if (job.downloadId === undefined) {
+      this._enqueue(job, {front: true});
+      return 'requeued';
+    }
+
+    // Track it first so an onChanged event racing the search is still handled
+    this.active.set(job.downloadId, job);
+
+    let download = null;
+    try {
+      const results = await chrome.downloads.search({id: job.downloadId});
+      download = results[0] || null;
+    } catch (error) {
+      console.warn(`Failed to look up download ${job.downloadId}:`, error);
+    }
+
+    // onChanged already completed or failed the job while we were searching
+    if (!this.active.has(job.downloadId)) {return 'handled';}
+
+    if (download && download.state === 'in_progress') {
+      if (download.paused && download.canResume) {
+        chrome.downloads.resume(job.downloadId).catch(() => {});
+      }
+      return 'active';
+    }
+
+    if (download && download.state === 'complete' && download.exists !== false) {
+      // Finished while the worker was asleep - check it like any other completion
+      return (await this._verifyDownload(job, job.downloadId)) || 'handled';
+    }
+
+    this.active.delete(job.downloadId);
+
+    // Interrupted, deleted from disk or erased from history - download it again
+    delete job.downloadId;
+    this._enqueue(job, {front: true});
+    return 'requeued';
+  }
+
   setConcurrency(n){
     if(typeof n==='number'&&n>0){
       this.concurrency = n;
@@ -1343,6 +2466,8 @@ class DownloadQueue {
       completed: this.completed.map(job => ({
         url: job.url,
         filename: job.filename,
+        finalPath: job.finalPath,
+        referrer: job.referrer,
         duration: job.duration,
         retries: job.retries || 0,
         completedAt: new Date(job.completedAt).toISOString()
@@ -1350,18 +2475,38 @@ class DownloadQueue {
       failed: this.failed.map(job => ({
         url: job.url,
         filename: job.filename,
+        referrer: job.referrer,
+        metadata: job.metadata,
         error: job.finalError || job.error,
         errorType: job.finalErrorType || job.errorType,
         retries: job.retries || 0,
         retryHistory: job.retryHistory || [],
         failedAt: new Date(job.failedAt).toISOString()
       })),
+      duplicates: this.skippedDuplicates.map(job => ({
+        url: job.url,
+        filename: job.filename,
+        referrer: job.referrer,
+        duplicateOf: job.duplicateOf,
+        skippedAt: new Date(job.skippedAt).toISOString()
+      })),
+      pending: this.getPendingJobs().map(job => ({
+        url: job.url,
+        filename: job.filename,
+        referrer: job.referrer,
+        metadata: job.metadata,
+        priority: job.priority,
+        held: !!job.held,
+        retries: job.retries || 0
+      })),
       settings: {
         concurrency: this.concurrency,
         retryLimit: this.retryLimit,
         hostLimit: this.hostLimit,
         retryConfiguration: this.retryConfig,
-        filters: this.filters
+        filters: this.filters,
+        filenameMask: this.filenameMask || null,
+        conflictPolicy: this.conflictPolicy
       },
       circuitBreakers: retryStats.circuitBreakerHosts.filter(cb => cb.active)
     };
@@ -1377,6 +2522,8 @@ class DownloadQueue {
     const totalFiltered = 0;
     const totalDuplicates = 0;
     
+    await this.checkLargeRun(items);
+    
     // Process in batches to avoid blocking the main thread
     for (let i = 0; i < items.length; i += batchSize) {
       const batch = items.slice(i, i + batchSize);
@@ -1386,7 +2533,7 @@ class DownloadQueue {
         await new Promise(resolve => setTimeout(resolve, 0));
       }
       
-      const result = await this.addItems(batch, { ...options, skipFiltering: false });
+      const result = await this.addItems(batch, { ...options, skipFiltering: false, largeRunChecked: true });
       totalAdded += result;
       
       // Progress reporting
@@ -0,0 +1,287 @@
+// download-scheduler.js - Time windows and quiet hours for the download queue
+// Uses chrome.alarms to pause/resume DownloadQueue so bulk fetches only run inside agreed windows
+
+class DownloadScheduler {
+  constructor(queue, options = {}) {
+    this.queue = queue;
+    this.options = {
+      storageKey: options.storageKey || 'downloadSchedule',
+      alarmName: options.alarmName || 'steptwo-download-schedule',
+      ...options
+    };
+
+    this.schedule = { enabled: false, windows: [] };
+    this.pausedBySchedule = false; // Only resume queues the scheduler paused itself
+
+    this.queue.setHostGate(host => this.isHostOpen(host));
+    this.ready = this.load();
+  }
+
+  static get DAY_NAMES() {
+    return ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+  }
+
+  // "mon", "tues" and "monday" all work; anything else is not a day
+  static dayIndex(name) {
+    if (name.length < 3) {return -1;}
+    return DownloadScheduler.DAY_NAMES.findIndex(day => day.startsWith(name));
+  }
+
+  async load() {
+    try {
+      const stored = await chrome.storage.local.get(this.options.storageKey);
+      const saved = stored[this.options.storageKey];
+      if (saved) {
+        this.schedule = { enabled: !!saved.enabled, windows: saved.windows || [] };
+        this.pausedBySchedule = !!saved.pausedBySchedule;
+      }
+      await this.apply();
+    } catch (error) {
+      console.error('Failed to load download schedule:', error);
+    }
+  }
+
+  async save() {
+    await chrome.storage.local.set({
+      [this.options.storageKey]: { ...this.schedule, pausedBySchedule: this.pausedBySchedule }
+    });
+  }
+
+  async setSchedule({ enabled, windows = [] } = {}) {
+    await this.ready;
+    this.schedule = {
+      enabled: !!enabled,
+      windows: windows.map((window, index) => this.normalizeWindow(window, index))
+    };
+    await this.save();
+    await this.apply();
+    return this.getStatus();
+  }
+
+  // Accepts {start, end, days, host} or a spec such as "gettyimages.com Mon-Fri 01:00-06:00"
+  normalizeWindow(window, index = 0) {
+    const parsed = typeof window === 'string' ? DownloadScheduler.parseWindowSpec(window, index) : window;
+
+    const start = this.parseTime(parsed.start);
+    const end = this.parseTime(parsed.end);
+    if (start === null || end === null) {
+      throw new Error(`Window ${index + 1}: times must be HH:MM (got "${parsed.start}-${parsed.end}")`);
+    }
+
+    const days = Array.isArray(parsed.days) && parsed.days.length > 0 ? parsed.days : null;
+    if (days && days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new Error(`Window ${index + 1}: days must be 0 (Sunday) to 6 (Saturday)`);
+    }
+
+    return {
+      start: parsed.start,
+      end: parsed.end,
+      days,
+      host: parsed.host ? String(parsed.host).toLowerCase().trim() : null
+    };
+  }
+
+  static parseWindowSpec(spec, index = 0) {
+    const tokens = String(spec).trim().split(/\s+/).filter(Boolean);
+    const range = (tokens.pop() || '').split('-');
+    if (range.length !== 2) {
+      throw new Error(`Window ${index + 1}: expected a time range like 01:00-06:00`);
+    }
+
+    const window = { start: range[0], end: range[1], days: null, host: null };
+    for (const token of tokens) {
+      const days = DownloadScheduler.parseDays(token);
+      if (days) {
+        window.days = days;
+      } else {
+        window.host = token;
+      }
+    }
+    return window;
+  }
+
+  // "Mon-Fri", "Sat,Sun" or "weekdays"/"weekends"
+  static parseDays(token) {
+    const lower = token.toLowerCase();
+    if (lower === 'weekdays') {return [1, 2, 3, 4, 5];}
+    if (lower === 'weekends') {return [0, 6];}
+
+    const days = new Set();
+    for (const part of lower.split(',')) {
+      const [from, to] = part.split('-').map(name => DownloadScheduler.dayIndex(name));
+      if (from === -1 || (to !== undefined && to === -1)) {return null;}
+      if (to === undefined) {
+        days.add(from);
+        continue;
+      }
+      for (let day = from; ; day = (day + 1) % 7) {
+        days.add(day);
+        if (day === to) {break;}
+      }
+    }
+    return Array.from(days).sort();
+  }
+
+  // Minutes since midnight; "24:00" closes a window at the end of the day
+  parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match) {return null;}
+    const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    return minutes <= 1440 && parseInt(match[2], 10) < 60 ? minutes : null;
+  }
+
+  // Windows that cross midnight (22:00-06:00) belong to the day they start on
+  windowContains(window, date) {
+    const start = this.parseTime(window.start);
+    const end = this.parseTime(window.end);
+    const minute = date.getHours() * 60 + date.getMinutes();
+    let day = date.getDay();
+
+    let inside;
+    if (start === end) {
+      inside = true;
+    } else if (start < end) {
+      inside = minute >= start && minute < end;
+    } else {
+      inside = minute >= start || minute < end;
+      if (minute < end) {day = (day + 6) % 7;}
+    }
+
+    return inside && (!window.days || window.days.includes(day));
+  }
+
+  windowsFor(host) {
+    return this.schedule.windows.filter(window => {
+      if (!host) {return !window.host;}
+      return window.host && (host === window.host || host.endsWith(`.${window.host}`));
+    });
+  }
+
+  isGlobalOpen(date = new Date()) {
+    if (!this.schedule.enabled) {return true;}
+    const windows = this.windowsFor(null);
+    return windows.length === 0 || windows.some(window => this.windowContains(window, date));
+  }
+
+  isHostOpen(host, date = new Date()) {
+    if (!this.schedule.enabled || !host) {return true;}
+    const windows = this.windowsFor(host.toLowerCase());
+    return windows.length === 0 || windows.some(window => this.windowContains(window, date));
+  }
+
+  // Every moment in the coming week where some window opens or closes
+  getBoundaries(windows, from = new Date()) {
+    const boundaries = [];
+    const midnight = new Date(from);
+    midnight.setHours(0, 0, 0, 0);
+
+    for (let offset = -1; offset <= 8; offset++) {
+      const day = new Date(midnight);
+      day.setDate(midnight.getDate() + offset);
+
+      for (const window of windows) {
+        const start = this.parseTime(window.start);
+        const end = this.parseTime(window.end);
+        if (start === end) {continue;}
+        if (window.days && !window.days.includes(day.getDay())) {continue;}
+
+        const opens = new Date(day.getTime());
+        opens.setMinutes(start);
+        const closes = new Date(day.getTime());
+        closes.setMinutes(end + (end < start ? 1440 : 0));
+
+        boundaries.push({ at: opens.getTime(), opening: true, window });
+        boundaries.push({ at: closes.getTime(), opening: false, window });
+      }
+    }
+
+    return boundaries
+      .filter(boundary => boundary.at > from.getTime())
+      .sort((a, b) => a.at - b.at);
+  }
+
+  // Pause or resume the queue for the current time and set an alarm for the next boundary
+  async apply() {
+    if (!this.schedule.enabled) {
+      if (this.pausedBySchedule) {
+        this.pausedBySchedule = false;
+        this.queue.resume();
+        await this.save();
+      }
+      await chrome.alarms.clear(this.options.alarmName);
+      return;
+    }
+
+    const open = this.isGlobalOpen();
+    if (!open && !this.queue.paused) {
+      this.queue.pause();
+      this.pausedBySchedule = true;
+      console.log('🌙 Outside download window - queue paused');
+    } else if (open && this.pausedBySchedule) {
+      this.pausedBySchedule = false;
+      this.queue.resume();
+      console.log('🌅 Download window opened - queue resumed');
+    } else {
+      // Host windows may have opened even though the queue was already running
+      this.queue.refreshHostGate();
+    }
+    await this.save();
+
+    const [next] = this.getBoundaries(this.schedule.windows);
+    if (next) {
+      chrome.alarms.create(this.options.alarmName, { when: next.at });
+    } else {
+      await chrome.alarms.clear(this.options.alarmName);
+    }
+  }
+
+  handleAlarm(alarm) {
+    if (alarm.name !== this.options.alarmName) {return false;}
+    this.apply().catch(error => console.error('Failed to apply download schedule:', error));
+    return true;
+  }
+
+  // A manual pause should stick, even when a window opens later
+  noteManualPause() {
+    if (this.pausedBySchedule) {
+      this.pausedBySchedule = false;
+      this.save().catch(() => {});
+    }
+  }
+
+  getStatus() {
+    const now = new Date();
+    const globalWindows = this.windowsFor(null);
+    const globalOpen = this.isGlobalOpen(now);
+    const nextGlobal = this.getBoundaries(globalWindows, now)
+      .find(boundary => this.isGlobalOpen(new Date(boundary.at)) !== globalOpen);
+
+    const hosts = {};
+    for (const window of this.schedule.windows.filter(w => w.host)) {
+      if (hosts[window.host]) {continue;}
+      const open = this.isHostOpen(window.host, now);
+      const next = this.getBoundaries(this.windowsFor(window.host), now)
+        .find(boundary => this.isHostOpen(window.host, new Date(boundary.at)) !== open);
+      hosts[window.host] = { open, nextChangeAt: next ? next.at : null };
+    }
+
+    return {
+      enabled: this.schedule.enabled,
+      windows: this.schedule.windows,
+      open: globalOpen,
+      pausedBySchedule: this.pausedBySchedule,
+      nextChangeAt: this.schedule.enabled && nextGlobal ? nextGlobal.at : null,
+      nextWindow: this.schedule.enabled && nextGlobal ? {
+        start: nextGlobal.window.start,
+        end: nextGlobal.window.end,
+        opening: nextGlobal.opening
+      } : null,
+      hosts
+    };
+  }
+}
+
+// Export for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.DownloadScheduler = DownloadScheduler;
+}
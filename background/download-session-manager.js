@@ -0,0 +1,315 @@
+// download-session-manager.js - Named, resumable download sessions
+// Snapshots DownloadQueue runs into chrome.storage so long archive pulls can be resumed days later
+
+class DownloadSessionManager {
+  constructor(queue, options = {}) {
+    this.queue = queue;
+    this.options = {
+      storagePrefix: options.storagePrefix || 'downloadSession_',
+      indexKey: options.indexKey || 'downloadSessionIndex',
+      activeKey: options.activeKey || 'activeDownloadSessionId',
+      autoCheckpointEvery: options.autoCheckpointEvery || 25, // Job transitions between automatic checkpoints
+      history: options.history || null, // DownloadHistory, for files saved from blob: URLs
+      ...options
+    };
+
+    this.sessions = new Map(); // sessionId -> summary
+    this.activeSessionId = null;
+    this.transitionsSinceCheckpoint = 0;
+    this.writeLock = Promise.resolve();
+    this.ready = this.loadIndex();
+  }
+
+  async loadIndex() {
+    try {
+      const stored = await chrome.storage.local.get([this.options.indexKey, this.options.activeKey]);
+      for (const summary of stored[this.options.indexKey] || []) {
+        this.sessions.set(summary.id, summary);
+      }
+      this.activeSessionId = stored[this.options.activeKey] || null;
+    } catch (error) {
+      console.error('Failed to load download sessions:', error);
+    }
+  }
+
+  async saveIndex() {
+    await chrome.storage.local.set({
+      [this.options.indexKey]: Array.from(this.sessions.values()),
+      [this.options.activeKey]: this.activeSessionId
+    });
+  }
+
+  // Run storage read-modify-write cycles one at a time
+  exclusive(task) {
+    const run = this.writeLock.then(task, task);
+    this.writeLock = run.catch(() => {});
+    return run;
+  }
+
+  generateSessionId() {
+    return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  async getSession(sessionId) {
+    const key = this.options.storagePrefix + sessionId;
+    const stored = await chrome.storage.local.get(key);
+    return stored[key] || null;
+  }
+
+  async saveSession(session) {
+    session.updatedAt = Date.now();
+    await chrome.storage.local.set({ [this.options.storagePrefix + session.id]: session });
+    this.sessions.set(session.id, this.summarize(session));
+    await this.saveIndex();
+  }
+
+  summarize(session) {
+    const lastCheckpoint = session.checkpoints[session.checkpoints.length - 1];
+    return {
+      id: session.id,
+      name: session.name,
+      status: session.status,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      sourcePages: session.sourcePages.length,
+      completed: session.completed.length,
+      failed: session.failed.length,
+      pending: session.pending.length,
+      lastCheckpoint: lastCheckpoint ? lastCheckpoint.name : null,
+      active: session.id === this.activeSessionId
+    };
+  }
+
+  listSessions() {
+    return Array.from(this.sessions.values())
+      .map(summary => ({ ...summary, active: summary.id === this.activeSessionId }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  async startSession({ name, sourcePages = [], filters, filenameMask, conflictPolicy } = {}) {
+    await this.ready;
+
+    // Refuse a broken mask before the current session is closed
+    const { errors } = previewMask(filenameMask || '');
+    if (errors.length > 0) {
+      throw new Error(`Invalid filename mask: ${errors[0].message} at position ${errors[0].position + 1}`);
+    }
+    if (conflictPolicy && !DownloadQueue.CONFLICT_POLICIES.includes(conflictPolicy)) {
+      throw new Error(`Unknown filename conflict policy: ${conflictPolicy}`);
+    }
+
+    if (this.activeSessionId) {
+      await this.closeSession('Superseded by new session');
+    }
+
+    if (filters) {this.queue.setFilters(filters);}
+    if (filenameMask !== undefined) {this.queue.setFilenameMask(filenameMask);}
+    if (conflictPolicy !== undefined) {this.queue.setConflictPolicy(conflictPolicy);}
+
+    const now = Date.now();
+    const session = {
+      id: this.generateSessionId(),
+      name: name || `Session ${new Date(now).toLocaleString()}`,
+      status: 'active',
+      createdAt: now,
+      updatedAt: now,
+      sourcePages: [...new Set(sourcePages.filter(Boolean))],
+      filters: { ...this.queue.filters },
+      filenameMask: this.queue.filenameMask || null,
+      conflictPolicy: this.queue.conflictPolicy,
+      completed: [],
+      failed: [],
+      pending: [],
+      checkpoints: [],
+      summary: null
+    };
+
+    this.activeSessionId = session.id;
+    this.transitionsSinceCheckpoint = 0;
+    await this.exclusive(() => this.saveSession(session));
+
+    console.log(`💼 Download session started: ${session.name}`);
+    return this.summarize(session);
+  }
+
+  async recordSourcePages(urls = []) {
+    await this.ready;
+    const pages = urls.filter(Boolean);
+    if (!this.activeSessionId || pages.length === 0) {return;}
+
+    return this.exclusive(async () => {
+      const session = await this.getSession(this.activeSessionId);
+      if (!session) {return;}
+
+      const known = new Set(session.sourcePages);
+      const added = pages.filter(url => !known.has(url));
+      if (added.length === 0) {return;}
+
+      session.sourcePages.push(...new Set(added));
+      await this.saveSession(session);
+    });
+  }
+
+  // Copy the queue's current state into the active session; named checkpoints are listed in its history
+  async checkpoint(name = null, { status } = {}) {
+    await this.ready;
+    if (!this.activeSessionId) {
+      throw new Error('No active download session');
+    }
+
+    return this.exclusive(async () => {
+      const session = await this.getSession(this.activeSessionId);
+      if (!session) {
+        throw new Error(`Download session not found: ${this.activeSessionId}`);
+      }
+
+      const report = this.queue.generateReport();
+      session.completed = report.completed;
+      session.failed = report.failed;
+      session.pending = report.pending;
+      session.filters = report.settings.filters;
+      session.filenameMask = report.settings.filenameMask;
+      session.conflictPolicy = report.settings.conflictPolicy;
+      session.summary = report.summary;
+      if (status) {session.status = status;}
+
+      if (name) {
+        session.checkpoints.push({
+          name,
+          createdAt: Date.now(),
+          completed: session.completed.length,
+          failed: session.failed.length,
+          pending: session.pending.length
+        });
+      }
+
+      this.transitionsSinceCheckpoint = 0;
+      await this.saveSession(session);
+      return this.summarize(session);
+    });
+  }
+
+  async pauseSession(name) {
+    this.queue.pause();
+    return this.checkpoint(name || 'Paused', { status: 'paused' });
+  }
+
+  async closeSession(name) {
+    const summary = await this.checkpoint(name || 'Closed', { status: 'closed' });
+    this.queue.clear();
+    this.activeSessionId = null;
+    await this.saveIndex();
+
+    console.log(`💼 Download session closed: ${summary.name}`);
+    return { ...summary, active: false };
+  }
+
+  async resumeSession(sessionId) {
+    await this.ready;
+    const session = await this.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Download session not found: ${sessionId}`);
+    }
+
+    // Still loaded in the queue (e.g. paused, or restored from the journal) - just carry on
+    if (this.activeSessionId === sessionId) {
+      this.queue.resume();
+      const summary = await this.checkpoint('Resumed', { status: 'active' });
+      return { session: summary, requeued: 0, alreadyOnDisk: 0 };
+    }
+
+    if (this.activeSessionId) {
+      await this.closeSession('Switched session');
+    }
+
+    this.queue.clear();
+    this.queue.pause();
+    this.queue.setFilters(session.filters || {});
+    this.queue.setFilenameMask(session.filenameMask);
+    this.queue.setConflictPolicy(session.conflictPolicy);
+    this.queue.importCompleted(session.completed);
+
+    // Only failed and unfinished jobs go back into the queue, unless they reached disk after all
+    const seen = new Set(session.completed.map(job => job.url));
+    const candidates = [...session.failed, ...session.pending].filter(job => {
+      if (!job.url || seen.has(job.url)) {return false;}
+      seen.add(job.url);
+      return true;
+    });
+
+    const alreadyOnDisk = [];
+    let requeued = 0;
+    for (const job of candidates) {
+      if (await this.isOnDisk(job.url)) { // eslint-disable-line no-await-in-loop
+        alreadyOnDisk.push(job);
+        continue;
+      }
+      const added = await this.queue.add({ // eslint-disable-line no-await-in-loop
+        url: job.url,
+        filename: job.filename,
+        referrer: job.referrer,
+        metadata: job.metadata,
+        priority: job.priority
+      });
+      if (added) {requeued++;}
+    }
+    this.queue.importCompleted(alreadyOnDisk);
+
+    this.activeSessionId = session.id;
+    this.queue.resume();
+    const summary = await this.checkpoint('Resumed', { status: 'active' });
+
+    console.log(`💼 Download session resumed: ${session.name} (${requeued} re-queued, ${alreadyOnDisk.length} already on disk)`);
+    return { session: summary, requeued, alreadyOnDisk: alreadyOnDisk.length };
+  }
+
+  // Chrome records the URL it fetched, which for captioned JPEGs is a blob: URL, so the
+  // download history's entry for the original URL is checked by download ID as well
+  async isOnDisk(url) {
+    try {
+      const results = await chrome.downloads.search({ url, state: 'complete', exists: true, limit: 1 });
+      if (results.length > 0) {return true;}
+
+      const entry = this.options.history ? (await this.options.history.lookup([url]))[url] : null;
+      if (entry?.downloadId === undefined || entry?.downloadId === null) {return false;}
+      const [download] = await chrome.downloads.search({ id: entry.downloadId });
+      return !!download && download.state === 'complete' && download.exists !== false;
+    } catch (error) {
+      console.warn('Download history lookup failed:', error);
+      return false;
+    }
+  }
+
+  async deleteSession(sessionId) {
+    await this.ready;
+    if (!this.sessions.has(sessionId)) {
+      throw new Error(`Download session not found: ${sessionId}`);
+    }
+    if (this.activeSessionId === sessionId) {
+      throw new Error('Close the active session before deleting it');
+    }
+
+    await this.exclusive(async () => {
+      await chrome.storage.local.remove(this.options.storagePrefix + sessionId);
+      this.sessions.delete(sessionId);
+      await this.saveIndex();
+    });
+  }
+
+  // Hooked into the queue progress callback so long runs checkpoint themselves
+  handleQueueProgress(progress) {
+    if (!this.activeSessionId || !progress) {return;}
+    if (progress.state !== 'completed' && progress.state !== 'failed') {return;}
+
+    this.transitionsSinceCheckpoint++;
+    if (this.transitionsSinceCheckpoint >= this.options.autoCheckpointEvery) {
+      this.transitionsSinceCheckpoint = 0;
+      this.checkpoint().catch(error => console.error('Automatic session checkpoint failed:', error));
+    }
+  }
+}
+
+// Export for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.DownloadSessionManager = DownloadSessionManager;
+}
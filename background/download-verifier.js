@@ -0,0 +1,183 @@
+// download-verifier.js - Post-download integrity checks
+// Catches truncated files and HTML error pages saved under an image filename
+
+class DownloadVerifier {
+  constructor(options = {}) {
+    this.options = {
+      enabled: options.enabled !== false,
+      sniffMagicBytes: options.sniffMagicBytes !== false, // Re-request the first bytes to check the file signature
+      removeCorruptFiles: options.removeCorruptFiles !== false,
+      sniffBytes: options.sniffBytes || 512,
+      sniffTimeout: options.sniffTimeout || 10000,
+      ...options
+    };
+  }
+
+  get enabled() {
+    return this.options.enabled;
+  }
+
+  static ascii(bytes, start, end) {
+    return String.fromCharCode(...bytes.slice(start, end));
+  }
+
+  static get SIGNATURES() {
+    const ascii = DownloadVerifier.ascii;
+    return [
+      { type: 'jpeg', test: b => b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF },
+      { type: 'png', test: b => b[0] === 0x89 && ascii(b, 1, 4) === 'PNG' },
+      { type: 'gif', test: b => ascii(b, 0, 4) === 'GIF8' },
+      { type: 'webp', test: b => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 12) === 'WEBP' },
+      { type: 'bmp', test: b => ascii(b, 0, 2) === 'BM' },
+      { type: 'tiff', test: b => ascii(b, 0, 4) === 'II*\0' || ascii(b, 0, 4) === 'MM\0*' },
+      { type: 'avif', test: b => ascii(b, 4, 8) === 'ftyp' && /^avi[fs]/.test(ascii(b, 8, 12)) },
+      { type: 'heic', test: b => ascii(b, 4, 8) === 'ftyp' && /^(heic|heix|mif1|msf1)/.test(ascii(b, 8, 12)) },
+      { type: 'ico', test: b => b[0] === 0 && b[1] === 0 && b[2] === 1 && b[3] === 0 }
+    ];
+  }
+
+  static get EXTENSION_TYPES() {
+    return {
+      jpg: 'jpeg', jpeg: 'jpeg', jpe: 'jpeg', jfif: 'jpeg',
+      png: 'png',
+      gif: 'gif',
+      webp: 'webp',
+      bmp: 'bmp',
+      tif: 'tiff', tiff: 'tiff',
+      avif: 'avif',
+      heic: 'heic', heif: 'heic',
+      ico: 'ico',
+      svg: 'svg'
+    };
+  }
+
+  // Identify content from its leading bytes: an image type, 'html', 'text' or null
+  detectType(bytes) {
+    for (const signature of DownloadVerifier.SIGNATURES) {
+      if (bytes.length >= 12 && signature.test(bytes)) {
+        return signature.type;
+      }
+    }
+
+    const text = new TextDecoder('utf-8', { fatal: false }).decode(bytes).replace(/^\uFEFF/, '').trim().toLowerCase();
+    if (text.includes('<svg')) {return 'svg';}
+    if (/^<(!doctype html|html|head|body|meta|title|script)/.test(text) || text.includes('<html')) {return 'html';}
+
+    // Printable ASCII/UTF-8 only - a JSON or plain-text error body
+    const printable = bytes.every(byte => byte === 0x09 || byte === 0x0A || byte === 0x0D || byte >= 0x20);
+    return printable && bytes.length > 0 ? 'text' : null;
+  }
+
+  expectedType(job, download) {
+    const name = (job.filename || download.filename || job.url || '').split(/[?#]/)[0];
+    const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    return DownloadVerifier.EXTENSION_TYPES[extension] || null;
+  }
+
+  fail(reason, details = {}) {
+    return { ok: false, reason, ...details, checkedAt: Date.now() };
+  }
+
+  // prefetched: bytes already fetched for the same URL (e.g. for hashing), used instead of a new request
+  async verify(job, download, prefetched = null) {
+    const warnings = [];
+
+    if (download.exists === false) {
+      return this.fail('File missing after download');
+    }
+
+    const size = download.fileSize > 0 ? download.fileSize : download.bytesReceived;
+    if (!size) {
+      return this.fail('Downloaded file is empty');
+    }
+
+    // totalBytes is the server's Content-Length (0 when it sent none)
+    if (download.totalBytes > 0 && download.bytesReceived < download.totalBytes) {
+      return this.fail(`Truncated: received ${download.bytesReceived} of ${download.totalBytes} bytes`, { size });
+    }
+
+    const mime = (download.mime || '').toLowerCase();
+    if (/^(text\/html|application\/xhtml)/.test(mime)) {
+      return this.fail(`Server sent ${mime} instead of an image`, { size });
+    }
+
+    const expectedType = this.expectedType(job, download);
+    let detectedType = null;
+
+    // Extensions can't read the saved file back, so check the signature of the same resource instead
+    if (this.options.sniffMagicBytes) {
+      const bytes = prefetched ? prefetched.subarray(0, this.options.sniffBytes) : await this.sniff(job.url);
+      if (bytes) {
+        detectedType = this.detectType(bytes);
+
+        if (detectedType === 'html') {
+          return this.fail('HTML page saved as an image', { size, expectedType, detectedType });
+        }
+        if (detectedType === 'text') {
+          return this.fail('Text response saved as an image', { size, expectedType, detectedType });
+        }
+        if (!detectedType && expectedType) {
+          return this.fail(`Content does not look like ${expectedType}`, { size, expectedType, detectedType });
+        }
+        if (detectedType && expectedType && detectedType !== expectedType) {
+          warnings.push(`Saved as ${expectedType} but content is ${detectedType}`);
+        }
+      } else {
+        warnings.push('Could not re-read the file signature');
+      }
+    }
+
+    return { ok: true, size, mime, expectedType, detectedType, warnings, checkedAt: Date.now() };
+  }
+
+  // Fetch just the first bytes of a resource; null if the server won't give them to us
+  async sniff(url) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.options.sniffTimeout);
+
+    try {
+      const response = await fetch(url, {
+        headers: { Range: `bytes=0-${this.options.sniffBytes - 1}` },
+        credentials: 'include',
+        signal: controller.signal
+      });
+      // A 429 or 5xx now says nothing about the file we already saved
+      if (!response.ok || !response.body) {return null;}
+
+      const reader = response.body.getReader();
+      const bytes = new Uint8Array(this.options.sniffBytes);
+      let length = 0;
+      while (length < bytes.length) {
+        const { done, value } = await reader.read(); // eslint-disable-line no-await-in-loop
+        if (done) {break;}
+        const chunk = value.subarray(0, bytes.length - length);
+        bytes.set(chunk, length);
+        length += chunk.length;
+      }
+      reader.cancel().catch(() => {});
+
+      return bytes.subarray(0, length);
+    } catch (error) {
+      console.warn(`Signature check failed for ${url}:`, error.message);
+      return null;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  // Delete a corrupt file so the retry can save under the same name
+  async discard(downloadId) {
+    if (!this.options.removeCorruptFiles) {return;}
+    try {
+      await chrome.downloads.removeFile(downloadId);
+    } catch (error) {
+      console.warn(`Failed to remove corrupt download ${downloadId}:`, error);
+    }
+    chrome.downloads.erase({ id: downloadId }).catch(() => {});
+  }
+}
+
+// Export for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.DownloadVerifier = DownloadVerifier;
+}
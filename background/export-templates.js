@@ -0,0 +1,114 @@
+// export-templates.js - Saved column templates for CSV, Excel, XML and HTML exports
+// A template picks, orders and renames columns; AdvancedExportSystem.compileColumnTemplate turns it into values
+
+class ExportTemplates {
+  constructor(options = {}) {
+    this.options = {
+      storageKey: options.storageKey || 'exportTemplates',
+      ...options
+    };
+  }
+
+  // Templates are edited as text, one column per line:
+  //   url                               -> field, with its usual header
+  //   Host = {host}                     -> computed from {placeholders}
+  //   Size = {width}x{height}
+  //   Photo ID = url ~ /photos\/(\d+)/  -> first capture group of a regex over the value
+  static parse(text) {
+    const columns = [];
+    const errors = [];
+
+    String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) {return;}
+
+      // Split off the regex first - its pattern may contain "=", e.g. url ~ /id=(\d+)/
+      const regexMatch = line.match(/^(.*?)\s*~\s*\/(.+)\/([gimsuy]*)$/);
+      const head = regexMatch ? regexMatch[1] : line;
+      const equals = head.indexOf('=');
+      const header = equals > 0 ? head.slice(0, equals).trim() : null;
+      let expression = (equals > 0 ? head.slice(equals + 1) : head).trim();
+      const column = { header };
+
+      if (regexMatch) {
+        expression = expression || 'url';
+        try {
+          new RegExp(regexMatch[2], regexMatch[3]); // eslint-disable-line no-new
+          column.regex = regexMatch[2];
+          column.flags = regexMatch[3] || undefined;
+        } catch (error) {
+          errors.push({ line: index + 1, message: error.message });
+          return;
+        }
+      }
+
+      if (expression.includes('{')) {
+        column.template = expression;
+      } else if (/^[\w.]+$/.test(expression)) {
+        column.field = expression;
+      } else {
+        errors.push({ line: index + 1, message: `Expected a field name or a {placeholder} template, got "${expression}"` });
+        return;
+      }
+
+      if (!column.header && !column.field) {
+        errors.push({ line: index + 1, message: 'Computed columns need a header: "Header = expression"' });
+        return;
+      }
+      columns.push(Object.fromEntries(Object.entries(column).filter(([, value]) => value !== null && value !== undefined)));
+    });
+
+    return { columns, errors };
+  }
+
+  // Inverse of parse, for editing a saved template
+  static format(columns) {
+    return (columns || []).map(column => {
+      let expression = column.template || column.field || '';
+      if (column.regex) {expression += ` ~ /${column.regex}/${column.flags || ''}`;}
+      return column.header ? `${column.header} = ${expression}` : expression;
+    }).join('\n');
+  }
+
+  async list() {
+    try {
+      const stored = await chrome.storage.local.get(this.options.storageKey);
+      return Array.isArray(stored[this.options.storageKey]) ? stored[this.options.storageKey] : [];
+    } catch (error) {
+      console.error('Failed to load export templates:', error);
+      return [];
+    }
+  }
+
+  async get(name) {
+    return (await this.list()).find(template => template.name === name) || null;
+  }
+
+  // Saving under an existing name replaces that template
+  async save(name, columns) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('Template name is required');
+    }
+    if (!Array.isArray(columns) || columns.length === 0) {
+      throw new Error('Template needs at least one column');
+    }
+
+    const templates = (await this.list()).filter(template => template.name !== trimmed);
+    const template = { name: trimmed, columns, updatedAt: Date.now() };
+    templates.push(template);
+    templates.sort((a, b) => a.name.localeCompare(b.name));
+    await chrome.storage.local.set({ [this.options.storageKey]: templates });
+    return template;
+  }
+
+  async remove(name) {
+    const templates = (await this.list()).filter(template => template.name !== name);
+    await chrome.storage.local.set({ [this.options.storageKey]: templates });
+  }
+}
+
+// Export for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.ExportTemplates = ExportTemplates;
+}
@@ -0,0 +1,142 @@
+// export-volume-store.js - Disk-backed storage for large export files written by the service worker
+// Volumes are written to the origin private file system, then saved through chrome.downloads from a file-backed blob: URL
+
+class ExportVolumeStore {
+  constructor(options = {}) {
+    this.options = {
+      directory: options.directory || 'exports',
+      storageKey: options.storageKey || 'exportVolumes',
+      ...options
+    };
+
+    this.blobs = options.blobs || new BlobUrlBridge();
+    this.pending = new Map(); // downloadId -> {url, name} until chrome.downloads has finished with the file
+    this.writing = new Map(); // name -> open writable
+    this.saving = Promise.resolve(); // Serialises updates to the stored volume list
+  }
+
+  async directory() {
+    if (!navigator.storage?.getDirectory) {
+      throw new Error('Origin private file system not available');
+    }
+    const root = await navigator.storage.getDirectory();
+    return root.getDirectoryHandle(this.options.directory, { create: true });
+  }
+
+  // Volumes on disk, name -> downloadId (null while written), kept in storage so a restarted
+  // service worker can still clean up after itself (see sweep)
+  async stored() {
+    const result = await chrome.storage.local.get(this.options.storageKey);
+    return result[this.options.storageKey] || {};
+  }
+
+  updateStored(update) {
+    this.saving = this.saving
+      .then(async () => {
+        const volumes = await this.stored();
+        update(volumes);
+        await chrome.storage.local.set({ [this.options.storageKey]: volumes });
+      })
+      .catch(error => console.warn('Failed to update the export volume list:', error));
+    return this.saving;
+  }
+
+  // Sink for ZipStreamWriter: bytes go straight to disk
+  async createVolume(name) {
+    const directory = await this.directory();
+    const handle = await directory.getFileHandle(name, { create: true });
+    const writable = await handle.createWritable();
+    this.writing.set(name, writable);
+    await this.updateStored(volumes => { volumes[name] = null; });
+    return {
+      write: bytes => writable.write(bytes),
+      close: async () => {
+        await writable.close();
+        this.writing.delete(name);
+      }
+    };
+  }
+
+  // Save a finished volume to the Downloads folder; the private copy is removed once the download ends
+  async deliver(name, filename = name) {
+    let url = null;
+    try {
+      url = await this.blobs.createFileUrl(`${this.options.directory}/${name}`);
+      const downloadId = await chrome.downloads.download({ url, filename, conflictAction: 'uniquify', saveAs: false });
+      this.pending.set(downloadId, { url, name });
+      await this.updateStored(volumes => { volumes[name] = downloadId; });
+      return downloadId;
+    } catch (error) {
+      this.blobs.revoke(url);
+      await this.discard(name);
+      throw error;
+    }
+  }
+
+  handleDownloadChanged(delta) {
+    const pending = this.pending.get(delta.id);
+    if (!pending || !delta.state || delta.state.current === 'in_progress') {return;}
+
+    this.pending.delete(delta.id);
+    this.blobs.revoke(pending.url);
+    this.discard(pending.name).catch(error => console.warn(`Failed to remove export volume ${pending.name}:`, error));
+  }
+
+  // Drop a volume that won't be delivered, e.g. the one being written when an export failed
+  async discard(name) {
+    const writable = this.writing.get(name);
+    if (writable) {
+      this.writing.delete(name);
+      await writable.abort().catch(() => {});
+    }
+    try {
+      await this.remove(name);
+    } catch (error) {
+      if (error.name !== 'NotFoundError') {throw error;}
+    }
+    await this.updateStored(volumes => { delete volumes[name]; });
+  }
+
+  async remove(name) {
+    const directory = await this.directory();
+    await directory.removeEntry(name);
+  }
+
+  // Volumes left behind by a service worker that stopped mid-export or mid-download. Run at startup:
+  // a volume Chrome is still downloading is watched again, anything else is removed
+  async sweep() {
+    const volumes = await this.stored();
+    const directory = await this.directory();
+    const names = [];
+    for await (const name of directory.keys()) {
+      names.push(name);
+    }
+
+    let removed = 0;
+    for (const name of names) {
+      if (this.writing.has(name)) {continue;}
+
+      const downloadId = volumes[name];
+      if (downloadId !== null && downloadId !== undefined) {
+        const [download] = await chrome.downloads.search({ id: downloadId }); // eslint-disable-line no-await-in-loop
+        if (download?.state === 'in_progress') {
+          this.pending.set(downloadId, { url: null, name });
+          continue;
+        }
+      }
+      await this.discard(name); // eslint-disable-line no-await-in-loop
+      removed++;
+    }
+
+    // Entries whose file is already gone
+    await this.updateStored(stored => {
+      Object.keys(stored).filter(name => !names.includes(name) && !this.writing.has(name)).forEach(name => delete stored[name]);
+    });
+    return removed;
+  }
+}
+
+// Export for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.ExportVolumeStore = ExportVolumeStore;
+}
@@ -0,0 +1,171 @@
+// host-rate-limiter.js - Per-host token buckets for the download queue
+// Budgets requests per minute and bytes per second so agencies stop answering with 429s
+
+class HostRateLimiter {
+  constructor(options = {}) {
+    this.defaults = {
+      requestsPerMinute: options.requestsPerMinute || 0, // 0 = unlimited
+      bytesPerSecond: options.bytesPerSecond || 0, // 0 = unlimited
+      burst: options.burst || 0, // Requests allowed back-to-back (default: 10 seconds' worth)
+      burstSeconds: options.burstSeconds || 2 // Bytes allowed back-to-back, in seconds of bandwidth
+    };
+    this.maxRetryAfter = options.maxRetryAfter || 3600000; // Ignore Retry-After values over an hour
+
+    this.limitResolver = () => null;
+    this.buckets = new Map(); // host -> bucket state
+  }
+
+  // resolver(host) returns per-host overrides, e.g. a site profile's settings.rateLimit
+  setLimitResolver(resolver) {
+    this.limitResolver = typeof resolver === 'function' ? resolver : () => null;
+    this.refreshLimits();
+  }
+
+  setDefaults(limits = {}) {
+    Object.assign(this.defaults, limits);
+    this.refreshLimits();
+  }
+
+  // Re-read limits for every known host, e.g. after site profiles change
+  refreshLimits() {
+    for (const [host, bucket] of this.buckets) {
+      this._refill(bucket);
+      bucket.limits = this._resolveLimits(host);
+      bucket.requestTokens = Math.min(bucket.requestTokens, this._requestCapacity(bucket.limits));
+      bucket.byteTokens = Math.min(bucket.byteTokens, this._byteCapacity(bucket.limits));
+    }
+  }
+
+  _resolveLimits(host) {
+    let overrides = null;
+    try {
+      overrides = this.limitResolver(host);
+    } catch (error) {
+      console.warn(`Failed to resolve rate limits for ${host}:`, error);
+    }
+    return { ...this.defaults, ...(overrides || {}) };
+  }
+
+  _requestCapacity(limits) {
+    if (!limits.requestsPerMinute) {return Infinity;}
+    return Math.max(1, limits.burst || Math.ceil(limits.requestsPerMinute / 6));
+  }
+
+  _byteCapacity(limits) {
+    if (!limits.bytesPerSecond) {return Infinity;}
+    return limits.bytesPerSecond * limits.burstSeconds;
+  }
+
+  _bucket(host) {
+    let bucket = this.buckets.get(host);
+    if (!bucket) {
+      const limits = this._resolveLimits(host);
+      bucket = {
+        limits,
+        requestTokens: this._requestCapacity(limits),
+        byteTokens: this._byteCapacity(limits),
+        updatedAt: Date.now(),
+        blockedUntil: 0,
+        requests: 0,
+        bytes: 0
+      };
+      this.buckets.set(host, bucket);
+    }
+    this._refill(bucket);
+    return bucket;
+  }
+
+  _refill(bucket) {
+    const now = Date.now();
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.updatedAt = now;
+
+    const { requestsPerMinute, bytesPerSecond } = bucket.limits;
+    if (requestsPerMinute) {
+      bucket.requestTokens = Math.min(this._requestCapacity(bucket.limits), bucket.requestTokens + elapsed * requestsPerMinute / 60);
+    }
+    if (bytesPerSecond) {
+      bucket.byteTokens = Math.min(this._byteCapacity(bucket.limits), bucket.byteTokens + elapsed * bytesPerSecond);
+    }
+  }
+
+  // Milliseconds until the host may start another request (0 = now)
+  waitTime(host) {
+    const bucket = this._bucket(host);
+    const { requestsPerMinute, bytesPerSecond } = bucket.limits;
+    let wait = Math.max(0, bucket.blockedUntil - Date.now());
+
+    if (requestsPerMinute && bucket.requestTokens < 1) {
+      wait = Math.max(wait, (1 - bucket.requestTokens) / requestsPerMinute * 60000);
+    }
+    // Bytes are charged after the fact, so the bucket may be in debt
+    if (bytesPerSecond && bucket.byteTokens < 0) {
+      wait = Math.max(wait, -bucket.byteTokens / bytesPerSecond * 1000);
+    }
+
+    return Math.ceil(wait);
+  }
+
+  consumeRequest(host) {
+    const bucket = this._bucket(host);
+    if (bucket.limits.requestsPerMinute) {bucket.requestTokens -= 1;}
+    bucket.requests++;
+  }
+
+  consumeBytes(host, bytes) {
+    if (!bytes || bytes <= 0) {return;}
+    const bucket = this._bucket(host);
+    if (bucket.limits.bytesPerSecond) {bucket.byteTokens -= bytes;}
+    bucket.bytes += bytes;
+  }
+
+  // Hold every request to the host until a server-imposed cool-down has passed
+  blockHost(host, ms) {
+    const bucket = this._bucket(host);
+    const duration = Math.min(Math.max(0, ms), this.maxRetryAfter);
+    bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + duration);
+  }
+
+  // Retry-After is either delta-seconds or an HTTP date
+  static parseRetryAfter(value) {
+    if (value === null || value === undefined) {return null;}
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+      return parseInt(text, 10) * 1000;
+    }
+    const date = Date.parse(text);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  getBudget() {
+    const budget = {};
+    for (const host of this.buckets.keys()) {
+      const bucket = this._bucket(host);
+      const { requestsPerMinute, bytesPerSecond } = bucket.limits;
+      budget[host] = {
+        requestsPerMinute: requestsPerMinute || null,
+        requestsRemaining: requestsPerMinute ? Math.max(0, Math.floor(bucket.requestTokens)) : null,
+        bytesPerSecond: bytesPerSecond || null,
+        bytesRemaining: bytesPerSecond ? Math.max(0, Math.floor(bucket.byteTokens)) : null,
+        blockedFor: Math.max(0, bucket.blockedUntil - Date.now()),
+        nextRequestIn: this.waitTime(host),
+        requests: bucket.requests,
+        bytes: bucket.bytes
+      };
+    }
+    return budget;
+  }
+
+  reset(host = null) {
+    if (host) {
+      this.buckets.delete(host);
+    } else {
+      this.buckets.clear();
+    }
+  }
+}
+
+// Export for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.HostRateLimiter = HostRateLimiter;
+}
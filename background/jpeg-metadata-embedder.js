@@ -0,0 +1,211 @@
+// jpeg-metadata-embedder.js - Writes scraped captions into JPEGs before DownloadQueue saves them
+// Adds an APP1 XMP packet and an APP13 IPTC block so Photo Mechanic, Lightroom and most DAMs read them on import
+
+class JpegMetadataEmbedder {
+  constructor(options = {}) {
+    this.options = {
+      storageKey: options.storageKey || 'embedMetadataSettings',
+      maxBytes: options.maxBytes || 30 * 1024 * 1024, // Larger files are saved untouched
+      ...options
+    };
+
+    this.settings = { enabled: false, replaceExisting: false };
+    this.blobs = options.blobs || new BlobUrlBridge();
+    this.ready = this.load();
+  }
+
+  get enabled() {
+    return this.settings.enabled;
+  }
+
+  async load() {
+    try {
+      const stored = await chrome.storage.local.get(this.options.storageKey);
+      Object.assign(this.settings, stored[this.options.storageKey] || {});
+    } catch (error) {
+      console.error('Failed to load metadata embedding settings:', error);
+    }
+  }
+
+  async setSettings({ enabled, replaceExisting } = {}) {
+    await this.ready;
+    if (enabled !== undefined) {this.settings.enabled = !!enabled;}
+    if (replaceExisting !== undefined) {this.settings.replaceExisting = !!replaceExisting;}
+    await chrome.storage.local.set({ [this.options.storageKey]: this.settings });
+    return { ...this.settings };
+  }
+
+  // Worth fetching: a .jpg/.jpeg name, or no extension at all (CDN URLs); the bytes decide in the end
+  static mayBeJpeg(job) {
+    const names = [job.filename, job.url].filter(Boolean).map(name => name.split(/[?#]/)[0].split('/').pop());
+    return names.some(name => /\.(jpe?g|jfif)$/i.test(name)) || names.every(name => !name.includes('.'));
+  }
+
+  static isJpeg(bytes) {
+    return bytes.length > 4 && bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF;
+  }
+
+  static utf8(text) {
+    return new TextEncoder().encode(text);
+  }
+
+  // Cut to a byte budget without splitting a UTF-8 sequence
+  static truncateUtf8(text, maxBytes) {
+    const bytes = JpegMetadataEmbedder.utf8(text);
+    if (bytes.length <= maxBytes) {return bytes;}
+    let end = maxBytes;
+    while (end > 0 && (bytes[end] & 0xC0) === 0x80) {end--;}
+    return bytes.slice(0, end);
+  }
+
+  static concat(parts) {
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      output.set(part, offset);
+      offset += part.length;
+    }
+    return output;
+  }
+
+  // IPTC-IIM datasets: 0x1C, record, dataset, 16-bit length, value
+  static dataset(record, number, value) {
+    const header = new Uint8Array([0x1C, record, number, value.length >> 8, value.length & 0xFF]);
+    return JpegMetadataEmbedder.concat([header, value]);
+  }
+
+  static buildIptc(meta) {
+    const { dataset, truncateUtf8 } = JpegMetadataEmbedder;
+    const parts = [
+      dataset(1, 90, new Uint8Array([0x1B, 0x25, 0x47])), // Coded character set: UTF-8
+      dataset(2, 0, new Uint8Array([0x00, 0x04])) // Record version 4
+    ];
+    const text = (number, value, maxBytes) => {
+      if (value) {parts.push(dataset(2, number, truncateUtf8(value, maxBytes)));}
+    };
+
+    text(5, meta.title, 64); // Object Name
+    for (const keyword of meta.keywords || []) {
+      text(25, keyword, 64);
+    }
+
+    const date = meta.dateCreated ? new Date(meta.dateCreated) : null;
+    if (date && !isNaN(date)) {
+      const iso = date.toISOString(); // IPTC wants CCYYMMDD and HHMMSS±HHMM
+      text(55, iso.slice(0, 10).replace(/-/g, ''), 8);
+      text(60, `${iso.slice(11, 19).replace(/:/g, '')}+0000`, 11);
+    }
+
+    text(80, meta.byline, 32); // By-line
+    text(110, meta.credit, 32); // Credit
+    text(120, meta.description, 2000); // Caption/Abstract
+    return JpegMetadataEmbedder.concat(parts);
+  }
+
+  // APP13 "Photoshop 3.0" segment holding one 8BIM resource (0x0404 = IPTC-NAA)
+  static buildApp13(iptc) {
+    const { utf8, concat } = JpegMetadataEmbedder;
+    const padding = iptc.length % 2 ? new Uint8Array(1) : new Uint8Array(0);
+    const size = new Uint8Array([iptc.length >>> 24, (iptc.length >> 16) & 0xFF, (iptc.length >> 8) & 0xFF, iptc.length & 0xFF]);
+    const resource = concat([utf8('8BIM'), new Uint8Array([0x04, 0x04, 0x00, 0x00]), size, iptc, padding]);
+    return JpegMetadataEmbedder.segment(0xED, concat([utf8('Photoshop 3.0\0'), resource]));
+  }
+
+  static buildXmpApp1(xmp) {
+    const { utf8, concat } = JpegMetadataEmbedder;
+    return JpegMetadataEmbedder.segment(0xE1, concat([utf8('http://ns.adobe.com/xap/1.0/\0'), utf8(xmp)]));
+  }
+
+  static segment(marker, payload) {
+    const length = payload.length + 2;
+    if (length > 0xFFFF) {
+      throw new Error('Metadata is too large for a single JPEG segment');
+    }
+    return JpegMetadataEmbedder.concat([new Uint8Array([0xFF, marker, length >> 8, length & 0xFF]), payload]);
+  }
+
+  // Marker segments up to the start of scan, with what kind of metadata each one holds
+  static readSegments(bytes) {
+    const ascii = (start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+    const segments = [];
+    let pos = 2;
+
+    while (pos + 4 <= bytes.length && bytes[pos] === 0xFF) {
+      const marker = bytes[pos + 1];
+      if (marker === 0xDA || marker === 0xD9) {break;}
+      const end = pos + 2 + ((bytes[pos + 2] << 8) | bytes[pos + 3]);
+      if (end > bytes.length) {break;}
+
+      let kind = null;
+      if (marker === 0xE1 && ascii(pos + 4, 29) === 'http://ns.adobe.com/xap/1.0/\0') {kind = 'xmp';}
+      if (marker === 0xE1 && ascii(pos + 4, 6) === 'Exif\0\0') {kind = 'exif';}
+      if (marker === 0xE0) {kind = 'jfif';}
+      if (marker === 0xED && ascii(pos + 4, 14) === 'Photoshop 3.0\0') {kind = 'iptc';}
+
+      segments.push({ marker, start: pos, end, kind });
+      pos = end;
+    }
+    return segments;
+  }
+
+  // New JPEG bytes with our XMP and IPTC, or null to save the original as-is
+  static embed(bytes, meta, { replaceExisting = false } = {}) {
+    if (!JpegMetadataEmbedder.isJpeg(bytes)) {return null;}
+
+    const segments = JpegMetadataEmbedder.readSegments(bytes);
+    const existing = segments.filter(segment => segment.kind === 'xmp' || segment.kind === 'iptc');
+    // Agency-supplied captions win unless we've been told to replace them
+    if (existing.length > 0 && !replaceExisting) {return null;}
+
+    // JFIF and Exif have to stay first; our segments go straight after them
+    let insertAt = 2;
+    for (const segment of segments) {
+      if (segment.kind !== 'jfif' && segment.kind !== 'exif') {break;}
+      insertAt = segment.end;
+    }
+
+    const parts = [
+      bytes.subarray(0, insertAt),
+      JpegMetadataEmbedder.buildXmpApp1(SidecarWriter.buildXmp(meta)),
+      JpegMetadataEmbedder.buildApp13(JpegMetadataEmbedder.buildIptc(meta))
+    ];
+    let pos = insertAt;
+    for (const segment of existing) {
+      parts.push(bytes.subarray(pos, segment.start));
+      pos = segment.end;
+    }
+    parts.push(bytes.subarray(pos));
+
+    return JpegMetadataEmbedder.concat(parts);
+  }
+
+  async fetchBytes(url) {
+    const response = await fetch(url, { credentials: 'include' });
+    if (response.status === 429 || response.status === 503) {throw ChecksumManifest.throttledError(response);}
+    if (!response.ok) {return null;}
+    const length = parseInt(response.headers.get('content-length') || '0', 10);
+    if (length > this.options.maxBytes) {return null;}
+    return new Uint8Array(await response.arrayBuffer());
+  }
+
+  // Embed into bytes already fetched for the job (or fetch them); null means download the original URL
+  async prepare(job, bytes = null) {
+    await this.ready;
+    const source = bytes || await this.fetchBytes(job.url);
+    if (!source || source.length > this.options.maxBytes) {return null;}
+
+    const embedded = JpegMetadataEmbedder.embed(source, SidecarWriter.collect(job), this.settings);
+    if (!embedded) {return null;}
+
+    return { bytes: embedded, url: await this.blobs.createUrl(embedded, 'image/jpeg') };
+  }
+
+  release(url) {
+    this.blobs.revoke(url);
+  }
+}
+
+// Export for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.JpegMetadataEmbedder = JpegMetadataEmbedder;
+}
@@ -41,6 +41,10 @@ class MemoryOptimizedProcessor {
 
   // Initialize Web Worker for CPU-intensive tasks with enhanced binary processing
   initializeWorker() {
+    if (typeof Worker === 'undefined') {
+      return; // Service workers can't start dedicated workers; batches are processed inline
+    }
+    
     try {
       const workerCode = `
         // Enhanced Worker for binary storage and advanced compression
@@ -522,9 +526,9 @@ class MemoryOptimizedProcessor {
 
     // Add metadata
     const enhancedItem = {
-      ...item,
       id: this.generateId(),
       timestamp: Date.now(),
+      ...item,
       memoryId: this.memoryQueue.length
     };
 
@@ -548,25 +552,29 @@ class MemoryOptimizedProcessor {
       throw new Error(`Adding ${items.length} items would exceed maximum limit: ${this.options.maxTotalItems}`);
     }
 
-    const enhancedItems = items.map((item, index) => ({
-      ...item,
-      id: this.generateId(),
-      timestamp: Date.now(),
-      memoryId: this.memoryQueue.length + index
-    }));
+    // One push per item: spreading 100k+ arguments into push() overflows the stack
+    const ids = [];
+    for (const item of items) {
+      const enhancedItem = {
+        id: this.generateId(),
+        timestamp: Date.now(),
+        ...item,
+        memoryId: this.memoryQueue.length
+      };
+      this.memoryQueue.push(enhancedItem);
+      ids.push(enhancedItem.id);
+    }
+    this.totalItems += items.length;
 
-    // Check if we need to spill to database
-    if (this.memoryQueue.length + enhancedItems.length > this.options.maxMemoryItems) {
+    // Spill until memory is back under the limit, however large the batch was
+    while (this.memoryQueue.length > this.options.maxMemoryItems) {
       await this.spillToDatabase();
     }
-
-    this.memoryQueue.push(...enhancedItems);
-    this.totalItems += enhancedItems.length;
     
     // Update memory usage estimate
     this.updateMemoryStats();
 
-    return enhancedItems.map(item => item.id);
+    return ids;
   }
 
   // Add multiple items in batch
@@ -709,47 +717,98 @@ class MemoryOptimizedProcessor {
     return results;
   }
 
-  // Process items from database
+  // Process items from database, one spilled batch in memory at a time.
+  // options.onBatch(items) receives each batch instead of processingFunction; nothing is collected then
   async processDatabaseItems(processingFunction, options) {
     const results = [];
+    let processed = 0;
     
     try {
-      const batches = await this.dbQueue.getAllBatches();
-      
-      for (const batch of batches) {
-        // Decompress if needed
-        let items = batch.data;
-        if (batch.compressed && this.worker) {
-          try {
-            items = await this.callWorker('decompress', batch.data);
-          } catch (error) {
-            console.warn('Decompression failed:', error);
-            continue;
-          }
-        }
+      await this.dbQueue.forEachBatch(async (batch) => {
+        const items = await this.unpackBatch(batch);
+        if (!items) {return;}
         
-        // Process batch
-        const processedBatch = await this.processBatch(items, processingFunction, options);
-        results.push(...processedBatch);
+        if (options.onBatch) {
+          if (await options.onBatch(items) === false) {return false;}
+        } else {
+          const processedBatch = await this.processBatch(items, processingFunction, options);
+          results.push(...processedBatch);
+        }
+        processed += items.length;
         
         // Update progress
         this.notifyObservers('progress', {
-          processed: results.length,
+          processed,
           total: this.spilledItems,
           phase: 'database'
         });
         
         await this.yield();
-      }
+      });
       
     } catch (error) {
       console.error('Database processing failed:', error);
       this.notifyObservers('error', error);
+      if (options.onBatch) {throw error;} // A stream with a hole in it is worse than no stream
     }
     
     return results;
   }
 
+  // Spilled batches are stored as {data: items} or {data: {compressed, data}} (see spillToDatabase)
+  async unpackBatch(batch) {
+    const stored = batch.data;
+    if (!stored?.compressed) {return stored;}
+    
+    if (!this.worker) {
+      console.warn(`Batch ${batch.batchId} is compressed but no worker is available`);
+      return null;
+    }
+    try {
+      return await this.callWorker('decompress', stored.data);
+    } catch (error) {
+      console.warn('Decompression failed:', error);
+      return null;
+    }
+  }
+
+  // Every item in insertion order, in chunks, without loading them all: spilled batches come first
+  // because spillToDatabase takes the oldest items. onChunk(items) may be async; returning false stops the stream
+  async streamItems(onChunk, { chunkSize = this.options.processingBatchSize } = {}) {
+    const strip = items => items.map(({ memoryId: _memoryId, ...item }) => item);
+    
+    let stopped = false;
+    if (this.dbQueue && this.spilledItems > 0) {
+      await this.processDatabaseItems(null, {
+        onBatch: async items => {
+          stopped = await onChunk(strip(items)) === false;
+          return !stopped;
+        }
+      });
+    }
+    if (stopped) {return;}
+    
+    // Copy first: the queue may grow while chunks are being written
+    const memoryItems = this.memoryQueue.slice();
+    for (let i = 0; i < memoryItems.length; i += chunkSize) {
+      if (await onChunk(strip(memoryItems.slice(i, i + chunkSize))) === false) {return;}
+    }
+  }
+
+  // One page of items in stream order, for callers that shouldn't hold the whole session
+  async readItems(offset = 0, limit = this.options.processingBatchSize) {
+    const page = [];
+    let position = 0;
+    await this.streamItems(chunk => {
+      for (let i = Math.max(0, offset - position); i < chunk.length && page.length < limit; i++) {
+        page.push(chunk[i]);
+      }
+      position += chunk.length;
+      return page.length < limit;
+    });
+    return page;
+  }
+
   // Process a single batch
   async processBatch(items, processingFunction, options) {
     const results = [];
@@ -865,13 +924,16 @@ class MemoryOptimizedProcessor {
     };
   }
 
-  // Clear all data
+  // Clear all data, including batches a previous instance left in the database
   async clear() {
     this.memoryQueue = [];
     this.totalItems = 0;
     this.processedItems = 0;
     this.spilledItems = 0;
     
+    if (!this.dbQueue && typeof indexedDB !== 'undefined') {
+      await this.initializeDatabase();
+    }
     if (this.dbQueue) {
       await this.dbQueue.clear();
     }
@@ -986,8 +1048,9 @@ class IndexedDBQueue {
       const store = transaction.objectStore('batches');
       const results = [];
       
+      const useCursor = Boolean(limit || startAfter);
       let request;
-      if (limit || startAfter) {
+      if (useCursor) {
         // Use cursor for pagination
         const keyRange = startAfter ? 
           IDBKeyRange.lowerBound(startAfter, true) : 
@@ -998,7 +1061,7 @@ class IndexedDBQueue {
         request = store.getAll();
       }
       
-      if (request.openCursor) {
+      if (useCursor) {
         // Cursor-based retrieval
         let count = 0;
         request.onsuccess = (event) => {
@@ -1035,6 +1098,18 @@ class IndexedDBQueue {
     });
   }
 
+  // Visit batches in key order, reading one per transaction so callback can await without holding the
+  // transaction open (IndexedDB commits it as soon as the event loop is idle)
+  async forEachBatch(callback) {
+    let lastKey = null;
+    for (;;) {
+      const [batch] = await this.getAllBatches({ limit: 1, startAfter: lastKey });
+      if (!batch) {return;}
+      lastKey = batch.batchId;
+      if (await callback(batch) === false) {return;}
+    }
+  }
+
   // Efficient batch deletion with range operations
   async deleteBatchesOlderThan(timestamp) {
     return new Promise((resolve, reject) => {
@@ -1121,8 +1196,10 @@ class IndexedDBQueue {
   }
 }
 
-// Export for use in other modules
-window.MemoryOptimizedProcessor = MemoryOptimizedProcessor;
+// Export for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.MemoryOptimizedProcessor = MemoryOptimizedProcessor;
+}
 
 // Usage example:
 // const processor = new MemoryOptimizedProcessor({
@@ -0,0 +1,44 @@
+// offscreen-blobs.js - Blob URLs on behalf of the service worker
+// Service workers can't call URL.createObjectURL and data: URLs are too small for full-size images,
+// so files modified in the background are handed to this offscreen document and saved from a blob: URL
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg?.target !== 'offscreen-blobs') {return false;}
+
+  switch (msg.type) {
+    case 'CREATE_BLOB_URL': {
+      // Runtime messages are JSON, so bytes arrive base64-encoded
+      const binary = atob(msg.data);
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+      sendResponse({ success: true, url: URL.createObjectURL(new Blob([bytes], { type: msg.mimeType })) });
+      break;
+    }
+
+    case 'CREATE_FILE_URL':
+      // Large exports live in the origin private file system; a File from there stays on disk
+      (async () => {
+        const parts = msg.path.split('/');
+        let directory = await navigator.storage.getDirectory();
+        for (const part of parts.slice(0, -1)) {
+          directory = await directory.getDirectoryHandle(part); // eslint-disable-line no-await-in-loop
+        }
+        const file = await (await directory.getFileHandle(parts[parts.length - 1])).getFile();
+        return URL.createObjectURL(file);
+      })()
+        .then(url => sendResponse({ success: true, url }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'REVOKE_BLOB_URL':
+      URL.revokeObjectURL(msg.url);
+      sendResponse({ success: true });
+      break;
+
+    default:
+      sendResponse({ success: false, error: `Unknown offscreen request: ${msg.type}` });
+  }
+  return false;
+});
@@ -0,0 +1,177 @@
+// pdf-writer.js - Minimal PDF 1.4 writer for AdvancedExportSystem's contact sheets
+// Helvetica text, JPEG images, lines and rectangles - enough for a printable report without a library
+
+class PdfWriter {
+  constructor(options = {}) {
+    this.options = {
+      pageSize: options.pageSize || 'a4',
+      title: options.title || 'StepTwo export',
+      ...options
+    };
+
+    const sizes = { a4: [595.28, 841.89], letter: [612, 792] };
+    [this.width, this.height] = sizes[this.options.pageSize] || sizes.a4;
+    if (this.options.landscape) {[this.width, this.height] = [this.height, this.width];}
+
+    this.pages = []; // [{operations: []}]
+    this.images = []; // [{name, bytes, width, height}]
+  }
+
+  // Helvetica advance widths (1/1000 em) for ASCII 32-126, from the standard AFM
+  static get HELVETICA_WIDTHS() {
+    return [
+      278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+      556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+      1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+      667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+      333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+      556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ];
+  }
+
+  static textWidth(text, size, bold = false) {
+    const widths = PdfWriter.HELVETICA_WIDTHS;
+    let total = 0;
+    for (const char of String(text)) {
+      const code = char.charCodeAt(0);
+      total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+    }
+    return total * size / 1000 * (bold ? 1.06 : 1); // Helvetica-Bold runs about 6% wider
+  }
+
+  // Shorten with an ellipsis so the text fits maxWidth points
+  static fitText(text, size, maxWidth, bold = false) {
+    let value = String(text ?? '');
+    if (PdfWriter.textWidth(value, size, bold) <= maxWidth) {return value;}
+    while (value.length > 0 && PdfWriter.textWidth(`${value}...`, size, bold) > maxWidth) {
+      value = value.slice(0, -1);
+    }
+    return `${value}...`;
+  }
+
+  // WinAnsi covers Latin-1; anything else becomes "?" rather than breaking the string
+  static encodeText(text) {
+    let hex = '';
+    for (const char of String(text)) {
+      const code = char.codePointAt(0);
+      const byte = (code >= 32 && code <= 126) || (code >= 160 && code <= 255) ? code : 63;
+      hex += byte.toString(16).padStart(2, '0');
+    }
+    return `<${hex}>`;
+  }
+
+  static color(value) {
+    const [r, g, b] = value.map(channel => (channel / 255).toFixed(3));
+    return `${r} ${g} ${b}`;
+  }
+
+  addPage() {
+    const page = { operations: [] };
+    this.pages.push(page);
+    return page;
+  }
+
+  // bytes: baseline RGB JPEG. Returns the name used by drawImage
+  addJpeg(bytes, width, height) {
+    const name = `Im${this.images.length + 1}`;
+    this.images.push({ name, bytes, width, height });
+    return name;
+  }
+
+  // Coordinates are from the top-left of the page, in points
+  text(page, x, y, value, { size = 10, bold = false, color = [0, 0, 0] } = {}) {
+    page.operations.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${PdfWriter.color(color)} rg ` +
+      `${x.toFixed(2)} ${(this.height - y).toFixed(2)} Td ${PdfWriter.encodeText(value)} Tj ET`);
+  }
+
+  drawImage(page, name, x, y, width, height) {
+    page.operations.push(`q ${width.toFixed(2)} 0 0 ${height.toFixed(2)} ${x.toFixed(2)} ${(this.height - y - height).toFixed(2)} cm /${name} Do Q`);
+  }
+
+  rect(page, x, y, width, height, { stroke = null, fill = null, lineWidth = 0.5 } = {}) {
+    const parts = [`${lineWidth} w`];
+    if (stroke) {parts.push(`${PdfWriter.color(stroke)} RG`);}
+    if (fill) {parts.push(`${PdfWriter.color(fill)} rg`);}
+    parts.push(`${x.toFixed(2)} ${(this.height - y - height).toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re`);
+    parts.push(stroke && fill ? 'B' : fill ? 'f' : 'S');
+    page.operations.push(`q ${parts.join(' ')} Q`);
+  }
+
+  line(page, x1, y1, x2, y2, { color = [0, 0, 0], lineWidth = 0.5 } = {}) {
+    page.operations.push(`q ${lineWidth} w ${PdfWriter.color(color)} RG ${x1.toFixed(2)} ${(this.height - y1).toFixed(2)} m ` +
+      `${x2.toFixed(2)} ${(this.height - y2).toFixed(2)} l S Q`);
+  }
+
+  // Serialise to a complete PDF file
+  build() {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    const write = (part) => {
+      const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+      chunks.push(bytes);
+      length += bytes.length;
+    };
+    const object = (number, body, stream = null) => {
+      offsets[number] = length;
+      write(`${number} 0 obj\n${body}\n`);
+      if (stream) {
+        write('stream\n');
+        write(stream);
+        write('\nendstream\n');
+      }
+      write('endobj\n');
+    };
+
+    // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then images, then a page + content stream pair per page
+    const imageStart = 6;
+    const pageStart = imageStart + this.images.length;
+    const pageNumbers = this.pages.map((page, i) => pageStart + i * 2);
+
+    write('%PDF-1.4\n');
+    write(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A])); // Binary marker comment
+    object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    object(2, `<< /Type /Pages /Kids [${pageNumbers.map(n => `${n} 0 R`).join(' ')}] /Count ${this.pages.length} >>`);
+    object(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    object(4, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    const date = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    object(5, `<< /Title ${PdfWriter.encodeText(this.options.title)} /Producer (StepTwo Gallery Scraper) /CreationDate (D:${date}Z) >>`);
+
+    this.images.forEach((image, i) => {
+      object(imageStart + i, `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>`, image.bytes);
+    });
+
+    const xObjects = this.images.map((image, i) => `/${image.name} ${imageStart + i} 0 R`).join(' ');
+    this.pages.forEach((page, i) => {
+      const content = encoder.encode(page.operations.join('\n'));
+      object(pageNumbers[i], `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> /XObject << ${xObjects} >> >> /Contents ${pageNumbers[i] + 1} 0 R >>`);
+      object(pageNumbers[i] + 1, `<< /Length ${content.length} >>`, content);
+    });
+
+    const xrefOffset = length;
+    const count = pageStart + this.pages.length * 2;
+    write(`xref\n0 ${count}\n0000000000 65535 f \n`);
+    for (let n = 1; n < count; n++) {
+      write(`${String(offsets[n]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${count} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    const output = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+      output.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return output;
+  }
+}
+
+// Export for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.PdfWriter = PdfWriter;
+}
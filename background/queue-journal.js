@@ -0,0 +1,218 @@
+// queue-journal.js - IndexedDB journal for DownloadQueue state
+// Persists every job transition so a suspended service worker can pick up where it left off
+
+class QueueJournal {
+  constructor(options = {}) {
+    this.options = {
+      dbName: options.dbName || 'StepTwoQueueJournal',
+      dbVersion: options.dbVersion || 1,
+      flushDelay: options.flushDelay || 50, // Coalesce writes made within 50ms
+      maxFinishedJobs: options.maxFinishedJobs || 5000, // Older completed, failed and skipped jobs are pruned
+      ...options
+    };
+
+    this.db = null;
+    this.pendingJobs = new Map(); // jobId -> serialized job (or null for delete)
+    this.finished = new Map(); // jobId -> true for journaled terminal jobs, oldest first
+    this.pendingMeta = null;
+    this.flushTimeout = null;
+    this.flushPromise = null;
+  }
+
+  async open() {
+    if (this.db) {return this.db;}
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.options.dbName, this.options.dbVersion);
+
+      request.onerror = () => reject(request.error);
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+
+        if (!db.objectStoreNames.contains('jobs')) {
+          const jobStore = db.createObjectStore('jobs', { keyPath: 'id' });
+          jobStore.createIndex('status', 'status', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains('meta')) {
+          db.createObjectStore('meta', { keyPath: 'key' });
+        }
+      };
+    });
+  }
+
+  // Strip runtime-only fields (abort controllers, callbacks) so jobs survive structured cloning
+  serializeJob(job) {
+    const serialized = {};
+    for (const [key, value] of Object.entries(job)) {
+      if (key === 'controller' || typeof value === 'function') {continue;}
+      serialized[key] = value;
+    }
+    return serialized;
+  }
+
+  static get FINISHED_STATUSES() {
+    return ['completed', 'failed', 'duplicate'];
+  }
+
+  recordJob(job) {
+    if (!job || !job.id) {return;}
+    this.pendingJobs.set(job.id, this.serializeJob(job));
+    this.trackFinished(job.id, job.status);
+    this.scheduleFlush();
+  }
+
+  removeJob(jobId) {
+    if (!jobId) {return;}
+    this.pendingJobs.set(jobId, null);
+    this.finished.delete(jobId);
+    this.scheduleFlush();
+  }
+
+  // Finished jobs are only kept for stats and URL de-duplication after a restart, so only the
+  // newest maxFinishedJobs stay; without a cap the journal and every restore grow across runs
+  trackFinished(jobId, status) {
+    this.finished.delete(jobId); // Re-inserted at the end if it finished (again)
+    if (!QueueJournal.FINISHED_STATUSES.includes(status)) {return;}
+
+    this.finished.set(jobId, true);
+    for (const oldest of this.finished.keys()) {
+      if (this.finished.size <= this.options.maxFinishedJobs) {break;}
+      this.finished.delete(oldest);
+      this.pendingJobs.set(oldest, null);
+    }
+  }
+
+  recordMeta(meta) {
+    this.pendingMeta = meta;
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimeout) {return;}
+    this.flushTimeout = setTimeout(() => {
+      this.flushTimeout = null;
+      this.flush().catch(error => console.error('Queue journal flush failed:', error));
+    }, this.options.flushDelay);
+  }
+
+  // Write all pending transitions in a single transaction
+  async flush() {
+    if (this.flushTimeout) {
+      clearTimeout(this.flushTimeout);
+      this.flushTimeout = null;
+    }
+
+    // Serialize flushes so transitions are applied in order
+    if (this.flushPromise) {
+      await this.flushPromise;
+    }
+
+    if (this.pendingJobs.size === 0 && !this.pendingMeta) {return;}
+
+    const jobs = this.pendingJobs;
+    const meta = this.pendingMeta;
+    this.pendingJobs = new Map();
+    this.pendingMeta = null;
+
+    this.flushPromise = this.open().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(['jobs', 'meta'], 'readwrite');
+      const jobStore = transaction.objectStore('jobs');
+
+      for (const [jobId, job] of jobs) {
+        if (job) {
+          jobStore.put(job);
+        } else {
+          jobStore.delete(jobId);
+        }
+      }
+
+      if (meta) {
+        transaction.objectStore('meta').put({ key: 'queue', ...meta });
+      }
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    }));
+
+    try {
+      await this.flushPromise;
+    } finally {
+      this.flushPromise = null;
+    }
+  }
+
+  // Load every journaled job plus the queue-level metadata
+  async load() {
+    await this.flush();
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['jobs', 'meta'], 'readonly');
+      const jobsRequest = transaction.objectStore('jobs').getAll();
+      const metaRequest = transaction.objectStore('meta').get('queue');
+
+      transaction.oncomplete = () => resolve({
+        jobs: jobsRequest.result || [],
+        meta: metaRequest.result || null
+      });
+      transaction.onerror = () => reject(transaction.error);
+    }).then(snapshot => {
+      // Restored finished jobs count against the cap too, so a lower maxFinishedJobs prunes them here
+      const finishedAt = job => job.completedAt || job.failedAt || job.skippedAt || 0;
+      const finished = snapshot.jobs
+        .filter(job => QueueJournal.FINISHED_STATUSES.includes(job.status))
+        .sort((a, b) => finishedAt(a) - finishedAt(b));
+      this.finished.clear();
+      finished.forEach(job => this.trackFinished(job.id, job.status));
+
+      const pruned = new Set(finished.map(job => job.id).filter(id => !this.finished.has(id)));
+      if (pruned.size > 0) {
+        this.scheduleFlush();
+        snapshot.jobs = snapshot.jobs.filter(job => !pruned.has(job.id));
+      }
+      return snapshot;
+    });
+  }
+
+  async clear() {
+    this.pendingJobs.clear();
+    this.finished.clear();
+    this.pendingMeta = null;
+    if (this.flushTimeout) {
+      clearTimeout(this.flushTimeout);
+      this.flushTimeout = null;
+    }
+    if (this.flushPromise) {
+      await this.flushPromise;
+    }
+
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['jobs', 'meta'], 'readwrite');
+      transaction.objectStore('jobs').clear();
+      transaction.objectStore('meta').clear();
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+// Export for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.QueueJournal = QueueJournal;
+}
@@ -15,7 +15,26 @@ self.addEventListener('error', (event) => {
 // All imported files now support both ES modules and importScripts for future compatibility
 importScripts('../lib/lib-utilities.js'); // Consolidated library utilities
 importScripts('./background-utilities.js'); // Consolidated utilities file includes context menu manager
+importScripts('./queue-journal.js');
+importScripts('./host-rate-limiter.js');
+importScripts('./download-verifier.js');
+importScripts('./checksum-manifest.js');
+importScripts('./content-hash-index.js');
+importScripts('./sidecar-writer.js');
+importScripts('./blob-url-bridge.js');
+importScripts('./jpeg-metadata-embedder.js');
+importScripts('./download-history.js');
+importScripts('../content/perceptual-duplicate-detector.js'); // Near-duplicate fallback for content dedup
 importScripts('./download-queue.js');
+importScripts('./download-session-manager.js');
+importScripts('./download-scheduler.js');
+importScripts('./bandwidth-budget.js');
+importScripts('./xlsx-sheet-decorator.js');
+importScripts('./pdf-writer.js');
+importScripts('./zip-stream-writer.js');
+importScripts('./export-volume-store.js');
+importScripts('./warc-writer.js');
+importScripts('./memory-optimized-processor.js');
 importScripts('./advanced-export-system.js');
 importScripts('./batch-operations-manager.js');
 importScripts('./site-profile-manager.js');
@@ -279,13 +298,32 @@ function loadJSONData() {
 let profiles = {}; // Will be updated when JSON loads
 let autoDetect = true;
 
+const siteProfileNames = new Map(); // host -> profile name, so detection runs once per host
+const downloadHistory = new DownloadHistory({
+  sessionId: () => downloadSessionManager.activeSessionId,
+  siteProfile: host => {
+    if (!siteProfileManager) {return null;}
+    if (!siteProfileNames.has(host)) {
+      siteProfileNames.set(host, siteProfileManager.detectSiteProfile(`https://${host}/`)?.name || null);
+    }
+    return siteProfileNames.get(host);
+  }
+});
+
 // Initialize queue and export system with enhanced error handling
+const blobUrls = new BlobUrlBridge();
 const queue = new DownloadQueue({
   concurrency: 5, 
   retryLimit: 3, 
   hostLimit: 3, 
   maxConcurrency: 10, 
-  maxHostLimit: 10
+  maxHostLimit: 10,
+  journal: new QueueJournal(),
+  manifest: new ChecksumManifest(),
+  hashIndex: new ContentHashIndex(),
+  sidecars: new SidecarWriter(),
+  embedder: new JpegMetadataEmbedder({ blobs: blobUrls }),
+  history: downloadHistory
 });
 
 const exportSystem = new AdvancedExportSystem({
@@ -293,6 +331,67 @@ const exportSystem = new AdvancedExportSystem({
   includeMetadata: true
 });
 
+// Image ZIP volumes are written to disk, not memory, then handed to chrome.downloads
+const exportVolumes = new ExportVolumeStore({ blobs: blobUrls });
+chrome.downloads.onChanged.addListener(delta => exportVolumes.handleDownloadChanged(delta));
+exportVolumes.sweep()
+  .then(removed => { if (removed > 0) {console.log(`🧹 Removed ${removed} export volume(s) left by an earlier run`);} })
+  .catch(error => console.warn('Failed to clean up export volumes:', error));
+
+// Copy of the current session's items that spills to IndexedDB, so NDJSON export can stream 100k+ items
+const sessionItems = new MemoryOptimizedProcessor({
+  dbName: 'StepTwoSessionItems',
+  enableCompression: false,
+  maxTotalItems: 250000
+});
+let sessionItemsReady = Promise.resolve();
+
+// Updates are chained so an export never sees a half-cleared store. Items go in spill-sized
+// chunks so a large scrape never sits in memory twice
+function updateSessionItems(items, { reset = false } = {}) {
+  sessionItemsReady = sessionItemsReady
+    .then(async () => {
+      if (reset) {await sessionItems.clear();}
+      for (let i = 0; i < items.length; i += sessionItems.options.spillBatchSize) {
+        await sessionItems.addItems(items.slice(i, i + sessionItems.options.spillBatchSize)); // eslint-disable-line no-await-in-loop
+      }
+    })
+    .catch(error => console.warn('Failed to update session item store:', error));
+  return sessionItemsReady;
+}
+
+// Items for the exports that need them all at once; a reloaded session is only in the spill store
+async function exportItems() {
+  if (lastItems.length > 0) {return lastItems;}
+  await sessionItemsReady;
+  const items = [];
+  await sessionItems.streamItems(chunk => {
+    for (const item of chunk) {items.push(item);}
+  });
+  return items;
+}
+
+const downloadSessionManager = new DownloadSessionManager(queue, { history: downloadHistory });
+const downloadScheduler = new DownloadScheduler(queue);
+const bandwidthBudget = new BandwidthBudget(queue, {
+  notify: (type, message) => notificationSystem.show(type, message)
+});
+
+// Download windows and the daily cap reset run on alarms so a suspended worker still wakes up for them
+chrome.alarms.onAlarm.addListener(alarm => {
+  downloadScheduler.handleAlarm(alarm);
+  bandwidthBudget.handleAlarm(alarm);
+});
+
+// chrome.downloads only reports a generic SERVER_FAILED, so watch responses for 429/503 and their Retry-After
+if (chrome.webRequest) {
+  chrome.webRequest.onHeadersReceived.addListener(details => {
+    if (details.statusCode !== 429 && details.statusCode !== 503) {return;}
+    const header = (details.responseHeaders || []).find(h => h.name.toLowerCase() === 'retry-after');
+    queue.noteRateLimitResponse(details.url, header ? header.value : null);
+  }, {urls: ['http://*/*', 'https://*/*']}, ['responseHeaders']);
+}
+
 // Declare global instances (will be initialized in chrome.runtime.onStartup)
 let contextMenuManager;
 let keyboardShortcuts;
@@ -307,6 +406,10 @@ function initializeManagers() {
     batchOperationsManager = new self.BatchOperationsManager();
     siteProfileManager = new self.SiteProfileManager();
     
+    // Site profiles can carry a per-host download budget
+    queue.rateLimiter.setLimitResolver(host => siteProfileManager.getRateLimit(host));
+    queue.setConflictPolicyResolver(host => siteProfileManager.getConflictPolicy(host));
+    
     // Setup queue listeners and callbacks
     queue.attachListeners();
     queue.setProgressCallback(progress => {
@@ -340,6 +443,11 @@ function initializeManagers() {
       }
       
       chrome.runtime.sendMessage({type:'QUEUE_PROGRESS', progress}).catch(() => {});
+      
+      // Periodically checkpoint the active download session
+      downloadSessionManager.handleQueueProgress(progress);
+      bandwidthBudget.handleQueueProgress(progress);
+      downloadHistory.handleQueueProgress(progress);
     });
     
     console.log('STEPTWO V2 managers initialized successfully');
@@ -364,6 +472,7 @@ if (chrome.runtime.getManifest) {
 
 // State management
 let lastItems = [];
+let lastScrape = null; // {sourceUrl, selectors, timestamp} of the scrape lastItems came from, for WARC metadata
 let dashboardStats = {
   totalItems: 0,
   completed: 0,
@@ -693,6 +802,9 @@ chrome.storage.onChanged.addListener(changes => {
     hostLimit = changes.hostLimit.newValue; 
     queue.setHostLimit(hostLimit);
   } 
+  if (changes.customSiteProfiles) {
+    queue.rateLimiter.refreshLimits();
+  }
 });
 
 // Enhanced message processing with load balancing
@@ -763,18 +875,23 @@ async function handleMessage(msg) {
       case 'GET_UNIVERSAL_SELECTORS':
         return {selectors: UNIVERSAL_SELECTORS};
 
-      case 'PREVIEW_FILENAME_MASK':
-        const preview = previewMask(msg.mask, msg.context);
-        return {preview, tokens: getAvailableTokens()};
+      case 'PREVIEW_FILENAME_MASK': {
+        // errors: [{position, message}], position being a 0-based offset into the mask
+        const {preview, valid, errors} = previewMask(msg.mask, msg.context);
+        return {success: true, preview, valid, errors, tokens: getAvailableTokens(), filters: getMaskFilters()};
+      }
       
       case 'QUEUE_ADD_ITEMS': {
         try {
+          const estimate = await queue.checkLargeRun(msg.items || []);
           const promises = (msg.items || []).map(async item => {
-            const added = await queue.add(item);
+            const added = await queue.add({...item, priority: item.priority || msg.priority});
             return {url: item.url, added};
           });
           const results = await Promise.all(promises);
-          return {success: true, results};
+          downloadSessionManager.recordSourcePages((msg.items || []).map(item => item.sourceUrl || item.referrer))
+            .catch(error => console.warn('Failed to record session source pages:', error));
+          return {success: true, results, estimate};
         } catch (error) {
           console.error('Error adding items to queue:', error);
           return {success: false, error: error.message};
@@ -783,11 +900,31 @@ async function handleMessage(msg) {
       
       case 'QUEUE_PAUSE':
         queue.pause();
+        downloadScheduler.noteManualPause();
+        bandwidthBudget.noteManualPause();
         queueState.running = false;
         badgeManager.setActive(queueState.active);
         return {success: true, queueState};
       
       case 'QUEUE_RESUME':
+        if (!msg.force && !downloadScheduler.isGlobalOpen()) {
+          return {
+            success: false,
+            error: 'Outside the scheduled download window',
+            schedule: downloadScheduler.getStatus()
+          };
+        }
+        await bandwidthBudget.ready;
+        if (bandwidthBudget.exceededCap()) {
+          if (!msg.force) {
+            return {
+              success: false,
+              error: `The ${bandwidthBudget.exceededCap()} download cap has been reached`,
+              budget: bandwidthBudget.getStatus()
+            };
+          }
+          await bandwidthBudget.allowOverrun();
+        }
         queue.resume();
         queueState.running = true;
         badgeManager.setActive(true);
@@ -796,11 +933,66 @@ async function handleMessage(msg) {
       case 'QUEUE_CLEAR':
         queue.clear();
         lastItems = [];
+        lastScrape = null;
+        updateSessionItems([], { reset: true });
         queueState = {running: false, active: false, canStart: false};
         badgeManager.setActive(false);
         badgeManager.setActiveJobs(0);
         return {success: true, queueState};
       
+      case 'QUEUE_LIST':
+        return {success: true, ...queue.getQueueSnapshot({offset: msg.offset, limit: msg.limit})};
+      
+      case 'QUEUE_MOVE_JOB':
+        if (!Number.isInteger(msg.toIndex) || msg.toIndex < 0) {
+          return {success: false, error: `Invalid toIndex: ${msg.toIndex}`};
+        }
+        return {success: queue.moveJob(msg.jobId, msg.toIndex)};
+      
+      case 'QUEUE_MOVE_TO_FRONT':
+        return {success: queue.moveToFront(msg.jobId)};
+      
+      case 'QUEUE_HOLD_JOB':
+        return {success: queue.holdJob(msg.jobId, msg.held !== false)};
+      
+      case 'QUEUE_SET_PRIORITY': {
+        try {
+          return {success: queue.setJobPriority(msg.jobId, msg.priority)};
+        } catch (error) {
+          return {success: false, error: error.message};
+        }
+      }
+      
+      case 'BUDGET_GET':
+        await bandwidthBudget.ready;
+        return {success: true, budget: bandwidthBudget.getStatus()};
+      
+      case 'BUDGET_SET': {
+        try {
+          const budget = await bandwidthBudget.setLimits(msg.limits || {});
+          return {success: true, budget};
+        } catch (error) {
+          return {success: false, error: error.message};
+        }
+      }
+      
+      case 'BUDGET_RESET_SESSION':
+        await bandwidthBudget.resetSession();
+        return {success: true, budget: bandwidthBudget.getStatus()};
+      
+      case 'SCHEDULE_GET':
+        await downloadScheduler.ready;
+        return {success: true, schedule: downloadScheduler.getStatus()};
+      
+      case 'SCHEDULE_SET': {
+        try {
+          const schedule = await downloadScheduler.setSchedule(msg.schedule || {});
+          return {success: true, schedule};
+        } catch (error) {
+          return {success: false, error: error.message};
+        }
+      }
+      
       case 'QUEUE_STATS':
         return {
           stats: queue.getStats(),
@@ -812,15 +1004,89 @@ async function handleMessage(msg) {
       case 'CLEAR_SESSION_STATS':
         clearSessionStats();
         return {success: true};
+      
+      case 'DOWNLOAD_SESSION_START': {
+        try {
+          const session = await downloadSessionManager.startSession(msg.options || {});
+          await bandwidthBudget.resetSession();
+          return {success: true, session};
+        } catch (error) {
+          console.error('Error starting download session:', error);
+          return {success: false, error: error.message};
+        }
+      }
+      
+      case 'DOWNLOAD_SESSION_CHECKPOINT': {
+        try {
+          const session = await downloadSessionManager.checkpoint(msg.name || `Checkpoint ${new Date().toLocaleString()}`);
+          return {success: true, session};
+        } catch (error) {
+          console.error('Error saving session checkpoint:', error);
+          return {success: false, error: error.message};
+        }
+      }
+      
+      case 'DOWNLOAD_SESSION_PAUSE': {
+        try {
+          const session = await downloadSessionManager.pauseSession(msg.name);
+          queueState.running = false;
+          badgeManager.setActive(queueState.active);
+          return {success: true, session, queueState};
+        } catch (error) {
+          console.error('Error pausing download session:', error);
+          return {success: false, error: error.message};
+        }
+      }
+      
+      case 'DOWNLOAD_SESSION_CLOSE': {
+        try {
+          const session = await downloadSessionManager.closeSession(msg.name);
+          queueState = {running: false, active: false, canStart: false};
+          badgeManager.setActive(false);
+          badgeManager.setActiveJobs(0);
+          return {success: true, session, queueState};
+        } catch (error) {
+          console.error('Error closing download session:', error);
+          return {success: false, error: error.message};
+        }
+      }
+      
+      case 'DOWNLOAD_SESSION_RESUME': {
+        try {
+          const result = await downloadSessionManager.resumeSession(msg.sessionId);
+          queueState.running = true;
+          queueState.active = true;
+          badgeManager.setActive(true);
+          return {success: true, ...result, queueState};
+        } catch (error) {
+          console.error('Error resuming download session:', error);
+          return {success: false, error: error.message};
+        }
+      }
+      
+      case 'DOWNLOAD_SESSION_LIST':
+        await downloadSessionManager.ready;
+        return {success: true, sessions: downloadSessionManager.listSessions()};
+      
+      case 'DOWNLOAD_SESSION_DELETE': {
+        try {
+          await downloadSessionManager.deleteSession(msg.sessionId);
+          return {success: true};
+        } catch (error) {
+          console.error('Error deleting download session:', error);
+          return {success: false, error: error.message};
+        }
+      }
     
       case 'PERFORM_ENHANCED_EXPORT': {
         try {
-          if (!lastItems.length) {
+          const items = await exportItems();
+          if (!items.length) {
             return { success: false, error: 'No items to export' };
           }
         
           const exportData = {
-            items: lastItems,
+            items,
             stats: dashboardStats,
             exportType: msg.exportType || 'comprehensive'
           };
@@ -834,6 +1100,327 @@ async function handleMessage(msg) {
         }
       }
     
+      case 'EXPORT_ZIP_VOLUMES': {
+        try {
+          const items = await exportItems();
+          if (!items.length) {
+            return { success: false, error: 'No items to export' };
+          }
+          
+          const mask = msg.filenameMask || queue.filenameMask;
+          const format = msg.gallery ? 'gallery' : 'zip'; // gallery adds thumbnails and a browsable index.html
+          const result = await exportSystem.exportData({ items, stats: dashboardStats }, format, msg.filename || `steptwo-images-${Date.now()}`, {
+            includeImages: true,
+            ...(msg.volumeSize ? { volumeSize: msg.volumeSize } : {}),
+            volumeStore: exportVolumes,
+            filenameFor: mask ? item => queue.applyFilenameMask(item, mask) : null,
+            onVolume: volume => exportVolumes.deliver(volume.filename),
+            onProgress: progress => chrome.runtime.sendMessage({ type: 'EXPORT_ZIP_PROGRESS', progress }).catch(() => {})
+          });
+          if (!result.success) {
+            return result;
+          }
+          
+          return { success: true, volumes: result.volumes, failed: result.failed.length, size: result.size };
+        } catch (error) {
+          console.error('ZIP volume export failed:', error);
+          return { success: false, error: error.message };
+        }
+      }
+    
+      case 'EXPORT_WARC': {
+        try {
+          const items = await exportItems();
+          if (!items.length) {
+            return { success: false, error: 'No items to export' };
+          }
+          
+          // Streamed to disk like ZIP volumes: a WARC holds every image in full
+          const result = await exportSystem.exportData({
+            items,
+            stats: dashboardStats,
+            sourceUrl: lastScrape?.sourceUrl || msg.sourceUrl,
+            selectors: lastScrape?.selectors,
+            timestamp: lastScrape?.timestamp
+          }, 'warc', msg.filename || `steptwo-capture-${Date.now()}`, {
+            volumeStore: exportVolumes,
+            onVolume: volume => exportVolumes.deliver(volume.filename),
+            onProgress: progress => chrome.runtime.sendMessage({ type: 'EXPORT_WARC_PROGRESS', progress }).catch(() => {})
+          });
+          if (!result.success) {
+            return result;
+          }
+          
+          return { success: true, filename: result.filename, failed: result.failed.length, size: result.size };
+        } catch (error) {
+          console.error('WARC export failed:', error);
+          return { success: false, error: error.message };
+        }
+      }
+    
+      case 'EXPORT_NDJSON': {
+        try {
+          await sessionItemsReady;
+          if (sessionItems.totalItems === 0) {
+            return { success: false, error: 'No items to export' };
+          }
+          
+          const result = await exportSystem.exportData({
+            items: [], // Streamed from sessionItems instead
+            stats: dashboardStats,
+            sourceUrl: lastScrape?.sourceUrl,
+            selectors: lastScrape?.selectors
+          }, 'ndjson', msg.filename || `steptwo-session-${Date.now()}`, {
+            itemSource: sessionItems,
+            volumeStore: exportVolumes,
+            onVolume: volume => exportVolumes.deliver(volume.filename),
+            onProgress: progress => chrome.runtime.sendMessage({ type: 'EXPORT_NDJSON_PROGRESS', progress }).catch(() => {})
+          });
+          if (!result.success) {
+            return result;
+          }
+          
+          return { success: true, filename: result.filename, count: sessionItems.totalItems, size: result.size };
+        } catch (error) {
+          console.error('NDJSON export failed:', error);
+          return { success: false, error: error.message };
+        }
+      }
+      
+      case 'SESSION_IMPORT_CHUNK': {
+        try {
+          // A saved NDJSON session arrives from the dashboard in chunks and replaces the current items.
+          // It goes only into the spill store; exports read it back from there
+          if (msg.reset) {
+            lastItems = [];
+            lastScrape = null;
+            updateSessionItems([], { reset: true });
+          }
+          await updateSessionItems(Array.isArray(msg.items) ? msg.items : []);
+          
+          if (msg.done) {
+            lastScrape = {
+              sourceUrl: msg.header?.sourceUrl || null,
+              selectors: msg.header?.selectors || null,
+              timestamp: msg.header?.exportDate ? Date.parse(msg.header.exportDate) : null
+            };
+            dashboardStats.totalItems = sessionItems.totalItems;
+          }
+          return { success: true, received: sessionItems.totalItems };
+        } catch (error) {
+          console.error('Session import failed:', error);
+          return { success: false, error: error.message };
+        }
+      }
+      
+      case 'SESSION_ITEMS_PAGE': {
+        try {
+          // The dashboard reads a reloaded session a page at a time when it exports it itself
+          await sessionItemsReady;
+          const offset = Math.max(0, parseInt(msg.offset, 10) || 0);
+          const limit = Math.min(Math.max(1, parseInt(msg.limit, 10) || 1000), 5000);
+          const items = await sessionItems.readItems(offset, limit);
+          return { success: true, items, total: sessionItems.totalItems };
+        } catch (error) {
+          console.error('Failed to read session items:', error);
+          return { success: false, error: error.message };
+        }
+      }
+    
+      case 'EXPORT_GALLERY_FOLDER': {
+        try {
+          // Gallery page saved among files already in the Downloads folder, from the download history.
+          // Scoped to one download session: the one asked for, else the active or most recent one.
+          // Downloads made outside any session fall back to those since the last scrape
+          const sessionId = msg.sessionId || downloadSessionManager.activeSessionId || downloadSessionManager.listSessions()[0]?.id || '';
+          const from = sessionId ? null : lastScrape?.timestamp;
+          if (!sessionId && !from) {
+            return { success: false, error: 'No download session or scrape to build a gallery from' };
+          }
+          const { entries: items } = await downloadHistory.search({ status: 'completed', sessionId, from, query: msg.query || '', limit: msg.limit || 20000 });
+          const result = await exportSystem.exportData({ items }, 'gallery-page', msg.filename || 'steptwo-gallery', {
+            galleryTitle: msg.title
+          });
+          if (!result.success) {
+            return result;
+          }
+          
+          const name = `gallery-${Date.now()}.html`;
+          const sink = await exportVolumes.createVolume(name);
+          await sink.write(result.data);
+          await sink.close();
+          await exportVolumes.deliver(name, result.filename);
+          return { success: true, filename: result.filename, count: items.length };
+        } catch (error) {
+          console.error('Gallery export failed:', error);
+          return { success: false, error: error.message };
+        }
+      }
+    
+      case 'CHECKSUM_MANIFEST_GET': {
+        try {
+          const entries = await queue.manifest.getAll();
+          return {success: true, entries};
+        } catch (error) {
+          return {success: false, error: error.message};
+        }
+      }
+      
+      case 'CHECKSUM_MANIFEST_EXPORT': {
+        try {
+          const formats = {json: 'manifest-json', csv: 'manifest-csv', sha256sum: 'sha256sum'};
+          const format = formats[msg.format];
+          if (!format) {
+            return {success: false, error: `Unsupported manifest format: ${msg.format}`};
+          }
+          
+          const entries = await queue.manifest.getAll();
+          const result = await exportSystem.exportData({items: entries}, format, msg.filename, msg.options);
+          if (!result.success) {
+            return result;
+          }
+          
+          return {
+            success: true,
+            content: new TextDecoder().decode(result.data),
+            filename: result.filename,
+            mimeType: result.mimeType,
+            count: entries.length
+          };
+        } catch (error) {
+          console.error('Checksum manifest export failed:', error);
+          return {success: false, error: error.message};
+        }
+      }
+      
+      case 'CHECKSUM_MANIFEST_CLEAR': {
+        try {
+          await queue.manifest.clear();
+          return {success: true};
+        } catch (error) {
+          return {success: false, error: error.message};
+        }
+      }
+      
+      case 'SIDECAR_GET':
+        await queue.sidecars.ready;
+        return {success: true, format: queue.sidecars.format};
+      
+      case 'SIDECAR_SET_FORMAT': {
+        try {
+          const format = await queue.sidecars.setFormat(msg.format);
+          return {success: true, format};
+        } catch (error) {
+          return {success: false, error: error.message};
+        }
+      }
+      
+      case 'EMBED_METADATA_GET':
+        await queue.embedder.ready;
+        return {success: true, settings: {...queue.embedder.settings}};
+      
+      case 'EMBED_METADATA_SET': {
+        try {
+          const settings = await queue.embedder.setSettings(msg.settings);
+          return {success: true, settings};
+        } catch (error) {
+          return {success: false, error: error.message};
+        }
+      }
+      
+      case 'HISTORY_SEARCH': {
+        try {
+          const result = await downloadHistory.search(msg.filters || {});
+          return {success: true, ...result};
+        } catch (error) {
+          return {success: false, error: error.message};
+        }
+      }
+      
+      case 'HISTORY_HOSTS': {
+        try {
+          return {success: true, hosts: await downloadHistory.getHosts(), count: await downloadHistory.count()};
+        } catch (error) {
+          return {success: false, error: error.message};
+        }
+      }
+      
+      case 'HISTORY_LOOKUP': {
+        try {
+          return {success: true, found: await downloadHistory.lookup(msg.urls || [])};
+        } catch (error) {
+          return {success: false, error: error.message};
+        }
+      }
+      
+      case 'HISTORY_SHOW_IN_FOLDER': {
+        try {
+          const entry = await downloadHistory.get(msg.id);
+          if (!entry) {
+            return {success: false, error: 'History entry not found'};
+          }
+          // Chrome forgets downloads cleared from its own list; fall back to looking the file up by path
+          let [download] = entry.downloadId !== null ? await chrome.downloads.search({id: entry.downloadId}) : [];
+          if ((!download || download.exists === false) && entry.path) {
+            [download] = await chrome.downloads.search({filename: entry.path, exists: true});
+          }
+          if (!download || download.exists === false) {
+            chrome.downloads.showDefaultFolder();
+            return {success: false, error: 'The file is no longer on disk - opened the downloads folder instead'};
+          }
+          chrome.downloads.show(download.id);
+          return {success: true};
+        } catch (error) {
+          return {success: false, error: error.message};
+        }
+      }
+      
+      case 'HISTORY_REDOWNLOAD': {
+        try {
+          const entry = await downloadHistory.get(msg.id);
+          if (!entry) {
+            return {success: false, error: 'History entry not found'};
+          }
+          const added = await queue.add({
+            url: entry.url,
+            filename: entry.filename || undefined,
+            referrer: entry.referrer || undefined,
+            metadata: entry.metadata || {},
+            redownloadOf: entry.id
+          });
+          return {success: true, added};
+        } catch (error) {
+          return {success: false, error: error.message};
+        }
+      }
+      
+      case 'HISTORY_CLEAR': {
+        try {
+          await downloadHistory.clear();
+          return {success: true};
+        } catch (error) {
+          return {success: false, error: error.message};
+        }
+      }
+      
+      case 'CONTENT_HASH_INDEX_GET': {
+        try {
+          const report = queue.generateReport();
+          return {success: true, count: await queue.hashIndex.count(), duplicates: report.duplicates};
+        } catch (error) {
+          return {success: false, error: error.message};
+        }
+      }
+      
+      case 'CONTENT_HASH_INDEX_CLEAR': {
+        try {
+          await queue.hashIndex.clear();
+          return {success: true};
+        } catch (error) {
+          return {success: false, error: error.message};
+        }
+      }
+    
       case 'INJECT_CONTENT_SCRIPT': {
         try {
           const success = await ensureContentScriptInjected(msg.tabId);
@@ -1032,7 +1619,15 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     try {
       console.log('📊 Scraping completed:', msg.data);
       lastItems = msg.data.items || [];
+      lastScrape = {
+        sourceUrl: msg.data.sourceUrl || sender.tab?.url,
+        selectors: msg.data.selectors,
+        timestamp: msg.data.timestamp
+      };
+      updateSessionItems(lastItems, { reset: true });
       dashboardStats.totalItems = lastItems.length;
+      downloadSessionManager.recordSourcePages([sender.tab?.url, ...lastItems.map(item => item.sourceUrl)])
+        .catch(error => console.warn('Failed to record session source pages:', error));
       dashboardStats.completed = lastItems.length;
       
       // Update badge
@@ -1105,6 +1700,8 @@ function clearSessionStats() {
   };
   
   lastItems = [];
+  lastScrape = null;
+  updateSessionItems([], { reset: true });
   console.log('✅ Session stats cleared and memory reset');
 }
 
@@ -1114,6 +1711,11 @@ async function initializeExtension() {
     loadJSONData(); // Now synchronous, no await needed
     await loadSettings();
     
+    // Pick up any download run interrupted by a service-worker suspension,
+    // after the scheduler has paused the queue if we are outside a download window
+    await downloadScheduler.ready;
+    await queue.restoreFromJournal();
+    
     const {autoDetectProfiles} = await chrome.storage.sync.get('autoDetectProfiles');
     if (typeof autoDetectProfiles === 'boolean') {
       autoDetect = autoDetectProfiles;
@@ -0,0 +1,153 @@
+// sidecar-writer.js - XMP / JSON metadata files saved next to each download
+// Keeps the title, caption, source page and credit scraped with an image attached to the file for DAM imports
+
+class SidecarWriter {
+  constructor(options = {}) {
+    this.options = {
+      storageKey: options.storageKey || 'sidecarSettings',
+      ...options
+    };
+
+    this.format = null; // null (off), 'xmp' or 'json'
+    this.ready = this.load();
+  }
+
+  static get FORMATS() {
+    return ['xmp', 'json'];
+  }
+
+  get enabled() {
+    return !!this.format;
+  }
+
+  async load() {
+    try {
+      const stored = await chrome.storage.local.get(this.options.storageKey);
+      const saved = stored[this.options.storageKey];
+      if (saved) {
+        this.format = SidecarWriter.FORMATS.includes(saved.format) ? saved.format : null;
+      }
+    } catch (error) {
+      console.error('Failed to load sidecar settings:', error);
+    }
+  }
+
+  async setFormat(format) {
+    if (format && !SidecarWriter.FORMATS.includes(format)) {
+      throw new Error(`Unsupported sidecar format: ${format}`);
+    }
+    await this.ready;
+    this.format = format || null;
+    await chrome.storage.local.set({ [this.options.storageKey]: { format: this.format } });
+    return this.format;
+  }
+
+  // Scraped fields travel either on the job itself or in job.metadata
+  static collect(job) {
+    const meta = { ...job, ...(job.metadata || {}) };
+    const clean = value => (typeof value === 'string' ? value.trim() : '') || null;
+
+    const title = clean(meta.title) || clean(meta.alt) || clean(meta.text);
+    const text = clean(meta.text);
+    const sourcePage = meta.sourceUrl !== 'unknown' ? clean(meta.sourceUrl) : null; // processItem's placeholder
+    const keywords = Array.isArray(meta.keywords) ? meta.keywords.map(clean).filter(Boolean) : [];
+
+    return {
+      title,
+      description: clean(meta.caption) || clean(meta.description) || (text !== title ? text : null),
+      source: clean(meta.link) || sourcePage || clean(job.referrer),
+      credit: clean(meta.credit),
+      byline: clean(meta.byline) || clean(meta.credit),
+      keywords,
+      dateCreated: clean(meta.dateCreated),
+      imageUrl: job.url,
+      sourcePage,
+      downloadedAt: new Date(job.completedAt || Date.now()).toISOString()
+    };
+  }
+
+  static escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Standalone XMP packet; dc:title/dc:description are language alternatives per the XMP spec
+  static buildXmp(meta) {
+    const esc = SidecarWriter.escapeXml;
+    const alt = text => `<rdf:Alt><rdf:li xml:lang="x-default">${esc(text)}</rdf:li></rdf:Alt>`;
+    const list = (type, values) => `<rdf:${type}>${values.map(value => `<rdf:li>${esc(value)}</rdf:li>`).join('')}</rdf:${type}>`;
+    const properties = [
+      meta.title ? `   <dc:title>${alt(meta.title)}</dc:title>` : null,
+      meta.description ? `   <dc:description>${alt(meta.description)}</dc:description>` : null,
+      meta.byline ? `   <dc:creator>${list('Seq', [meta.byline])}</dc:creator>` : null,
+      meta.keywords?.length ? `   <dc:subject>${list('Bag', meta.keywords)}</dc:subject>` : null,
+      meta.source ? `   <dc:source>${esc(meta.source)}</dc:source>` : null,
+      meta.credit ? `   <photoshop:Credit>${esc(meta.credit)}</photoshop:Credit>` : null,
+      meta.dateCreated ? `   <photoshop:DateCreated>${esc(meta.dateCreated)}</photoshop:DateCreated>` : null,
+      `   <xmp:MetadataDate>${esc(meta.downloadedAt)}</xmp:MetadataDate>`
+    ].filter(Boolean);
+
+    return [
+      '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+      '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+      ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+      '  <rdf:Description rdf:about=""',
+      '    xmlns:dc="http://purl.org/dc/elements/1.1/"',
+      '    xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/"',
+      '    xmlns:xmp="http://ns.adobe.com/xap/1.0/">',
+      ...properties,
+      '  </rdf:Description>',
+      ' </rdf:RDF>',
+      '</x:xmpmeta>',
+      '<?xpacket end="w"?>'
+    ].join('\n');
+  }
+
+  static buildJson(meta) {
+    return JSON.stringify(meta, null, 2);
+  }
+
+  // "photos/beach.jpg" -> "photos/beach.xmp", next to the file under the name Chrome saved it as
+  static sidecarPath(job, download, format) {
+    const path = ChecksumManifest.relativePath(job, download);
+    const slash = path.lastIndexOf('/');
+    const dot = path.lastIndexOf('.');
+    const base = dot > slash ? path.slice(0, dot) : path;
+    return `${base}.${format}`;
+  }
+
+  // Service workers have no URL.createObjectURL, so sidecars are saved from a data: URL
+  static toDataUrl(text, mimeType) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${mimeType};base64,${btoa(binary)}`;
+  }
+
+  async write(job, download) {
+    await this.ready;
+    if (!this.format) {return null;}
+
+    const meta = SidecarWriter.collect(job);
+    const content = this.format === 'xmp' ? SidecarWriter.buildXmp(meta) : SidecarWriter.buildJson(meta);
+    const mimeType = this.format === 'xmp' ? 'application/rdf+xml' : 'application/json';
+
+    // The sidecar belongs to the file just saved, so replace any stale one from an earlier run
+    return chrome.downloads.download({
+      url: SidecarWriter.toDataUrl(content, mimeType),
+      filename: SidecarWriter.sidecarPath(job, download, this.format),
+      conflictAction: 'overwrite',
+      saveAs: false
+    });
+  }
+}
+
+// Export for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.SidecarWriter = SidecarWriter;
+}
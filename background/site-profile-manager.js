@@ -46,7 +46,11 @@ class SiteProfileManager {
         waitTime: 2000,
         maxScrollAttempts: 10,
         useInfiniteScroll: true,
-        respectRobots: true
+        respectRobots: true,
+        rateLimit: {
+          requestsPerMinute: 30,
+          bytesPerSecond: 2 * 1024 * 1024
+        }
       },
       transformations: {
         thumbnailToFull: (url) => url.replace(/\/\d+x\d+\//, '/comp/'),
@@ -405,6 +409,22 @@ class SiteProfileManager {
         throw new Error('Invalid domain format');
       }
     }
+
+    // Validate the filename conflict policy
+    const conflictPolicy = profile.settings?.conflictPolicy;
+    if (conflictPolicy && !DownloadQueue.CONFLICT_POLICIES.includes(conflictPolicy)) {
+      throw new Error(`Invalid conflict policy '${conflictPolicy}' - expected one of ${DownloadQueue.CONFLICT_POLICIES.join(', ')}`);
+    }
+
+    // Validate download rate limits
+    const rateLimit = profile.settings?.rateLimit;
+    if (rateLimit) {
+      for (const key of ['requestsPerMinute', 'bytesPerSecond', 'burst']) {
+        if (rateLimit[key] !== undefined && (typeof rateLimit[key] !== 'number' || rateLimit[key] < 0)) {
+          throw new Error(`Invalid rate limit '${key}' - expected a non-negative number`);
+        }
+      }
+    }
   }
 
   async testProfile(profileId, testUrl) {
@@ -537,6 +557,18 @@ class SiteProfileManager {
            this.remoteProfiles.get(profileId);
   }
 
+  // Download budget for a host, taken from its profile's settings.rateLimit
+  getRateLimit(hostname) {
+    const profile = this.detectSiteProfile(`https://${hostname}/`);
+    return profile?.settings?.rateLimit || null;
+  }
+
+  // Filename conflict policy for a host, from its profile's settings.conflictPolicy
+  getConflictPolicy(hostname) {
+    const profile = this.detectSiteProfile(`https://${hostname}/`);
+    return profile?.settings?.conflictPolicy || null;
+  }
+
   getAllProfiles() {
     const profiles = [];
     
@@ -0,0 +1,154 @@
+// warc-writer.js - WARC 1.1 records for AdvancedExportSystem's archival export
+// Request/response pairs replay in pywb and other Wayback tools; metadata records carry how the scrape was made
+
+class WarcWriter {
+  // sink: {write(Uint8Array) -> Promise, close() -> Promise}, same shape ZipStreamWriter uses
+  constructor(sink, options = {}) {
+    this.options = {
+      software: options.software || 'StepTwo Gallery Scraper',
+      userAgent: options.userAgent || (typeof navigator !== 'undefined' ? navigator.userAgent : 'StepTwo'),
+      ...options
+    };
+
+    this.sink = sink;
+    this.size = 0;
+    this.records = 0;
+  }
+
+  static recordId() {
+    return `<urn:uuid:${crypto.randomUUID()}>`;
+  }
+
+  // WARC-Date: ISO 8601 UTC; 1.1 allows fractional seconds
+  static date(value = new Date()) {
+    return new Date(value).toISOString();
+  }
+
+  static base32(bytes) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    let output = '';
+    let buffer = 0;
+    let bits = 0;
+    for (const byte of bytes) {
+      buffer = (buffer << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += alphabet[(buffer >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {output += alphabet[(buffer << (5 - bits)) & 31];}
+    return output;
+  }
+
+  // The digest form pywb and the Wayback Machine use: sha1 in base32
+  static async digest(bytes) {
+    const hash = await crypto.subtle.digest('SHA-1', bytes);
+    return `sha1:${WarcWriter.base32(new Uint8Array(hash))}`;
+  }
+
+  static concat(parts) {
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      output.set(part, offset);
+      offset += part.length;
+    }
+    return output;
+  }
+
+  async write(bytes) {
+    await this.sink.write(bytes);
+    this.size += bytes.length;
+  }
+
+  // headers: WARC named fields beyond the ones every record gets. Returns the record ID
+  async writeRecord(type, block, headers = {}) {
+    const id = headers['WARC-Record-ID'] || WarcWriter.recordId();
+    const fields = {
+      'WARC-Type': type,
+      'WARC-Record-ID': id,
+      'WARC-Date': WarcWriter.date(),
+      ...headers,
+      'WARC-Block-Digest': await WarcWriter.digest(block),
+      'Content-Length': block.length
+    };
+
+    const head = Object.entries(fields)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => `${name}: ${value}\r\n`)
+      .join('');
+    await this.write(new TextEncoder().encode(`WARC/1.1\r\n${head}\r\n`));
+    await this.write(block);
+    await this.write(new TextEncoder().encode('\r\n\r\n'));
+
+    this.records++;
+    return id;
+  }
+
+  async writeWarcinfo(filename, fields = {}) {
+    const info = {
+      software: this.options.software,
+      format: 'WARC File Format 1.1',
+      conformsTo: 'https://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/',
+      ...fields
+    };
+    const block = new TextEncoder().encode(Object.entries(info).map(([name, value]) => `${name}: ${value}\r\n`).join(''));
+    return this.writeRecord('warcinfo', block, {
+      'WARC-Filename': filename,
+      'Content-Type': 'application/warc-fields'
+    });
+  }
+
+  // response: {status, statusText, headers: [[name, value]], body: Uint8Array}. Writes the response and
+  // the request that fetched it, linked with WARC-Concurrent-To. Returns the response record ID
+  async writeExchange(url, response, { date = new Date() } = {}) {
+    const encoder = new TextEncoder();
+    const warcDate = WarcWriter.date(date);
+
+    // The body we hold is already decoded and complete, so its framing headers no longer apply
+    const headers = response.headers
+      .filter(([name]) => !/^(content-encoding|transfer-encoding|content-length)$/i.test(name))
+      .map(([name, value]) => `${name}: ${value}\r\n`)
+      .join('');
+    const httpHead = encoder.encode(`HTTP/1.1 ${response.status} ${response.statusText || ''}\r\n${headers}Content-Length: ${response.body.length}\r\n\r\n`);
+
+    const responseId = await this.writeRecord('response', WarcWriter.concat([httpHead, response.body]), {
+      'WARC-Date': warcDate,
+      'WARC-Target-URI': url,
+      'WARC-Payload-Digest': await WarcWriter.digest(response.body),
+      'Content-Type': 'application/http; msgtype=response'
+    });
+
+    const target = new URL(url);
+    const request = encoder.encode(`GET ${target.pathname}${target.search} HTTP/1.1\r\nHost: ${target.host}\r\n` +
+      `User-Agent: ${this.options.userAgent}\r\nAccept: */*\r\n\r\n`);
+    await this.writeRecord('request', request, {
+      'WARC-Date': warcDate,
+      'WARC-Target-URI': url,
+      'WARC-Concurrent-To': responseId,
+      'Content-Type': 'application/http; msgtype=request'
+    });
+
+    return responseId;
+  }
+
+  async writeMetadata(url, value, { refersTo = null } = {}) {
+    const block = new TextEncoder().encode(JSON.stringify(value, null, 2));
+    return this.writeRecord('metadata', block, {
+      'WARC-Target-URI': url,
+      'WARC-Refers-To': refersTo,
+      'Content-Type': 'application/json'
+    });
+  }
+
+  async close() {
+    await this.sink.close();
+    return this.size;
+  }
+}
+
+// Export for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.WarcWriter = WarcWriter;
+}
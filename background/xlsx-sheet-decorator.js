@@ -0,0 +1,153 @@
+// xlsx-sheet-decorator.js - Adds what SheetJS community edition can't write to an .xlsx it produced
+// Header styling, a frozen header row, hyperlink styling and embedded pictures, patched into the package with JSZip
+
+class XlsxSheetDecorator {
+  static get EMU_PER_PIXEL() {
+    return 9525;
+  }
+
+  static escapeXml(value) {
+    return String(value).replace(/[<>&'"]/g, c => ({
+      '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+    }[c]));
+  }
+
+  // buffer: SheetJS output (type 'array'). sheet is the 1-based worksheet number.
+  // images: [{row, col, bytes, extension, width, height}] with zero-based row/col and pixel sizes
+  static async decorate(buffer, { sheet = 1, styleHeader = true, freezeRows = 1, linkCells = [], images = [], compression = true } = {}) {
+    if (typeof JSZip === 'undefined') {
+      throw new Error('JSZip library not available');
+    }
+
+    const zip = await JSZip.loadAsync(buffer);
+    const sheetPath = `xl/worksheets/sheet${sheet}.xml`;
+    let sheetXml = await zip.file(sheetPath)?.async('string');
+    if (!sheetXml) {
+      throw new Error(`Workbook has no ${sheetPath}`);
+    }
+
+    const styles = await XlsxSheetDecorator.addStyles(zip);
+
+    if (styleHeader) {
+      sheetXml = sheetXml.replace(/<row r="1"[^>]*>[\s\S]*?<\/row>/, row => XlsxSheetDecorator.styleCells(row, () => true, styles.header));
+    }
+
+    if (linkCells.length > 0) {
+      const refs = new Set(linkCells);
+      sheetXml = sheetXml.replace(/<sheetData>[\s\S]*<\/sheetData>/, data => XlsxSheetDecorator.styleCells(data, ref => refs.has(ref), styles.link));
+    }
+
+    if (freezeRows > 0) {
+      const pane = `<sheetView workbookViewId="0"><pane ySplit="${freezeRows}" topLeftCell="A${freezeRows + 1}" activePane="bottomLeft" state="frozen"/>` +
+        '<selection pane="bottomLeft"/></sheetView>';
+      sheetXml = sheetXml.replace(/<sheetView workbookViewId="0"\s*\/>|<sheetView workbookViewId="0">[\s\S]*?<\/sheetView>/, pane);
+    }
+
+    if (images.length > 0) {
+      const relId = await XlsxSheetDecorator.addDrawing(zip, sheet, images);
+      sheetXml = sheetXml.replace('</worksheet>', `<drawing r:id="${relId}"/></worksheet>`);
+    }
+
+    zip.file(sheetPath, sheetXml);
+    return zip.generateAsync({
+      type: 'uint8array',
+      compression: compression ? 'DEFLATE' : 'STORE'
+    });
+  }
+
+  // Set the style index on every <c> in xml whose reference passes the filter
+  static styleCells(xml, filter, styleIndex) {
+    return xml.replace(/<c r="([A-Z]+\d+)"([^>]*?)(\/?)>/g, (match, ref, attributes, selfClosing) => {
+      if (!filter(ref)) {return match;}
+      const rest = attributes.replace(/\ss="\d+"/, '');
+      return `<c r="${ref}"${rest} s="${styleIndex}"${selfClosing}>`;
+    });
+  }
+
+  // Appends a bold white-on-blue header style and a blue underlined link style; returns their cellXfs indexes
+  static async addStyles(zip) {
+    let xml = await zip.file('xl/styles.xml').async('string');
+
+    const append = (tag, entry) => {
+      let index = 0;
+      xml = xml.replace(new RegExp(`<${tag} count="(\\d+)"([^>]*)>([\\s\\S]*?)</${tag}>`), (match, count, attributes, body) => {
+        index = parseInt(count, 10);
+        return `<${tag} count="${index + 1}"${attributes}>${body}${entry}</${tag}>`;
+      });
+      return index;
+    };
+
+    const headerFont = append('fonts', '<font><b/><sz val="12"/><color rgb="FFFFFFFF"/><name val="Calibri"/><family val="2"/></font>');
+    const linkFont = append('fonts', '<font><u/><sz val="12"/><color rgb="FF0563C1"/><name val="Calibri"/><family val="2"/></font>');
+    const headerFill = append('fills', '<fill><patternFill patternType="solid"><fgColor rgb="FF2F5496"/><bgColor indexed="64"/></patternFill></fill>');
+
+    const styles = {
+      header: append('cellXfs', `<xf numFmtId="0" fontId="${headerFont}" fillId="${headerFill}" borderId="0" xfId="0" applyFont="1" applyFill="1" applyAlignment="1"><alignment vertical="center"/></xf>`),
+      link: append('cellXfs', `<xf numFmtId="0" fontId="${linkFont}" fillId="0" borderId="0" xfId="0" applyFont="1"/>`)
+    };
+    zip.file('xl/styles.xml', xml);
+    return styles;
+  }
+
+  static async addDrawing(zip, sheet, images) {
+    const { EMU_PER_PIXEL, escapeXml } = XlsxSheetDecorator;
+    const drawingNumber = Object.keys(zip.files).filter(name => /^xl\/drawings\/drawing\d+\.xml$/.test(name)).length + 1;
+    const mediaCount = Object.keys(zip.files).filter(name => name.startsWith('xl/media/')).length;
+
+    const anchors = [];
+    const drawingRels = [];
+    images.forEach((image, i) => {
+      const relId = `rId${i + 1}`;
+      const extension = image.extension === 'png' ? 'png' : 'jpeg';
+      const mediaName = `image${mediaCount + i + 1}.${extension}`;
+      zip.file(`xl/media/${mediaName}`, image.bytes);
+      drawingRels.push(`<Relationship Id="${relId}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="../media/${mediaName}"/>`);
+
+      // Anchored to one cell so the picture moves with its row when the sheet is sorted or filtered
+      anchors.push('<xdr:oneCellAnchor>' +
+        `<xdr:from><xdr:col>${image.col}</xdr:col><xdr:colOff>${2 * EMU_PER_PIXEL}</xdr:colOff><xdr:row>${image.row}</xdr:row><xdr:rowOff>${2 * EMU_PER_PIXEL}</xdr:rowOff></xdr:from>` +
+        `<xdr:ext cx="${image.width * EMU_PER_PIXEL}" cy="${image.height * EMU_PER_PIXEL}"/>` +
+        `<xdr:pic><xdr:nvPicPr><xdr:cNvPr id="${i + 2}" name="${escapeXml(image.name || `Thumbnail ${i + 1}`)}"/><xdr:cNvPicPr><a:picLocks noChangeAspect="1"/></xdr:cNvPicPr></xdr:nvPicPr>` +
+        `<xdr:blipFill><a:blip r:embed="${relId}"/><a:stretch><a:fillRect/></a:stretch></xdr:blipFill>` +
+        `<xdr:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${image.width * EMU_PER_PIXEL}" cy="${image.height * EMU_PER_PIXEL}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></xdr:spPr></xdr:pic>` +
+        '<xdr:clientData/></xdr:oneCellAnchor>');
+    });
+
+    const header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    zip.file(`xl/drawings/drawing${drawingNumber}.xml`, header +
+      '<xdr:wsDr xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+      `xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">${anchors.join('')}</xdr:wsDr>`);
+    zip.file(`xl/drawings/_rels/drawing${drawingNumber}.xml.rels`, header +
+      `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${drawingRels.join('')}</Relationships>`);
+
+    // Link the drawing from the worksheet, next to any hyperlink relationships SheetJS wrote
+    const relsPath = `xl/worksheets/_rels/sheet${sheet}.xml.rels`;
+    let rels = await zip.file(relsPath)?.async('string') ||
+      `${header}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>`;
+    const used = new Set([...rels.matchAll(/Id="(rId\d+)"/g)].map(match => match[1]));
+    let relNumber = used.size + 1;
+    while (used.has(`rId${relNumber}`)) {relNumber++;}
+    const sheetRelId = `rId${relNumber}`;
+    rels = rels.replace('</Relationships>',
+      `<Relationship Id="${sheetRelId}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/drawing" Target="../drawings/drawing${drawingNumber}.xml"/></Relationships>`);
+    zip.file(relsPath, rels);
+
+    let types = await zip.file('[Content_Types].xml').async('string');
+    const defaults = { png: 'image/png', jpeg: 'image/jpeg' };
+    for (const [extension, contentType] of Object.entries(defaults)) {
+      if (!types.includes(`Extension="${extension}"`)) {
+        types = types.replace('<Override', `<Default Extension="${extension}" ContentType="${contentType}"/><Override`);
+      }
+    }
+    types = types.replace('</Types>',
+      `<Override PartName="/xl/drawings/drawing${drawingNumber}.xml" ContentType="application/vnd.openxmlformats-officedocument.drawing+xml"/></Types>`);
+    zip.file('[Content_Types].xml', types);
+
+    return sheetRelId;
+  }
+}
+
+// Export for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.XlsxSheetDecorator = XlsxSheetDecorator;
+}
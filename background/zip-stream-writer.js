@@ -0,0 +1,158 @@
+// zip-stream-writer.js - Writes a ZIP archive entry by entry into a sink instead of holding it in memory
+// Entries are stored uncompressed: images are already compressed, and it keeps the writer simple and fast
+
+class ZipStreamWriter {
+  // sink: {write(Uint8Array) -> Promise, close() -> Promise}, e.g. an OPFS writable (see export-volume-store.js)
+  constructor(sink) {
+    this.sink = sink;
+    this.entries = []; // Central directory records
+    this.names = new Set();
+    this.size = 0; // Bytes written so far
+    this.finished = false;
+  }
+
+  // Plain ZIP (no ZIP64) caps offsets at 4 GB and entry counts at 65535
+  static get MAX_SIZE() {
+    return 0xFFFFFFFF;
+  }
+
+  static get MAX_ENTRIES() {
+    return 0xFFFF;
+  }
+
+  static get CRC_TABLE() {
+    if (!ZipStreamWriter.crcTable) {
+      ZipStreamWriter.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        ZipStreamWriter.crcTable[n] = c >>> 0;
+      }
+    }
+    return ZipStreamWriter.crcTable;
+  }
+
+  static crc32(bytes) {
+    const table = ZipStreamWriter.CRC_TABLE;
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  // MS-DOS time and date fields, local time
+  static dosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  // Bytes an entry adds to the archive, central directory record included
+  static entryOverhead(name) {
+    const nameLength = new TextEncoder().encode(name).length;
+    return 30 + nameLength + 46 + nameLength;
+  }
+
+  // Same path twice in one archive gets -2, -3... before the extension
+  uniqueName(name) {
+    let candidate = name;
+    const dot = name.lastIndexOf('.');
+    const slash = name.lastIndexOf('/');
+    const [base, extension] = dot > slash + 1 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+    for (let n = 2; this.names.has(candidate.toLowerCase()); n++) {
+      candidate = `${base}-${n}${extension}`;
+    }
+    this.names.add(candidate.toLowerCase());
+    return candidate;
+  }
+
+  async write(bytes) {
+    await this.sink.write(bytes);
+    this.size += bytes.length;
+  }
+
+  // Returns the name actually used in the archive
+  async addFile(name, bytes, { date = new Date() } = {}) {
+    if (this.finished) {
+      throw new Error('ZIP archive already finished');
+    }
+    if (this.entries.length >= ZipStreamWriter.MAX_ENTRIES) {
+      throw new Error('ZIP archive is full (65535 entries)');
+    }
+
+    const data = typeof bytes === 'string' ? new TextEncoder().encode(bytes) : bytes;
+    const finalName = this.uniqueName(name);
+    const nameBytes = new TextEncoder().encode(finalName);
+    if (this.size + data.length + ZipStreamWriter.entryOverhead(finalName) > ZipStreamWriter.MAX_SIZE) {
+      throw new Error('ZIP archive would exceed 4 GB');
+    }
+
+    const crc = ZipStreamWriter.crc32(data);
+    const { time, date: dosDate } = ZipStreamWriter.dosDateTime(date);
+    const offset = this.size;
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034B50, true); // Local file header
+    header.setUint16(4, 20, true); // Version needed: 2.0
+    header.setUint16(6, 0x0800, true); // UTF-8 names
+    header.setUint16(8, 0, true); // Stored
+    header.setUint16(10, time, true);
+    header.setUint16(12, dosDate, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, data.length, true);
+    header.setUint32(22, data.length, true);
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true);
+
+    await this.write(new Uint8Array(header.buffer));
+    await this.write(nameBytes);
+    await this.write(data);
+
+    this.entries.push({ nameBytes, crc, size: data.length, time, date: dosDate, offset });
+    return finalName;
+  }
+
+  async finish() {
+    if (this.finished) {return this.size;}
+    this.finished = true;
+
+    const directoryOffset = this.size;
+    for (const entry of this.entries) {
+      const record = new DataView(new ArrayBuffer(46));
+      record.setUint32(0, 0x02014B50, true); // Central directory header
+      record.setUint16(4, 20, true); // Version made by
+      record.setUint16(6, 20, true); // Version needed
+      record.setUint16(8, 0x0800, true);
+      record.setUint16(10, 0, true);
+      record.setUint16(12, entry.time, true);
+      record.setUint16(14, entry.date, true);
+      record.setUint32(16, entry.crc, true);
+      record.setUint32(20, entry.size, true);
+      record.setUint32(24, entry.size, true);
+      record.setUint16(28, entry.nameBytes.length, true);
+      record.setUint32(42, entry.offset, true); // Extra/comment lengths, disk and attributes stay 0
+      await this.write(new Uint8Array(record.buffer)); // eslint-disable-line no-await-in-loop
+      await this.write(entry.nameBytes); // eslint-disable-line no-await-in-loop
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true); // End of central directory
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, this.size - directoryOffset, true);
+    end.setUint32(16, directoryOffset, true);
+    await this.write(new Uint8Array(end.buffer));
+
+    await this.sink.close();
+    return this.size;
+  }
+}
+
+// Export for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.ZipStreamWriter = ZipStreamWriter;
+}
@@ -328,14 +328,16 @@ if (window.AdvancedExtractor) {
     }
 
     // Utility methods
+    // Largest srcset / <picture> candidate when srcset-resolver.js is loaded
     getImageUrl(img) {
       if (typeof img === 'string') {return img;}
-      return img.src || img.dataset.src || img.dataset.original || img.dataset.lazy || '';
+      const resolved = window.SrcsetResolver?.resolve(img);
+      return resolved?.url || img.src || img.dataset.src || img.dataset.original || img.dataset.lazy || '';
     }
 
     getThumbnailUrl(img) {
       if (typeof img === 'string') {return img;}
-      return img.src || img.dataset.thumb || img.dataset.thumbnail || this.getImageUrl(img);
+      return img.currentSrc || img.src || img.dataset.thumb || img.dataset.thumbnail || this.getImageUrl(img);
     }
 
     getAssociatedLink(element) {
@@ -378,7 +380,8 @@ if (window.AdvancedExtractor) {
           display: {width: img.width, height: img.height}
         },
         loading: img.loading || '',
-        srcset: img.srcset || ''
+        srcset: img.srcset || img.dataset.srcset || '',
+        srcsetCandidates: window.SrcsetResolver?.candidates(img) || []
       };
     }
 
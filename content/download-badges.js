@@ -0,0 +1,187 @@
+// download-badges.js - Ticks over images on the live page that are already in the download history
+// Lets "only new items" scans skip what an earlier session pulled from the same search pages
+
+if (window.StepTwoDownloadBadges) {
+  console.log('StepTwoDownloadBadges already loaded, skipping...');
+} else {
+
+  class StepTwoDownloadBadges {
+    constructor(options = {}) {
+      this.options = {
+        minSize: 40, // Smaller images are icons and avatars
+        batchSize: 500, // URLs per HISTORY_LOOKUP message
+        refreshDelay: 750,
+        ...options
+      };
+
+      this.results = new Map(); // url -> history entry, or null if not downloaded
+      this.badges = new Map(); // element -> badge
+      this.container = null;
+      this.refreshTimer = null;
+      this.positionFrame = null;
+      this.observer = null;
+    }
+
+    // Injected and started only when the popup or picker asks, so ordinary browsing pays nothing
+    // and sends no image URLs to the history lookup
+    start({ refresh = true } = {}) {
+      if (!this.observer) {
+        this.watch();
+      }
+      if (refresh) {
+        this.refresh().catch(error => console.warn('Download badge lookup failed:', error));
+      }
+    }
+
+    watch() {
+      this.observer = new MutationObserver(() => this.scheduleRefresh());
+      this.observer.observe(document.body, { childList: true, subtree: true, attributes: true, attributeFilter: ['src', 'srcset', 'href'] });
+
+      const reposition = () => {
+        if (this.positionFrame) {return;}
+        this.positionFrame = requestAnimationFrame(() => {
+          this.positionFrame = null;
+          this.positionBadges();
+        });
+      };
+      window.addEventListener('scroll', reposition, { passive: true });
+      window.addEventListener('resize', reposition);
+    }
+
+    scheduleRefresh() {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = setTimeout(() => {
+        this.refresh().catch(error => console.warn('Download badge lookup failed:', error));
+      }, this.options.refreshDelay);
+    }
+
+    // Every URL the page shows for an image: what's rendered, what's lazy-loaded and where it links
+    static urlsFor(element) {
+      const urls = [element.currentSrc, element.src, element.dataset?.src, element.dataset?.lazySrc, element.closest('a[href]')?.href];
+      return [...new Set(urls.filter(url => url && /^https?:/.test(url)))];
+    }
+
+    candidates() {
+      return Array.from(document.querySelectorAll('img')).filter(img => {
+        if (img.closest('#steptwo-download-badges')) {return false;}
+        const rect = img.getBoundingClientRect();
+        return rect.width >= this.options.minSize && rect.height >= this.options.minSize;
+      });
+    }
+
+    async refresh({ force = false } = {}) {
+      if (force) {this.results.clear();}
+
+      const elements = this.candidates();
+      const unknown = [...new Set(elements.flatMap(StepTwoDownloadBadges.urlsFor))].filter(url => !this.results.has(url));
+
+      for (let i = 0; i < unknown.length; i += this.options.batchSize) {
+        const batch = unknown.slice(i, i + this.options.batchSize);
+        const response = await chrome.runtime.sendMessage({ type: 'HISTORY_LOOKUP', urls: batch }); // eslint-disable-line no-await-in-loop
+        if (!response?.success) {break;}
+        batch.forEach(url => this.results.set(url, response.found[url] || null));
+      }
+
+      this.renderBadges(elements);
+      return elements;
+    }
+
+    entryFor(element) {
+      for (const url of StepTwoDownloadBadges.urlsFor(element)) {
+        const entry = this.results.get(url);
+        if (entry) {return entry;}
+      }
+      return null;
+    }
+
+    isDownloaded(element) {
+      return !!this.entryFor(element);
+    }
+
+    // Elements (or their closest image) that aren't in the download history yet
+    filterNew(elements) {
+      return elements.filter(element => {
+        const image = element.tagName === 'IMG' ? element : element.querySelector('img');
+        return !image || !this.isDownloaded(image);
+      });
+    }
+
+    renderBadges(elements) {
+      if (!this.container) {
+        this.container = document.createElement('div');
+        this.container.id = 'steptwo-download-badges';
+        this.container.style.cssText = 'position: absolute; top: 0; left: 0; width: 0; height: 0; pointer-events: none; z-index: 2147483646;';
+        document.body.appendChild(this.container);
+      }
+
+      for (const [element, badge] of this.badges) {
+        if (!element.isConnected || !this.isDownloaded(element)) {
+          badge.remove();
+          this.badges.delete(element);
+        }
+      }
+
+      for (const element of elements) {
+        const entry = this.entryFor(element);
+        if (!entry || this.badges.has(element)) {continue;}
+
+        const badge = document.createElement('div');
+        badge.textContent = '✓';
+        badge.title = `Downloaded ${new Date(entry.timestamp).toLocaleString()}${entry.filename ? ` as ${entry.filename}` : ''}`;
+        badge.style.cssText = 'position: absolute; width: 22px; height: 22px; border-radius: 50%; background: #27ae60; color: #fff; ' +
+          'font: bold 14px/22px sans-serif; text-align: center; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.4);';
+        this.container.appendChild(badge);
+        this.badges.set(element, badge);
+      }
+
+      this.positionBadges();
+    }
+
+    positionBadges() {
+      for (const [element, badge] of this.badges) {
+        const rect = element.getBoundingClientRect();
+        const hidden = rect.width === 0 && rect.height === 0;
+        badge.style.display = hidden ? 'none' : '';
+        badge.style.top = `${rect.top + window.scrollY + 4}px`;
+        badge.style.left = `${rect.right + window.scrollX - 26}px`;
+      }
+    }
+
+    async quickScan(settings = {}) {
+      const elements = await this.refresh({ force: true });
+      const newCount = this.filterNew(elements).length;
+      return {
+        success: true,
+        itemCount: settings.onlyNew ? newCount : elements.length,
+        totalCount: elements.length,
+        newCount,
+        downloadedCount: elements.length - newCount,
+        onlyNew: !!settings.onlyNew
+      };
+    }
+  }
+
+  window.StepTwoDownloadBadges = StepTwoDownloadBadges;
+  window.stepTwoDownloadBadges = new StepTwoDownloadBadges();
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action === 'quickScan') {
+      window.stepTwoDownloadBadges.start({ refresh: false }); // quickScan looks everything up itself
+      window.stepTwoDownloadBadges.quickScan(message.settings)
+        .then(sendResponse)
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+    }
+
+    if (message.action === 'refreshDownloadBadges') {
+      window.stepTwoDownloadBadges.start({ refresh: false });
+      window.stepTwoDownloadBadges.refresh({ force: true })
+        .then(elements => sendResponse({ success: true, downloadedCount: elements.length - window.stepTwoDownloadBadges.filterNew(elements).length }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+    }
+    return false;
+  });
+
+  console.log('✅ STEPTWO download badges loaded');
+}
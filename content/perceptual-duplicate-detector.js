@@ -1,8 +1,8 @@
 // perceptual-duplicate-detector.js - Enhanced image similarity detection
 // ENHANCED VERSION: Advanced algorithms with research-based improvements
 
-// Prevent duplicate declarations
-if (window.PerceptualDuplicateDetector) {
+// Prevent duplicate declarations (self is the window in pages and the global scope in the service worker)
+if (self.PerceptualDuplicateDetector) {
   console.log('PerceptualDuplicateDetector already loaded, skipping...');
 } else {
 
@@ -15,7 +15,7 @@ if (window.PerceptualDuplicateDetector) {
         enableClustering: options.enableClustering !== false,
         enableAdvancedHashing: options.enableAdvancedHashing !== false,
         hashTypes: options.hashTypes || ['ahash', 'phash'], // Multiple hash types
-        maxWorkers: options.maxWorkers || 4,
+        maxWorkers: options.maxWorkers ?? 4, // 0 hashes on the calling thread, e.g. in the service worker
         cacheSize: options.cacheSize || 10000,
         enablePersistence: options.enablePersistence !== false,
         // Performance optimization options for large-scale scraping
@@ -25,6 +25,8 @@ if (window.PerceptualDuplicateDetector) {
         enableIncrementalProcessing: options.enableIncrementalProcessing !== false,
         bypassDuplicationForLargeScale: options.bypassDuplicationForLargeScale || false,
         largeScaleThreshold: options.largeScaleThreshold || 1000, // Items threshold for large-scale mode
+        // Which copy of a duplicate group survives: 'largest-area', 'largest-file', 'first-seen' or 'keep-all' (tag only)
+        duplicatePolicy: options.duplicatePolicy || 'largest-area',
         ...options
       };
         
@@ -396,6 +398,8 @@ if (window.PerceptualDuplicateDetector) {
         const result = {
           url: imageUrl,
           hashes,
+          width: imageData.naturalWidth || imageData.width || 0,
+          height: imageData.naturalHeight || imageData.height || 0,
           processingTime,
           timestamp: Date.now()
         };
@@ -413,6 +417,27 @@ if (window.PerceptualDuplicateDetector) {
       }
     }
     
+    // Hash raw image bytes, e.g. in the service worker where Image and document don't exist
+    async hashImageBytes(bytes, algorithm = 'average') {
+      return (await this.describeImageBytes(bytes, algorithm)).hash;
+    }
+    
+    // {hash, width, height} of raw image bytes; the size lets duplicate policies compare resolutions
+    async describeImageBytes(bytes, algorithm = 'average') {
+      const bitmap = await createImageBitmap(new Blob([bytes]));
+      try {
+        const hash = await this.generateHash(bitmap, algorithm, {});
+        // Fixed width so hammingDistance() can compare hashes with leading zero bits
+        return {
+          hash: hash.padStart(this.options.hashSize * this.options.hashSize / 4, '0'),
+          width: bitmap.width,
+          height: bitmap.height
+        };
+      } finally {
+        bitmap.close();
+      }
+    }
+    
     async loadImage(url) {
       return new Promise((resolve, reject) => {
         const img = new Image();
@@ -473,7 +498,7 @@ if (window.PerceptualDuplicateDetector) {
     generateHashMainThread(imageData, algorithm, options) {
     // Fallback implementation for main thread
       const size = options.size || this.options.hashSize;
-      const canvas = document.createElement('canvas');
+      const canvas = typeof document !== 'undefined' ? document.createElement('canvas') : new OffscreenCanvas(size, size);
       canvas.width = size;
       canvas.height = size;
       const ctx = canvas.getContext('2d');
@@ -926,70 +951,151 @@ if (window.PerceptualDuplicateDetector) {
       };
     }
     
-    // Enhanced duplicate detection with performance options
+    // Enhanced duplicate detection with performance options.
+    // Similar images are grouped, then options.policy (default: this.options.duplicatePolicy) picks which one to keep.
     async detectDuplicatesInBatch(imageResults, options = {}) {
       const threshold = options.threshold || this.options.threshold;
-      const duplicates = [];
-      const unique = [];
+      const policy = options.policy || this.options.duplicatePolicy;
+        
+      if (!PerceptualDuplicateDetector.DUPLICATE_POLICIES.includes(policy)) {
+        throw new Error(`Unknown duplicate policy: ${policy}`);
+      }
         
       if (this.options.bypassDuplicationForLargeScale && 
             imageResults.length > this.options.largeScaleThreshold) {
       // Skip expensive duplicate detection for large batches
-        return { duplicates: [], unique: imageResults, skipped: true };
+        return { duplicates: [], unique: imageResults, clusters: [], skipped: true };
       }
         
+      const groups = []; // Each group's first member is the one the others were matched against
+        
       // Use faster O(n) duplicate detection for performance mode
       if (this.options.enablePerformanceMode) {
-        const seenHashes = new Set();
+        const groupsByHash = new Map();
             
         for (const result of imageResults) {
-          if (result.success && result.result?.hashes) {
-            const primaryHash = result.result.hashes.average || result.result.hashes.ahash;
-            if (primaryHash && seenHashes.has(primaryHash)) {
-              duplicates.push(result);
-            } else {
-              if (primaryHash) {seenHashes.add(primaryHash);}
-              unique.push(result);
-            }
+          const hash = result.success && result.result?.hashes ? this.primaryHash(result) : null;
+          if (!hash) {
+            groups.push([result]);
+          } else if (groupsByHash.has(hash)) {
+            groupsByHash.get(hash).push(result);
           } else {
-            unique.push(result);
+            const group = [result];
+            groupsByHash.set(hash, group);
+            groups.push(group);
           }
         }
       } else {
       // Full perceptual duplicate detection
-        for (let i = 0; i < imageResults.length; i++) {
-          const current = imageResults[i];
+        for (const current of imageResults) {
           if (!current.success || !current.result?.hashes) {
-            unique.push(current);
+            groups.push([current]);
             continue;
           }
                 
-          let isDuplicate = false;
-          for (let j = 0; j < unique.length; j++) {
-            const existing = unique[j];
-            if (!existing.success || !existing.result?.hashes) {continue;}
-                    
-            const similarity = this.calculateSimilarity(
-              current.result.hashes.average || current.result.hashes.ahash,
-              existing.result.hashes.average || existing.result.hashes.ahash
-            );
-                    
-            if (similarity >= threshold) {
-              duplicates.push({ ...current, duplicateOf: existing.url, similarity });
-              isDuplicate = true;
-              break;
-            }
-          }
+          const match = groups.find(group => {
+            const existing = group[0];
+            if (!existing.success || !existing.result?.hashes) {return false;}
+            return this.calculateSimilarity(this.primaryHash(current), this.primaryHash(existing)) >= threshold;
+          });
                 
-          if (!isDuplicate) {
-            unique.push(current);
+          if (match) {
+            match.push(current);
+          } else {
+            groups.push([current]);
           }
         }
       }
         
-      this.stats.duplicatesFound += duplicates.length;
+      const resolved = await this.resolveDuplicateGroups(groups, policy);
+      this.stats.duplicatesFound += resolved.duplicates.length;
         
-      return { duplicates, unique, skipped: false };
+      return { ...resolved, policy, skipped: false };
+    }
+    
+    static get DUPLICATE_POLICIES() {
+      return ['largest-area', 'largest-file', 'first-seen', 'keep-all'];
+    }
+    
+    primaryHash(imageResult) {
+      return imageResult.result.hashes.average || imageResult.result.hashes.ahash;
+    }
+    
+    // Pick a keeper per group of similar images; unique keeps the original batch order
+    async resolveDuplicateGroups(groups, policy) {
+      const keepers = new Set();
+      const clusterIds = new Map(); // image result -> cluster ID, for groups of two or more
+      const duplicates = [];
+      const clusters = [];
+        
+      for (const group of groups) {
+        if (group.length === 1) {
+          keepers.add(group[0]);
+          continue;
+        }
+            
+        const clusterId = this.generateClusterId();
+        group.forEach(result => clusterIds.set(result, clusterId));
+            
+        if (policy === 'keep-all') {
+          group.forEach(result => keepers.add(result));
+          clusters.push({ id: clusterId, kept: group.map(result => result.url), size: group.length });
+          continue;
+        }
+            
+        const keeper = await this.pickKeeper(group, policy);
+        keepers.add(keeper);
+            
+        for (const result of group) {
+          if (result === keeper) {continue;}
+          duplicates.push({
+            ...result,
+            duplicateOf: keeper.url,
+            similarity: this.calculateSimilarity(this.primaryHash(result), this.primaryHash(keeper)),
+            clusterId
+          });
+        }
+        clusters.push({ id: clusterId, kept: [keeper.url], size: group.length });
+      }
+        
+      const unique = groups.flat()
+        .filter(result => keepers.has(result))
+        .map(result => (clusterIds.has(result) ? { ...result, clusterId: clusterIds.get(result) } : result))
+        .sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+        
+      this.stats.clustersCreated += clusters.length;
+      return { duplicates, unique, clusters };
+    }
+    
+    async pickKeeper(group, policy) {
+      if (policy === 'first-seen') {return group[0];}
+        
+      const scores = await Promise.all(group.map(async result => {
+        if (policy === 'largest-file') {
+          return result.fileSize || await this.getFileSize(result.url);
+        }
+        return (result.result.width || 0) * (result.result.height || 0);
+      }));
+        
+      // Ties (or nothing measurable) go to the first one seen
+      let best = 0;
+      scores.forEach((score, index) => {
+        if (score > scores[best]) {best = index;}
+      });
+      return group[best];
+    }
+    
+    // Byte size from resource timing if the page already loaded the image, otherwise a HEAD request
+    async getFileSize(url) {
+      const [entry] = performance.getEntriesByName(url);
+      if (entry && entry.encodedBodySize > 0) {return entry.encodedBodySize;}
+        
+      try {
+        const response = await fetch(url, { method: 'HEAD' });
+        return parseInt(response.headers.get('content-length') || '0', 10);
+      } catch (_error) {
+        return 0;
+      }
     }
     
     // Performance monitoring and metrics
@@ -1056,7 +1162,7 @@ if (window.PerceptualDuplicateDetector) {
     }
   }
 
+  // Export to window (or the worker global scope) for use in other modules.
+  // Inside the else block because the class declaration is block-scoped.
+  self.PerceptualDuplicateDetector = PerceptualDuplicateDetector;
 }
-
-// Export to window for use in other modules
-window.PerceptualDuplicateDetector = PerceptualDuplicateDetector;
\ No newline at end of file
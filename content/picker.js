@@ -16,6 +16,7 @@ if (window.StepTwoElementPicker) {
         minimumSimilarElements: 2, // Reduced from 3 to 2 for better success rate
         maxDetectionAttempts: 5,
         relaxedValidation: true, // Add fallback validation mode
+        onlyNew: false, // Leave out items the download history already has
         ...options
       };
       
@@ -25,6 +26,7 @@ if (window.StepTwoElementPicker) {
       this.selectedSelector = null;
       this.overlay = null;
       this.similarElements = [];
+      this.downloadedElements = [];
       this.detectionAttempts = 0;
       
       // Bind methods to preserve context
@@ -69,6 +71,12 @@ if (window.StepTwoElementPicker) {
           background-color: rgba(255, 255, 0, 0.2) !important;
         }
         
+        .steptwo-picker-downloaded {
+          outline: 2px dashed #27ae60 !important;
+          outline-offset: -1px !important;
+          opacity: 0.5 !important;
+        }
+        
         .steptwo-picker-overlay {
           position: fixed !important;
           top: 0 !important;
@@ -195,7 +203,7 @@ if (window.StepTwoElementPicker) {
       }
     }
     
-    showCounter(count) {
+    showCounter(count, downloadedCount = 0) {
       let counter = document.getElementById('steptwo-picker-counter');
       if (!counter) {
         counter = document.createElement('div');
@@ -204,7 +212,9 @@ if (window.StepTwoElementPicker) {
         document.body.appendChild(counter);
       }
       
-      counter.textContent = `${count} similar elements found`;
+      counter.textContent = downloadedCount > 0
+        ? `${count} new elements found (${downloadedCount} already downloaded)`
+        : `${count} similar elements found`;
     }
     
     attachEventListeners() {
@@ -688,8 +698,17 @@ if (window.StepTwoElementPicker) {
     
     findAndHighlightSimilarElements(selector) {
       try {
-        const elements = document.querySelectorAll(selector);
-        this.similarElements = Array.from(elements);
+        const elements = Array.from(document.querySelectorAll(selector));
+        this.similarElements = elements;
+        this.downloadedElements = [];
+        
+        // download-badges.js knows which images earlier sessions already saved
+        const badges = window.stepTwoDownloadBadges;
+        if (this.options.onlyNew && badges) {
+          const fresh = badges.filterNew(elements);
+          this.downloadedElements = elements.filter(element => !fresh.includes(element));
+          this.similarElements = fresh;
+        }
         
         console.log(`🔍 Found ${this.similarElements.length} similar elements`);
         
@@ -699,8 +718,9 @@ if (window.StepTwoElementPicker) {
             element.classList.add('steptwo-picker-similar');
           }
         });
+        this.downloadedElements.forEach(element => element.classList.add('steptwo-picker-downloaded'));
         
-        this.showCounter(this.similarElements.length);
+        this.showCounter(this.similarElements.length, this.downloadedElements.length);
         
       } catch (error) {
         console.error('❌ Error finding similar elements:', error);
@@ -712,7 +732,8 @@ if (window.StepTwoElementPicker) {
       const highlightClasses = [
         'steptwo-picker-highlight',
         'steptwo-picker-selected', 
-        'steptwo-picker-similar'
+        'steptwo-picker-similar',
+        'steptwo-picker-downloaded'
       ];
       
       highlightClasses.forEach(className => {
@@ -733,6 +754,9 @@ if (window.StepTwoElementPicker) {
         const selectionData = {
           selector: this.selectedSelector,
           elementCount: this.similarElements.length,
+          onlyNew: this.options.onlyNew,
+          newCount: this.similarElements.length,
+          downloadedCount: this.downloadedElements.length,
           sampleElement: {
             tagName: this.selectedElement.tagName,
             className: this.selectedElement.className,
@@ -743,6 +767,7 @@ if (window.StepTwoElementPicker) {
         console.log('📡 Sending selection to dashboard:', selectionData);
         
         chrome.runtime.sendMessage({
+          type: 'SELECTOR_PICKED', // What the service worker and dashboard listen for
           action: 'SELECTOR_PICKED',
           data: selectionData
         });
@@ -791,6 +816,8 @@ if (window.StepTwoElementPicker) {
   window.startPicker = function(options = {}) {
     if (!window.stepTwoPicker) {
       window.stepTwoPicker = new StepTwoElementPicker(options);
+    } else {
+      Object.assign(window.stepTwoPicker.options, options);
     }
     return window.stepTwoPicker.start(options.siteProfile);
   };
@@ -801,5 +828,29 @@ if (window.StepTwoElementPicker) {
     }
   };
   
+  // Selector mode from the popup and dashboard. Unless the sender says otherwise, "only new items"
+  // follows the popup's stored toggle
+  if (window.chrome && chrome.runtime?.onMessage) {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message.action === 'enableSelectorMode') {
+        chrome.storage.local.get('onlyNewItems')
+          .then(({ onlyNewItems }) => {
+            const onlyNew = typeof message.onlyNew === 'boolean' ? message.onlyNew : onlyNewItems === true;
+            window.stepTwoDownloadBadges?.start(); // Injected alongside the picker; marks what is already saved
+            window.startPicker({ onlyNew });
+            sendResponse({ success: true, onlyNew });
+          })
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+      }
+      
+      if (message.action === 'disableSelectorMode') {
+        window.stopPicker();
+        sendResponse({ success: true });
+      }
+      return false;
+    });
+  }
+  
   console.log('🎯 STEPTWO Element Picker loaded');
 }
\ No newline at end of file
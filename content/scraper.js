@@ -57,6 +57,11 @@ if (window.StepTwoScraper) {
         items: filteredItems,
         stats: session.stats,
         sourceUrl: window.location.href,
+        selectors: {
+          items: selector,
+          pagination: options.siteProfile?.pagination || null,
+          siteProfile: options.siteProfile?.name || null
+        },
         timestamp: Date.now(),
         duration: Date.now() - session.startTime
       };
@@ -192,26 +197,24 @@ if (window.StepTwoScraper) {
     try {
       let imageUrl = null;
       let thumbnailUrl = null;
+      let resolved = null;
 
       // Extract image URL
-      if (element.tagName === 'IMG') {
-        imageUrl = element.src || element.getAttribute('data-src') || element.getAttribute('data-original');
-        thumbnailUrl = imageUrl;
+      const img = element.tagName === 'IMG' ? element : element.querySelector('img');
+      if (img) {
+        // Largest srcset / <picture> candidate; the displayed src stays as the thumbnail
+        resolved = window.SrcsetResolver ? window.SrcsetResolver.resolve(img) : null;
+        const shown = img.currentSrc || img.src || img.getAttribute('data-src') || img.getAttribute('data-original');
+        imageUrl = resolved?.url || shown;
+        thumbnailUrl = shown || imageUrl;
       } else {
-        // Look for nested images
-        const img = element.querySelector('img');
-        if (img) {
-          imageUrl = img.src || img.getAttribute('data-src');
-          thumbnailUrl = imageUrl;
-        } else {
-          // Check for background images
-          const style = window.getComputedStyle(element);
-          if (style.backgroundImage && style.backgroundImage !== 'none') {
-            const match = style.backgroundImage.match(/url\(['"]?([^'")]+)['"]?\)/);
-            if (match) {
-              imageUrl = match[1];
-              thumbnailUrl = imageUrl;
-            }
+        // Check for background images
+        const style = window.getComputedStyle(element);
+        if (style.backgroundImage && style.backgroundImage !== 'none') {
+          const match = style.backgroundImage.match(/url\(['"]?([^'")]+)['"]?\)/);
+          if (match) {
+            imageUrl = match[1];
+            thumbnailUrl = imageUrl;
           }
         }
       }
@@ -242,6 +245,11 @@ if (window.StepTwoScraper) {
         link: findParentLink(element),
         text: window.RobustHelpers ? window.RobustHelpers.extractText(element) : extractText(element),
         alt: element.alt || element.getAttribute('title') || '',
+        caption: extractCaption(element),
+        credit: extractCredit(element),
+        keywords: extractKeywords(element),
+        dateCreated: extractCaptureDate(element),
+        ...(resolved?.candidates.length > 1 ? { metadata: { srcsetCandidates: resolved.candidates, chosenWidth: resolved.width } } : {}),
         index: index,
         selector: selector,
         extractedAt: Date.now(),
@@ -279,6 +287,41 @@ if (window.StepTwoScraper) {
     return textSources.find(text => text && text.length > 0 && text.length < 200) || '';
   }
 
+  // Caption from the enclosing <figure>, if any
+  function extractCaption(element) {
+    const caption = element.closest('figure')?.querySelector('figcaption');
+    return caption ? caption.textContent.trim().replace(/\s+/g, ' ') : '';
+  }
+
+  // Photographer/agency credit line near the image
+  function extractCredit(element) {
+    const container = element.closest('figure, [class*="card"], [class*="item"]') || element.parentElement;
+    const credit = container?.querySelector('[class*="credit" i], [class*="byline" i], [itemprop="creator"], [itemprop="author"]');
+    return credit ? credit.textContent.trim().replace(/\s+/g, ' ') : '';
+  }
+
+  // Tag links next to the image, else the page's meta keywords
+  function extractKeywords(element) {
+    const container = element.closest('figure, article, [class*="card"], [class*="item"]') || element.parentElement;
+    const tags = Array.from(container?.querySelectorAll('a[rel~="tag"], [class*="keyword" i] a, [class*="tags" i] a') || [])
+      .map(tag => tag.textContent.trim())
+      .filter(Boolean);
+    if (tags.length > 0) {
+      return [...new Set(tags)].slice(0, 50);
+    }
+
+    const meta = document.querySelector('meta[name="keywords" i]')?.content || '';
+    return meta.split(',').map(keyword => keyword.trim()).filter(Boolean).slice(0, 50);
+  }
+
+  // When the photo was taken, from a <time> or schema.org dateCreated near it
+  function extractCaptureDate(element) {
+    const container = element.closest('figure, article, [class*="card"], [class*="item"]') || element.parentElement;
+    const date = container?.querySelector('[itemprop="dateCreated"], time[datetime]');
+    const value = date ? (date.getAttribute('datetime') || date.getAttribute('content') || date.textContent.trim()) : '';
+    return value && !isNaN(new Date(value)) ? value : '';
+  }
+
   // Enhanced pagination with infinite scroll support
   async function handlePagination(selector, options, session) {
     const additionalItems = [];
@@ -0,0 +1,175 @@
+// srcset-resolver.js - Finds the largest version of an image the page offers
+// Reads srcset / data-srcset on the <img> and every <source> of its <picture>, so we stop grabbing the 400w src
+
+if (window.SrcsetResolver) {
+  console.log('SrcsetResolver already loaded, skipping...');
+} else {
+
+  class SrcsetResolver {
+    // Candidates from a srcset attribute: [{url, width, density}]. Follows the HTML parsing rules closely
+    // enough for real pages: URLs may contain commas (CDN transforms like w_400,h_300), descriptors may not
+    static parseSrcset(value) {
+      const candidates = [];
+      const input = String(value || '');
+      let position = 0;
+
+      while (position < input.length) {
+        // Skip separators before the URL
+        while (position < input.length && /[\s,]/.test(input[position])) {position++;}
+        if (position >= input.length) {break;}
+
+        let end = position;
+        while (end < input.length && !/\s/.test(input[end])) {end++;}
+        let url = input.slice(position, end);
+        position = end;
+
+        // A URL ending in commas has no descriptors
+        let descriptors = '';
+        if (/,+$/.test(url)) {
+          url = url.replace(/,+$/, '');
+        } else {
+          let depth = 0;
+          const start = position;
+          while (position < input.length && (input[position] !== ',' || depth > 0)) {
+            if (input[position] === '(') {depth++;}
+            if (input[position] === ')') {depth = Math.max(0, depth - 1);}
+            position++;
+          }
+          descriptors = input.slice(start, position).trim();
+        }
+        if (!url) {continue;}
+
+        const candidate = { url, width: null, density: null };
+        for (const descriptor of descriptors.split(/\s+/).filter(Boolean)) {
+          const match = descriptor.match(/^(\d+(?:\.\d+)?)([wxh])$/i);
+          if (!match) {continue;}
+          const number = parseFloat(match[1]);
+          if (match[2].toLowerCase() === 'w') {candidate.width = Math.round(number);}
+          if (match[2].toLowerCase() === 'x') {candidate.density = number;}
+        }
+        if (candidate.width === null && candidate.density === null) {candidate.density = 1;}
+        candidates.push(candidate);
+      }
+
+      return candidates;
+    }
+
+    // Slot width in CSS pixels from a sizes attribute: the first entry whose media condition matches
+    static parseSizes(value) {
+      const entries = String(value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+      for (const entry of entries) {
+        const match = entry.match(/^(\(.*\))\s+(.+)$/) || [null, null, entry];
+        const [, media, length] = match;
+        if (media && !window.matchMedia(media).matches) {continue;}
+        const pixels = SrcsetResolver.lengthToPixels(length);
+        if (pixels !== null) {return pixels;}
+      }
+      return null;
+    }
+
+    static lengthToPixels(length) {
+      const match = String(length).trim().match(/^(\d+(?:\.\d+)?)(px|vw|vh|em|rem)$/i);
+      if (!match) {return null;} // calc(), auto and friends: fall back to the rendered width
+      const number = parseFloat(match[1]);
+      switch (match[2].toLowerCase()) {
+        case 'vw':
+          return number * window.innerWidth / 100;
+        case 'vh':
+          return number * window.innerHeight / 100;
+        case 'em':
+        case 'rem':
+          return number * (parseFloat(getComputedStyle(document.documentElement).fontSize) || 16);
+        default:
+          return number;
+      }
+    }
+
+    static absolute(url) {
+      try {
+        return new URL(url, document.baseURI).href;
+      } catch {
+        return null;
+      }
+    }
+
+    // srcset and sizes as written, or their lazy-loading data-* twins
+    static attributes(element) {
+      return {
+        srcset: element.getAttribute('srcset') || element.getAttribute('data-srcset') || element.getAttribute('data-lazy-srcset') || '',
+        sizes: element.getAttribute('sizes') || element.getAttribute('data-sizes') || ''
+      };
+    }
+
+    // Every candidate for an <img>, biggest first: [{url, width, density, media, type, source}].
+    // width is the pixel width where known or estimable; density candidates are scaled by the slot width
+    static candidates(img) {
+      const rendered = img.getBoundingClientRect?.().width || img.width || 0;
+      const sets = [];
+
+      // Sources for another viewport are art-directed crops, not bigger copies - skip them as the browser does
+      const picture = img.parentElement?.tagName === 'PICTURE' ? img.parentElement : null;
+      if (picture) {
+        picture.querySelectorAll(':scope > source').forEach(source => {
+          const media = source.getAttribute('media');
+          if (media && !window.matchMedia(media).matches) {return;}
+          sets.push({ ...SrcsetResolver.attributes(source), media: media || null, type: source.getAttribute('type') || null, source: 'picture' });
+        });
+      }
+      sets.push({ ...SrcsetResolver.attributes(img), media: null, type: null, source: 'img' });
+
+      const seen = new Set();
+      const candidates = [];
+      for (const set of sets) {
+        if (!set.srcset) {continue;}
+        const slot = (set.sizes && set.sizes !== 'auto' ? SrcsetResolver.parseSizes(set.sizes) : null) || rendered;
+        for (const candidate of SrcsetResolver.parseSrcset(set.srcset)) {
+          const url = SrcsetResolver.absolute(candidate.url);
+          if (!url || url.startsWith('data:') || seen.has(url)) {continue;}
+          seen.add(url);
+          candidates.push({
+            url,
+            width: candidate.width || (candidate.density && slot ? Math.round(candidate.density * slot) : null),
+            density: candidate.density,
+            media: set.media,
+            type: set.type,
+            source: set.source
+          });
+        }
+      }
+
+      // Plain src attributes compete too; their width is only known once the browser has loaded them
+      const plain = [img.currentSrc, img.getAttribute('src'), img.getAttribute('data-src'), img.getAttribute('data-original')];
+      for (const value of plain) {
+        const url = value ? SrcsetResolver.absolute(value) : null;
+        if (!url || url.startsWith('data:') || seen.has(url)) {continue;}
+        seen.add(url);
+        const loaded = img.complete && img.naturalWidth > 0 && url === img.currentSrc;
+        candidates.push({ url, width: loaded ? img.naturalWidth : null, density: null, media: null, type: null, source: 'src' });
+      }
+
+      // Widest first, then densest. The same size in several formats goes to the one most tools open
+      // (the download format filters only know JPEG, PNG, WebP and GIF), then to document order
+      const typeRank = type => (!type || /jpe?g|png|gif/i.test(type) ? 0 : /webp/i.test(type) ? 1 : 2);
+      return candidates
+        .map((candidate, order) => ({ candidate, order }))
+        .sort((a, b) => (b.candidate.width || 0) - (a.candidate.width || 0) ||
+          (b.candidate.density || 0) - (a.candidate.density || 0) ||
+          typeRank(a.candidate.type) - typeRank(b.candidate.type) || a.order - b.order)
+        .map(({ candidate }) => candidate);
+    }
+
+    // {url, width, candidates} for the largest version, or null when the image has no usable URL
+    static resolve(img) {
+      if (!img || img.tagName !== 'IMG') {return null;}
+      const candidates = SrcsetResolver.candidates(img);
+      if (candidates.length === 0) {return null;}
+
+      // With nothing to compare by, trust what the browser chose to show
+      const [top] = candidates;
+      const best = top.width || top.density > 1 ? top : (candidates.find(candidate => candidate.url === img.currentSrc) || top);
+      return { url: best.url, width: best.width, candidates };
+    }
+  }
+
+  window.SrcsetResolver = SrcsetResolver;
+}
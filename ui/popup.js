@@ -14,7 +14,8 @@ class StepTwoPopup {
     this.settings = {
       autoDetect: true,
       downloadImages: true,
-      smartFilter: true
+      smartFilter: true,
+      onlyNew: false
     };
 
     this.init();
@@ -101,12 +102,14 @@ class StepTwoPopup {
       const result = await chrome.storage.local.get([
         'autoDetectGalleries',
         'downloadImages', 
-        'smartFiltering'
+        'smartFiltering',
+        'onlyNewItems'
       ]);
             
       this.settings.autoDetect = result.autoDetectGalleries !== false;
       this.settings.downloadImages = result.downloadImages !== false;
       this.settings.smartFilter = result.smartFiltering !== false;
+      this.settings.onlyNew = result.onlyNewItems === true;
             
       this.updateToggleSwitches();
     } catch (error) {
@@ -119,7 +122,8 @@ class StepTwoPopup {
       await chrome.storage.local.set({
         autoDetectGalleries: this.settings.autoDetect,
         downloadImages: this.settings.downloadImages,
-        smartFiltering: this.settings.smartFilter
+        smartFiltering: this.settings.smartFilter,
+        onlyNewItems: this.settings.onlyNew
       });
     } catch (error) {
       console.error('Failed to save settings:', error);
@@ -130,7 +134,8 @@ class StepTwoPopup {
     const toggles = {
       autoDetectToggle: this.settings.autoDetect,
       downloadToggle: this.settings.downloadImages,
-      smartFilterToggle: this.settings.smartFilter
+      smartFilterToggle: this.settings.smartFilter,
+      onlyNewToggle: this.settings.onlyNew
     };
 
     Object.entries(toggles).forEach(([id, active]) => {
@@ -196,7 +201,7 @@ class StepTwoPopup {
     }
 
     // Toggle switches
-    const toggles = ['autoDetectToggle', 'downloadToggle', 'smartFilterToggle'];
+    const toggles = ['autoDetectToggle', 'downloadToggle', 'smartFilterToggle', 'onlyNewToggle'];
     toggles.forEach(toggleId => {
       const toggle = document.getElementById(toggleId);
       if (toggle) {
@@ -266,7 +271,7 @@ class StepTwoPopup {
         try {
           await chrome.scripting.executeScript({
             target: { tabId: this.currentTab.id },
-            files: ['content/injector.js']
+            files: ['content/srcset-resolver.js', 'content/injector.js', 'content/download-badges.js']
           });
                     
           // Wait a bit for injection
@@ -283,7 +288,9 @@ class StepTwoPopup {
 
       if (response && response.success) {
         this.galleryData.itemCount = response.itemCount || 0;
-        this.galleryData.pageStatus = `Found ${response.itemCount || 0} items`;
+        this.galleryData.pageStatus = response.downloadedCount
+          ? `Found ${response.newCount} new items (${response.downloadedCount} already downloaded)`
+          : `Found ${response.itemCount || 0} items`;
         this.galleryData.lastScan = Date.now();
       } else {
         this.galleryData.pageStatus = 'Scan completed';
@@ -384,7 +391,7 @@ class StepTwoPopup {
       try {
         await chrome.scripting.executeScript({
           target: { tabId: this.currentTab.id },
-          files: ['content/injector.js']
+          files: ['content/download-badges.js', 'content/picker.js']
         });
         
         // Wait for injection to complete
@@ -395,7 +402,8 @@ class StepTwoPopup {
 
       // Send message to enable selector mode
       const response = await chrome.tabs.sendMessage(this.currentTab.id, {
-        action: 'enableSelectorMode'
+        action: 'enableSelectorMode',
+        onlyNew: this.settings.onlyNew
       });
       
       if (response && response.success) {
@@ -427,6 +435,9 @@ class StepTwoPopup {
       case 'smartFilterToggle':
         this.settings.smartFilter = !isActive;
         break;
+      case 'onlyNewToggle':
+        this.settings.onlyNew = !isActive;
+        break;
     }
 
     // Save settings
@@ -23,6 +23,13 @@ class StepTwoDashboard {
     
     this.activityLog = [];
     this.queueItems = [];
+    this.importedItemCount = 0; // Items of a reloaded session, held by the service worker
+    this.draggedJobId = null;
+    this.schedule = null;
+    this.budget = null;
+    this.historyEntries = [];
+    this.historyHasMore = false;
+    this.exportTemplates = []; // Saved column templates, see background/export-templates.js
     this.settings = {
       concurrency: 3,
       retryAttempts: 2,
@@ -30,9 +37,13 @@ class StepTwoDashboard {
       minWidth: 100,
       minHeight: 100,
       skipDuplicates: true,
+      nearDuplicates: false,
+      duplicatePolicy: 'largest-area',
+      onlyNew: false,
       formats: { jpeg: true, png: true, webp: true, gif: true },
       downloadFolder: '',
       filenameMask: '*name* - *num*.*ext*',
+      conflictPolicy: 'uniquify',
       autoSiteProfiles: true
     };
 
@@ -70,6 +81,29 @@ class StepTwoDashboard {
       // Check connection status
       await this.checkConnection();
       
+      // Load saved download sessions
+      await this.loadDownloadSessions();
+      
+      // Show the current download queue
+      await this.loadQueue();
+      
+      // Load download windows and start the countdown
+      await this.loadSchedule();
+      this.startScheduleCountdown();
+      
+      // Summarise the checksum manifest
+      await this.loadManifestSummary();
+      
+      // Show bandwidth caps and usage
+      await this.loadBudget();
+      
+      // Fill the export column template picker
+      await this.loadExportTemplates();
+      
+      // Show the metadata sidecar format
+      await this.loadSidecarFormat();
+      await this.loadEmbedSettings();
+      
       // Start periodic updates
       this.startPeriodicUpdates();
       
@@ -126,7 +160,12 @@ class StepTwoDashboard {
     const libraries = {
       vue: '../lib/vue.global.prod.js',
       papaparse: '../lib/papaparse.min.js', 
-      xlsx: '../lib/xlsx.full.min.js'
+      xlsx: '../lib/xlsx.full.min.js',
+      jszip: '../lib/jszip.min.js',
+      xlsxDecorator: '../background/xlsx-sheet-decorator.js',
+      pdfWriter: '../background/pdf-writer.js',
+      exportTemplates: '../background/export-templates.js',
+      exportSystem: '../background/advanced-export-system.js'
     };
 
     if (!libraries[libName]) {
@@ -263,6 +302,9 @@ class StepTwoDashboard {
         }
         
         this.currentTab = targetTab;
+        if (targetTab === 'history') {
+          this.searchHistory();
+        }
         this.logActivity(`Switched to ${targetTab} tab`);
         this.announceStatus(`Switched to ${targetTab} tab`);
       });
@@ -292,6 +334,15 @@ class StepTwoDashboard {
         } else if (message.type === 'PREVIEW_RESULTS' && message.data) {
           this.handlePreviewResults(message.data);
           sendResponse({ received: true });
+        } else if (message.type === 'EXPORT_ZIP_PROGRESS' && message.progress) {
+          const { processed, total, volume } = message.progress;
+          this.announceStatus(`Zipping images: ${processed}/${total} (volume ${volume})`);
+        } else if (message.type === 'EXPORT_NDJSON_PROGRESS' && message.progress) {
+          const { processed, total } = message.progress;
+          this.announceStatus(`Writing session: ${processed}/${total} items`);
+        } else if (message.type === 'EXPORT_WARC_PROGRESS' && message.progress) {
+          const { processed, total } = message.progress;
+          this.announceStatus(`Archiving images: ${processed}/${total}`);
         }
       });
     }
@@ -307,6 +358,12 @@ class StepTwoDashboard {
       this.smartSelectorActive = true;
       this.updateSmartSelectorUI('active');
       
+      // The picker isn't a declared content script, so inject it (a second injection is a no-op)
+      await chrome.scripting.executeScript({
+        target: { tabId: this.sourceTab.id },
+        files: ['content/download-badges.js', 'content/picker.js']
+      });
+      
       // Send message to content script to start picker
       await chrome.tabs.sendMessage(this.sourceTab.id, {
         action: 'enableSelectorMode'
@@ -464,6 +521,28 @@ class StepTwoDashboard {
     }
   }
 
+  async previewFilenameMask() {
+    const preview = document.getElementById('filenamePreview');
+    if (!preview) {return;}
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'PREVIEW_FILENAME_MASK', mask: this.settings.filenameMask });
+      if (!response?.success) {return;}
+
+      preview.classList.toggle('invalid', !response.valid);
+      if (response.valid) {
+        preview.textContent = `Preview: ${response.preview}`;
+      } else {
+        // Positions are 0-based offsets into the mask
+        preview.textContent = response.errors
+          .map(error => `Character ${error.position + 1}: ${error.message}`)
+          .join(' • ');
+      }
+    } catch (error) {
+      console.error('Failed to preview filename mask:', error);
+    }
+  }
+
   async saveSettings() {
     try {
       await chrome.storage.local.set(this.settings);
@@ -483,7 +562,9 @@ class StepTwoDashboard {
       minWidth: this.settings.minWidth,
       minHeight: this.settings.minHeight,
       downloadFolder: this.settings.downloadFolder,
-      filenameMask: this.settings.filenameMask
+      filenameMask: this.settings.filenameMask,
+      conflictPolicy: this.settings.conflictPolicy,
+      duplicatePolicy: this.settings.duplicatePolicy
     };
 
     Object.entries(fields).forEach(([id, value]) => {
@@ -492,10 +573,13 @@ class StepTwoDashboard {
         element.value = value;
       }
     });
+    this.previewFilenameMask();
 
     // Update checkboxes
     const checkboxes = {
       skipDuplicates: this.settings.skipDuplicates,
+      nearDuplicates: this.settings.nearDuplicates,
+      onlyNew: this.settings.onlyNew,
       autoSiteProfiles: this.settings.autoSiteProfiles,
       formatJpeg: this.settings.formats.jpeg,
       formatPng: this.settings.formats.png,
@@ -539,6 +623,85 @@ class StepTwoDashboard {
     
     // Export handlers
     this.setupExportHandlers();
+    
+    // Download history handlers
+    const historySearch = document.getElementById('historySearch');
+    if (historySearch) {
+      historySearch.addEventListener('click', () => this.searchHistory());
+    }
+    const historyQuery = document.getElementById('historyQuery');
+    if (historyQuery) {
+      historyQuery.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {this.searchHistory();}
+      });
+    }
+    for (const id of ['historyHost', 'historyStatus', 'historyFrom', 'historyTo']) {
+      const field = document.getElementById(id);
+      if (field) {
+        field.addEventListener('change', () => this.searchHistory());
+      }
+    }
+    const historyMore = document.getElementById('historyMore');
+    if (historyMore) {
+      historyMore.addEventListener('click', () => this.searchHistory({ append: true }));
+    }
+    const historyClear = document.getElementById('historyClear');
+    if (historyClear) {
+      historyClear.addEventListener('click', () => this.clearHistory());
+    }
+
+    // Download session handlers
+    this.setupSessionHandlers();
+    
+    // Download window handlers
+    const saveSchedule = document.getElementById('saveSchedule');
+    if (saveSchedule) {
+      saveSchedule.addEventListener('click', () => this.saveSchedule());
+    }
+    
+    // Metadata sidecar format is stored by the background as soon as it changes
+    const sidecarFormat = document.getElementById('sidecarFormat');
+    if (sidecarFormat) {
+      sidecarFormat.addEventListener('change', async () => {
+        const response = await chrome.runtime.sendMessage({ type: 'SIDECAR_SET_FORMAT', format: sidecarFormat.value || null });
+        if (response?.success) {
+          this.logActivity(response.format ? `Writing .${response.format} sidecar files` : 'Sidecar files turned off', 'success');
+        } else {
+          this.logActivity(`Sidecar error: ${response?.error || 'No response from background'}`, 'error');
+        }
+      });
+    }
+    
+    // JPEG metadata embedding is also stored by the background on change
+    for (const id of ['embedMetadata', 'embedReplaceExisting']) {
+      const checkbox = document.getElementById(id);
+      if (checkbox) {
+        checkbox.addEventListener('change', () => this.saveEmbedSettings());
+      }
+    }
+    
+    // Bandwidth budget handlers
+    const saveBudget = document.getElementById('saveBudget');
+    if (saveBudget) {
+      saveBudget.addEventListener('click', () => this.saveBudget());
+    }
+    const resetBudgetSession = document.getElementById('budgetResetSession');
+    if (resetBudgetSession) {
+      resetBudgetSession.addEventListener('click', async () => {
+        const response = await chrome.runtime.sendMessage({ type: 'BUDGET_RESET_SESSION' });
+        if (response?.success) {
+          this.budget = response.budget;
+          this.renderBudget();
+          this.logActivity('Session bandwidth usage reset', 'success');
+        }
+      });
+    }
+    
+    // Checksum manifest handlers
+    this.setupManifestHandlers();
+    
+    // Export column template editor
+    this.setupExportTemplateHandlers();
   }
 
   setupSettingsHandlers() {
@@ -555,8 +718,32 @@ class StepTwoDashboard {
       }
     });
 
+    const conflictPolicy = document.getElementById('conflictPolicy');
+    if (conflictPolicy) {
+      conflictPolicy.addEventListener('change', () => {
+        this.settings.conflictPolicy = conflictPolicy.value;
+      });
+    }
+
+    const duplicatePolicy = document.getElementById('duplicatePolicy');
+    if (duplicatePolicy) {
+      duplicatePolicy.addEventListener('change', () => {
+        this.settings.duplicatePolicy = duplicatePolicy.value;
+      });
+    }
+
+    // Filename mask preview, validated by the background as you type
+    const filenameMask = document.getElementById('filenameMask');
+    if (filenameMask) {
+      filenameMask.addEventListener('input', () => {
+        this.settings.filenameMask = filenameMask.value;
+        clearTimeout(this.maskPreviewTimeout);
+        this.maskPreviewTimeout = setTimeout(() => this.previewFilenameMask(), 250);
+      });
+    }
+
     // Checkbox handlers
-    const checkboxFields = ['skipDuplicates', 'autoSiteProfiles', 'formatJpeg', 'formatPng', 'formatWebp', 'formatGif'];
+    const checkboxFields = ['skipDuplicates', 'nearDuplicates', 'onlyNew', 'autoSiteProfiles', 'formatJpeg', 'formatPng', 'formatWebp', 'formatGif'];
     
     checkboxFields.forEach(fieldId => {
       const field = document.getElementById(fieldId);
@@ -566,8 +753,8 @@ class StepTwoDashboard {
             const format = fieldId.replace('format', '').toLowerCase();
             this.settings.formats[format] = field.checked;
           } else {
-            const settingKey = fieldId.replace(/([A-Z])/g, '_$1').toLowerCase();
-            this.settings[settingKey] = field.checked;
+            // Settings keys match the element ids (camelCase)
+            this.settings[fieldId] = field.checked;
           }
         });
       }
@@ -642,6 +829,19 @@ class StepTwoDashboard {
       exportButton.addEventListener('click', () => this.handleExport());
     }
 
+    const importSessionBtn = document.getElementById('importSessionBtn');
+    const sessionFileInput = document.getElementById('sessionFileInput');
+    if (importSessionBtn && sessionFileInput) {
+      importSessionBtn.addEventListener('click', () => sessionFileInput.click());
+      sessionFileInput.addEventListener('change', async () => {
+        const file = sessionFileInput.files[0];
+        sessionFileInput.value = '';
+        if (file) {
+          await this.importSession(file);
+        }
+      });
+    }
+
     // Setup preview action handlers
     this.setupPreviewHandlers();
   }
@@ -860,8 +1060,21 @@ class StepTwoDashboard {
         
         if (format === 'xlsx') {
           await this.loadLibraryIfNeeded('xlsx');
+          await this.loadLibraryIfNeeded('jszip');
+          await this.loadLibraryIfNeeded('xlsxDecorator');
+          await this.loadLibraryIfNeeded('exportSystem');
+        } else if (format === 'pdf') {
+          await this.loadLibraryIfNeeded('pdfWriter');
+          await this.loadLibraryIfNeeded('exportSystem');
+        } else if (format === 'jsonld' || format === 'iiif') {
+          await this.loadLibraryIfNeeded('exportSystem');
+        } else if (format === 'xml' || format === 'html') {
+          await this.loadLibraryIfNeeded('exportSystem');
         } else if (format === 'csv') {
           await this.loadLibraryIfNeeded('papaparse');
+          if (this.selectedExportTemplate()) {
+            await this.loadLibraryIfNeeded('exportSystem');
+          }
         }
         
         this.announceStatus(`Exporting data as ${format.toUpperCase()}...`);
@@ -896,9 +1109,12 @@ class StepTwoDashboard {
     try {
       this.logActivity(`Exporting data in ${format.toUpperCase()} format...`);
       
-      // Get current items (this would be populated from scraping results)
+      // Get current items (this would be populated from scraping results). A reloaded session stays in the
+      // service worker's spill store, so formats built here read it back only for the export
+      const builtHere = !['zip', 'gallery', 'ndjson', 'warc', 'gallery-folder'].includes(format);
+      const items = builtHere && this.queueItems.length === 0 && this.importedItemCount > 0 ? await this.readSessionItems() : this.queueItems;
       const exportData = {
-        items: this.queueItems,
+        items,
         stats: this.stats,
         timestamp: new Date().toISOString(),
         sourceUrl: this.sourceTab?.url || 'unknown'
@@ -907,18 +1123,101 @@ class StepTwoDashboard {
       // Create export content based on format
       let content, filename, mimeType;
       
+      const columnTemplate = this.selectedExportTemplate();
+      
       switch (format) {
         case 'csv':
-          content = this.generateCSV(exportData);
-          filename = `steptwo-export-${Date.now()}.csv`;
-          mimeType = 'text/csv';
+          if (!columnTemplate) {
+            content = this.generateCSV(exportData);
+            filename = `steptwo-export-${Date.now()}.csv`;
+            mimeType = 'text/csv';
+            break;
+          }
+          // falls through - templated CSV comes from the export system, like XML and HTML
+        case 'xml':
+        case 'html': {
+          const exporter = new AdvancedExportSystem();
+          const result = await exporter.exportData(exportData, format, `steptwo-export-${Date.now()}`, { columnTemplate });
+          if (!result.success) {
+            throw new Error(result.error);
+          }
+          ({ data: content, filename, mimeType } = result);
           break;
-        case 'xlsx':
-          // Would use XLSX library if available
-          content = this.generateCSV(exportData); // Fallback to CSV
-          filename = `steptwo-export-${Date.now()}.csv`;
-          mimeType = 'text/csv';
+        }
+        case 'xlsx': {
+          const exporter = new AdvancedExportSystem({
+            includeThumbnails: document.getElementById('exportThumbnails')?.checked === true
+          });
+          const result = await exporter.exportData(exportData, 'xlsx', `steptwo-export-${Date.now()}`, { columnTemplate });
+          if (!result.success) {
+            throw new Error(result.error);
+          }
+          ({ data: content, filename, mimeType } = result);
           break;
+        }
+        case 'zip':
+        case 'gallery': {
+          // The service worker streams the image files to disk and saves each volume as it fills up
+          const volumeMb = parseInt(document.getElementById('zipVolumeSize')?.value, 10) || 2048;
+          const response = await chrome.runtime.sendMessage({
+            type: 'EXPORT_ZIP_VOLUMES',
+            filename: `steptwo-${format === 'gallery' ? 'gallery' : 'images'}-${Date.now()}`,
+            volumeSize: volumeMb * 1024 * 1024,
+            gallery: format === 'gallery'
+          });
+          if (!response?.success) {
+            throw new Error(response?.error || 'ZIP export failed');
+          }
+          const failedNote = response.failed ? `, ${response.failed} images could not be fetched` : '';
+          this.logActivity(`ZIP export saved in ${response.volumes.length} volume(s)${failedNote}`);
+          return;
+        }
+        case 'ndjson': {
+          // Streamed by the service worker from its spill store, so very large sessions don't run out of memory
+          const response = await chrome.runtime.sendMessage({ type: 'EXPORT_NDJSON' });
+          if (!response?.success) {
+            throw new Error(response?.error || 'NDJSON export failed');
+          }
+          this.logActivity(`Session with ${response.count} items saved as ${response.filename}`);
+          return;
+        }
+        case 'warc': {
+          const response = await chrome.runtime.sendMessage({ type: 'EXPORT_WARC', sourceUrl: this.sourceTab?.url });
+          if (!response?.success) {
+            throw new Error(response?.error || 'WARC export failed');
+          }
+          const failedNote = response.failed ? `, ${response.failed} resources could not be fetched` : '';
+          this.logActivity(`WARC archive saved as ${response.filename}${failedNote}`);
+          return;
+        }
+        case 'gallery-folder':
+          // The active (or most recent) download session; a session row can export its own
+          await this.exportGalleryFolder(null, this.sourceTab?.title);
+          return;
+        case 'pdf': {
+          // Contact sheet for clients to pick from: thumbnails with caption, source and size
+          const exporter = new AdvancedExportSystem();
+          const result = await exporter.exportData(exportData, 'pdf', `steptwo-contact-sheet-${Date.now()}`);
+          if (!result.success) {
+            throw new Error(result.error);
+          }
+          ({ data: content, filename, mimeType } = result);
+          break;
+        }
+        case 'jsonld':
+        case 'iiif': {
+          // Linked-data descriptions of the images for catalogues and IIIF viewers such as Mirador
+          const exporter = new AdvancedExportSystem();
+          const result = await exporter.exportData(exportData, format, `steptwo-${format === 'iiif' ? 'manifest' : 'images'}-${Date.now()}`, {
+            collectionTitle: this.sourceTab?.title,
+            iiifBaseUrl: document.getElementById('iiifBaseUrl')?.value.trim() || '' // Empty derives the IDs from the source page
+          });
+          if (!result.success) {
+            throw new Error(result.error);
+          }
+          ({ data: content, filename, mimeType } = result);
+          break;
+        }
         default:
           content = JSON.stringify(exportData, null, 2);
           filename = `steptwo-export-${Date.now()}.json`;
@@ -935,6 +1234,63 @@ class StepTwoDashboard {
     }
   }
 
+  // Reload a session saved in NDJSON format: the items become the current session in the service
+  // worker, so every export works on them as if they had just been scraped. Only the count is kept here
+  async importSession(file) {
+    try {
+      await this.loadLibraryIfNeeded('exportSystem');
+      this.announceStatus(`Loading session from ${file.name}...`);
+      
+      let loaded = 0;
+      let header = null;
+      let first = true;
+      const send = async (message) => {
+        const response = await chrome.runtime.sendMessage({ type: 'SESSION_IMPORT_CHUNK', reset: first, ...message });
+        first = false;
+        if (!response?.success) {
+          throw new Error(response?.error || 'Service worker rejected the session');
+        }
+      };
+      
+      const { count } = await AdvancedExportSystem.readNDJSONSession(file, {
+        onHeader: value => {header = value;},
+        onChunk: async (chunk) => {
+          await send({ items: chunk });
+          loaded += chunk.length;
+          this.announceStatus(`Loading session: ${loaded} items`);
+        }
+      });
+      await send({ items: [], done: true, header });
+      
+      this.queueItems = [];
+      this.importedItemCount = count;
+      this.stats.totalItems = count;
+      this.updateStatsDisplay();
+      const source = header?.sourceUrl ? ` from ${header.sourceUrl}` : '';
+      this.logActivity(`Loaded ${count} items${source} (${file.name})`);
+      this.announceStatus(`Session loaded: ${count} items`);
+    } catch (error) {
+      console.error('Session import failed:', error);
+      this.logActivity(`Session import failed: ${error.message}`, 'error');
+    }
+  }
+
+  async readSessionItems(pageSize = 2000) {
+    const items = [];
+    for (;;) {
+      const response = await chrome.runtime.sendMessage({ type: 'SESSION_ITEMS_PAGE', offset: items.length, limit: pageSize }); // eslint-disable-line no-await-in-loop
+      if (!response?.success) {
+        throw new Error(response?.error || 'Could not read the session items');
+      }
+      for (const item of response.items) {
+        items.push(item);
+      }
+      if (response.items.length < pageSize || items.length >= response.total) {
+        return items;
+      }
+    }
+  }
+
   generateCSV(data) {
     const headers = ['Image URL', 'Thumbnail URL', 'Link', 'Text', 'Index', 'Source URL'];
     const rows = [headers];
@@ -1085,6 +1441,8 @@ class StepTwoDashboard {
     setInterval(() => {
       this.updateStatsDisplay();
       this.checkConnection();
+      this.loadQueue();
+      this.loadBudget();
     }, 5000);
   }
 
@@ -1114,6 +1472,1029 @@ class StepTwoDashboard {
     }
   }
 
+  async loadQueue() {
+    // Don't re-render underneath an in-progress drag
+    if (this.draggedJobId) {return;}
+
+    try {
+      const snapshot = await chrome.runtime.sendMessage({ type: 'QUEUE_LIST', limit: 100 });
+      if (snapshot?.success) {
+        this.renderQueue(snapshot);
+      }
+    } catch (error) {
+      console.error('Failed to load download queue:', error);
+    }
+  }
+
+  async sendQueueCommand(message, description) {
+    try {
+      const response = await chrome.runtime.sendMessage(message);
+      if (!response?.success) {
+        throw new Error(response?.error || 'Job is no longer queued');
+      }
+      this.logActivity(description);
+    } catch (error) {
+      console.error(`${message.type} failed:`, error);
+      this.logActivity(`Queue error: ${error.message}`, 'error');
+    }
+    await this.loadQueue();
+  }
+
+  renderQueue(snapshot) {
+    const container = document.getElementById('queueContainer');
+    if (!container) {return;}
+
+    container.innerHTML = '';
+
+    if (snapshot.active.length === 0 && snapshot.total === 0) {
+      const empty = document.createElement('p');
+      empty.style.cssText = 'color: #666; text-align: center; padding: 20px;';
+      empty.textContent = 'No active downloads';
+      container.appendChild(empty);
+      return;
+    }
+
+    const summary = document.createElement('div');
+    summary.className = 'font-size-12 color-666 margin-bottom-8';
+    summary.textContent = `${snapshot.active.length} downloading • ${snapshot.total} queued ` +
+      `(${snapshot.lanes.urgent} urgent, ${snapshot.lanes.normal} normal, ${snapshot.lanes.background} background` +
+      `${snapshot.held ? `, ${snapshot.held} held` : ''})`;
+    container.appendChild(summary);
+
+    snapshot.active.forEach(job => {
+      container.appendChild(this.createQueueRow(job, { active: true }));
+    });
+
+    snapshot.queued.forEach(job => {
+      container.appendChild(this.createQueueRow(job, { active: false }));
+    });
+
+    if (snapshot.total > snapshot.queued.length) {
+      const more = document.createElement('div');
+      more.className = 'font-size-11 color-888 text-center margin-top-8';
+      more.textContent = `… and ${snapshot.total - snapshot.queued.length} more`;
+      container.appendChild(more);
+    }
+  }
+
+  createQueueRow(job, { active }) {
+    const row = document.createElement('div');
+    row.className = `queue-job priority-${job.priority}${job.held ? ' held' : ''}`;
+
+    const label = document.createElement('div');
+    label.className = 'queue-job-label';
+    label.textContent = job.filename || job.url;
+    label.title = job.url;
+
+    if (active) {
+      const status = document.createElement('span');
+      status.className = 'priority-badge';
+      status.textContent = '⬇️ downloading';
+      row.append(status, label);
+      return row;
+    }
+
+    row.draggable = true;
+    row.addEventListener('dragstart', (event) => {
+      this.draggedJobId = job.id;
+      row.classList.add('dragging');
+      event.dataTransfer.effectAllowed = 'move';
+    });
+    row.addEventListener('dragend', () => {
+      this.draggedJobId = null;
+      row.classList.remove('dragging');
+    });
+    row.addEventListener('dragover', (event) => {
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'move';
+    });
+    row.addEventListener('drop', (event) => {
+      event.preventDefault();
+      const jobId = this.draggedJobId;
+      this.draggedJobId = null;
+      if (jobId && jobId !== job.id) {
+        this.sendQueueCommand({ type: 'QUEUE_MOVE_JOB', jobId, toIndex: job.index }, 'Queue reordered');
+      }
+    });
+
+    const priority = document.createElement('select');
+    priority.className = 'priority-badge';
+    priority.title = 'Priority lane';
+    ['urgent', 'normal', 'background'].forEach(lane => {
+      const option = document.createElement('option');
+      option.value = lane;
+      option.textContent = lane;
+      option.selected = lane === job.priority;
+      priority.appendChild(option);
+    });
+    priority.addEventListener('change', () => {
+      this.sendQueueCommand({ type: 'QUEUE_SET_PRIORITY', jobId: job.id, priority: priority.value }, `Moved to ${priority.value} lane: ${label.textContent}`);
+    });
+
+    const frontBtn = document.createElement('button');
+    frontBtn.className = 'btn btn-secondary btn-sm';
+    frontBtn.textContent = '⏫';
+    frontBtn.title = 'Move to front';
+    frontBtn.addEventListener('click', () => {
+      this.sendQueueCommand({ type: 'QUEUE_MOVE_TO_FRONT', jobId: job.id }, `Moved to front: ${label.textContent}`);
+    });
+
+    const holdBtn = document.createElement('button');
+    holdBtn.className = 'btn btn-secondary btn-sm';
+    holdBtn.textContent = job.held ? '▶️' : '⏸️';
+    holdBtn.title = job.held ? 'Release job' : 'Hold job';
+    holdBtn.addEventListener('click', () => {
+      this.sendQueueCommand({ type: 'QUEUE_HOLD_JOB', jobId: job.id, held: !job.held },
+        `${job.held ? 'Released' : 'Held'}: ${label.textContent}`);
+    });
+
+    row.append(priority, label, frontBtn, holdBtn);
+    return row;
+  }
+
+  async loadSchedule() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'SCHEDULE_GET' });
+      if (response?.success) {
+        this.schedule = response.schedule;
+        this.updateScheduleForm();
+        this.updateScheduleStatus();
+      }
+    } catch (error) {
+      console.error('Failed to load download schedule:', error);
+    }
+  }
+
+  async saveSchedule() {
+    const enabled = document.getElementById('scheduleEnabled')?.checked || false;
+    const windows = (document.getElementById('scheduleWindows')?.value || '')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'SCHEDULE_SET', schedule: { enabled, windows } });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
+
+      this.schedule = response.schedule;
+      this.updateScheduleForm();
+      this.updateScheduleStatus();
+      this.logActivity(enabled ? `Download schedule saved (${windows.length} windows)` : 'Download schedule disabled', 'success');
+    } catch (error) {
+      console.error('Failed to save download schedule:', error);
+      this.logActivity(`Schedule error: ${error.message}`, 'error');
+    }
+  }
+
+  updateScheduleForm() {
+    const enabled = document.getElementById('scheduleEnabled');
+    const windows = document.getElementById('scheduleWindows');
+    if (!this.schedule) {return;}
+
+    if (enabled) {
+      enabled.checked = this.schedule.enabled;
+    }
+    if (windows) {
+      const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+      windows.value = this.schedule.windows.map(window => [
+        window.host,
+        window.days ? window.days.map(day => dayNames[day]).join(',') : null,
+        `${window.start}-${window.end}`
+      ].filter(Boolean).join(' ')).join('\n');
+    }
+  }
+
+  startScheduleCountdown() {
+    setInterval(() => {
+      // Refresh from the background once a window we are counting down to has opened or closed
+      const changes = [this.schedule?.nextChangeAt, ...Object.values(this.schedule?.hosts || {}).map(host => host.nextChangeAt)]
+        .filter(Boolean);
+      if (changes.length > 0 && Date.now() >= Math.min(...changes)) {
+        this.loadSchedule();
+        return;
+      }
+      this.updateScheduleStatus();
+    }, 1000);
+  }
+
+  formatCountdown(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = value => String(value).padStart(2, '0');
+    return `${hours}:${pad(minutes)}:${pad(seconds)}`;
+  }
+
+  updateScheduleStatus() {
+    const status = document.getElementById('scheduleStatus');
+    if (!status) {return;}
+
+    if (!this.schedule?.enabled) {
+      status.style.display = 'none';
+      return;
+    }
+
+    status.style.display = 'block';
+    const next = this.schedule.nextChangeAt;
+    const when = next ? new Date(next).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' }) : null;
+
+    if (this.schedule.open) {
+      status.textContent = next ?
+        `🕐 Download window open — closes ${when} (in ${this.formatCountdown(next - Date.now())})` :
+        '🕐 Download window open';
+    } else {
+      status.textContent = next ?
+        `🌙 Quiet hours — next window opens ${when} (in ${this.formatCountdown(next - Date.now())})` :
+        '🌙 Quiet hours — no upcoming download window';
+    }
+
+    const closedHosts = Object.entries(this.schedule.hosts || {}).filter(([, host]) => !host.open);
+    if (closedHosts.length > 0) {
+      status.textContent += ` • held: ${closedHosts.map(([name]) => name).join(', ')}`;
+    }
+  }
+
+  async loadSidecarFormat() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'SIDECAR_GET' });
+      const select = document.getElementById('sidecarFormat');
+      if (response?.success && select) {
+        select.value = response.format || '';
+      }
+    } catch (error) {
+      console.error('Failed to load sidecar format:', error);
+    }
+  }
+
+  async loadEmbedSettings() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'EMBED_METADATA_GET' });
+      if (response?.success) {
+        this.renderEmbedSettings(response.settings);
+      }
+    } catch (error) {
+      console.error('Failed to load metadata embedding settings:', error);
+    }
+  }
+
+  renderEmbedSettings(settings) {
+    const enabled = document.getElementById('embedMetadata');
+    const replaceExisting = document.getElementById('embedReplaceExisting');
+    if (enabled) {enabled.checked = !!settings.enabled;}
+    if (replaceExisting) {
+      replaceExisting.checked = !!settings.replaceExisting;
+      replaceExisting.disabled = !settings.enabled;
+    }
+  }
+
+  async saveEmbedSettings() {
+    const settings = {
+      enabled: !!document.getElementById('embedMetadata')?.checked,
+      replaceExisting: !!document.getElementById('embedReplaceExisting')?.checked
+    };
+    const response = await chrome.runtime.sendMessage({ type: 'EMBED_METADATA_SET', settings });
+    if (response?.success) {
+      this.renderEmbedSettings(response.settings);
+      this.logActivity(response.settings.enabled ? 'Embedding captions into saved JPEGs' : 'JPEG caption embedding turned off', 'success');
+    } else {
+      this.logActivity(`Metadata embedding error: ${response?.error || 'No response from background'}`, 'error');
+    }
+  }
+
+  async loadBudget() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'BUDGET_GET' });
+      if (response?.success) {
+        const first = !this.budget;
+        this.budget = response.budget;
+        this.renderBudget(first);
+      }
+    } catch (error) {
+      console.error('Failed to load bandwidth budget:', error);
+    }
+  }
+
+  async saveBudget() {
+    const megabytes = id => Math.max(0, parseFloat(document.getElementById(id)?.value) || 0);
+    const limits = {
+      sessionCap: Math.round(megabytes('budgetSessionCap') * 1024 * 1024),
+      dailyCap: Math.round(megabytes('budgetDailyCap') * 1024 * 1024)
+    };
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'BUDGET_SET', limits });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
+
+      this.budget = response.budget;
+      this.renderBudget(true);
+      this.logActivity('Bandwidth budget saved', 'success');
+    } catch (error) {
+      console.error('Failed to save bandwidth budget:', error);
+      this.logActivity(`Budget error: ${error.message}`, 'error');
+    }
+  }
+
+  // Only overwrite the cap inputs when asked, so polling doesn't clobber an edit in progress
+  renderBudget(updateInputs = false) {
+    if (!this.budget) {return;}
+    const { limits, usage, exceeded } = this.budget;
+
+    if (updateInputs) {
+      const sessionInput = document.getElementById('budgetSessionCap');
+      const dailyInput = document.getElementById('budgetDailyCap');
+      if (sessionInput) {sessionInput.value = Math.round(limits.sessionCap / (1024 * 1024));}
+      if (dailyInput) {dailyInput.value = Math.round(limits.dailyCap / (1024 * 1024));}
+    }
+
+    const container = document.getElementById('budgetUsage');
+    if (!container) {return;}
+    container.innerHTML = '';
+
+    const line = (label, used, cap) => {
+      const row = document.createElement('div');
+      row.textContent = cap ?
+        `${label}: ${this.formatBytes(used)} of ${this.formatBytes(cap)} (${Math.min(100, Math.round(used / cap * 100))}%)` :
+        `${label}: ${this.formatBytes(used)}`;
+      return row;
+    };
+    container.append(
+      line('This session', usage.sessionBytes, limits.sessionCap),
+      line('Today', usage.dayBytes, limits.dailyCap)
+    );
+
+    const hosts = Object.entries(usage.sessionHosts || {}).sort((a, b) => b[1] - a[1]).slice(0, 5);
+    if (hosts.length > 0) {
+      const hostList = document.createElement('div');
+      hostList.style.color = '#6b7280';
+      hostList.textContent = hosts.map(([host, bytes]) => `${host} ${this.formatBytes(bytes)}`).join(' • ');
+      container.appendChild(hostList);
+    }
+
+    if (exceeded) {
+      const warning = document.createElement('div');
+      warning.style.color = '#dc2626';
+      warning.textContent = `⏸ ${exceeded === 'session' ? 'Session' : 'Daily'} cap reached — downloads are paused`;
+      container.appendChild(warning);
+    }
+  }
+
+  formatBytes(bytes) {
+    if (!bytes) {return '0 B';}
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const index = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+    return `${parseFloat((bytes / Math.pow(1024, index)).toFixed(1))} ${units[index]}`;
+  }
+
+  async loadExportTemplates() {
+    try {
+      await this.loadLibraryIfNeeded('exportTemplates');
+      this.exportTemplates = await new ExportTemplates().list();
+      this.renderExportTemplates();
+    } catch (error) {
+      console.error('Failed to load export templates:', error);
+    }
+  }
+
+  renderExportTemplates(selected = document.getElementById('exportTemplate')?.value) {
+    const select = document.getElementById('exportTemplate');
+    if (!select) {return;}
+
+    select.innerHTML = '<option value="">Default columns</option>';
+    this.exportTemplates.forEach(template => {
+      const option = document.createElement('option');
+      option.value = template.name;
+      option.textContent = `${template.name} (${template.columns.length} columns)`;
+      select.appendChild(option);
+    });
+    select.value = this.exportTemplates.some(template => template.name === selected) ? selected : '';
+  }
+
+  // The template chosen for this export, or null for the built-in columns
+  selectedExportTemplate() {
+    const name = document.getElementById('exportTemplate')?.value;
+    return name ? this.exportTemplates.find(template => template.name === name) || null : null;
+  }
+
+  setupExportTemplateHandlers() {
+    const select = document.getElementById('exportTemplate');
+    const nameInput = document.getElementById('exportTemplateName');
+    const columnsInput = document.getElementById('exportTemplateColumns');
+    const status = document.getElementById('exportTemplateStatus');
+    if (!select || !nameInput || !columnsInput) {return;}
+
+    const showStatus = (message, isError = false) => {
+      if (!status) {return;}
+      status.textContent = message;
+      status.style.color = isError ? '#dc2626' : '';
+    };
+
+    // Choosing a template opens it in the editor
+    select.addEventListener('change', () => {
+      const template = this.selectedExportTemplate();
+      nameInput.value = template?.name || '';
+      columnsInput.value = template ? ExportTemplates.format(template.columns) : '';
+      showStatus('');
+    });
+
+    document.getElementById('saveExportTemplate')?.addEventListener('click', async () => {
+      const { columns, errors } = ExportTemplates.parse(columnsInput.value);
+      if (errors.length > 0) {
+        showStatus(errors.map(error => `Line ${error.line}: ${error.message}`).join(' • '), true);
+        return;
+      }
+      try {
+        const template = await new ExportTemplates().save(nameInput.value, columns);
+        this.exportTemplates = await new ExportTemplates().list();
+        this.renderExportTemplates(template.name);
+        showStatus(`Saved "${template.name}" with ${columns.length} columns`);
+        this.logActivity(`Export template "${template.name}" saved`, 'success');
+      } catch (error) {
+        showStatus(error.message, true);
+      }
+    });
+
+    document.getElementById('deleteExportTemplate')?.addEventListener('click', async () => {
+      const name = nameInput.value.trim();
+      if (!name || !this.exportTemplates.some(template => template.name === name)) {
+        showStatus('Choose a saved template to delete', true);
+        return;
+      }
+      if (!confirm(`Delete the export template "${name}"?`)) {return;}
+      await new ExportTemplates().remove(name);
+      this.exportTemplates = await new ExportTemplates().list();
+      this.renderExportTemplates('');
+      nameInput.value = '';
+      columnsInput.value = '';
+      showStatus(`Deleted "${name}"`);
+    });
+  }
+
+  setupManifestHandlers() {
+    document.querySelectorAll('[data-manifest-format]').forEach(button => {
+      button.addEventListener('click', () => this.exportManifest(button.dataset.manifestFormat));
+    });
+
+    const verifyBtn = document.getElementById('manifestVerifyBtn');
+    if (verifyBtn) {
+      verifyBtn.addEventListener('click', async () => {
+        const response = await chrome.runtime.sendMessage({ type: 'CHECKSUM_MANIFEST_GET' });
+        if (response?.success) {
+          await this.verifyManifestFolder(response.entries);
+        }
+      });
+    }
+
+    const loadBtn = document.getElementById('manifestLoadBtn');
+    const fileInput = document.getElementById('manifestFileInput');
+    if (loadBtn && fileInput) {
+      loadBtn.addEventListener('click', () => fileInput.click());
+      fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) {return;}
+        try {
+          const entries = this.parseManifestFile(await file.text());
+          this.logActivity(`Loaded ${entries.length} checksums from ${file.name}`);
+          await this.verifyManifestFolder(entries);
+        } catch (error) {
+          this.logActivity(`Manifest error: ${error.message}`, 'error');
+        }
+      });
+    }
+
+    const clearBtn = document.getElementById('manifestClearBtn');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', async () => {
+        if (!confirm('Clear the checksum manifest? Export it first if you still need it.')) {return;}
+        await chrome.runtime.sendMessage({ type: 'CHECKSUM_MANIFEST_CLEAR' });
+        this.logActivity('Checksum manifest cleared');
+        await this.loadManifestSummary();
+      });
+    }
+  }
+
+  async loadManifestSummary() {
+    const summary = document.getElementById('manifestSummary');
+    if (!summary) {return;}
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'CHECKSUM_MANIFEST_GET' });
+      if (!response?.success) {return;}
+
+      const entries = response.entries;
+      const hashed = entries.filter(entry => entry.sha256).length;
+      summary.textContent = entries.length ?
+        `${entries.length} files recorded • ${hashed} with SHA-256 • ${entries.length - hashed} without` :
+        'No files recorded yet';
+    } catch (error) {
+      console.error('Failed to load checksum manifest:', error);
+    }
+  }
+
+  async exportManifest(format) {
+    try {
+      const filename = `steptwo-manifest-${new Date().toISOString().slice(0, 10)}`;
+      const response = await chrome.runtime.sendMessage({ type: 'CHECKSUM_MANIFEST_EXPORT', format, filename });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
+
+      this.downloadFile(response.content, response.filename, response.mimeType);
+      this.logActivity(`Exported checksum manifest (${response.count} files) as ${format}`, 'success');
+    } catch (error) {
+      console.error('Manifest export failed:', error);
+      this.logActivity(`Manifest export error: ${error.message}`, 'error');
+    }
+  }
+
+  // Accepts our JSON manifest export or sha256sum output
+  parseManifestFile(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{')) {
+      const parsed = JSON.parse(trimmed);
+      if (!Array.isArray(parsed.entries)) {
+        throw new Error('JSON file is not a checksum manifest');
+      }
+      return parsed.entries;
+    }
+
+    const entries = [];
+    trimmed.split(/\r?\n/).forEach(line => {
+      const match = /^([0-9a-f]{64}) [ *](.+)$/i.exec(line.trim());
+      if (match) {
+        entries.push({ sha256: match[1].toLowerCase(), relativePath: match[2] });
+      }
+    });
+    if (entries.length === 0) {
+      throw new Error('No sha256sum lines found');
+    }
+    return entries;
+  }
+
+  async collectFiles(directory, prefix = '', files = new Map()) {
+    for await (const [name, handle] of directory.entries()) {
+      const path = prefix ? `${prefix}/${name}` : name;
+      if (handle.kind === 'directory') {
+        await this.collectFiles(handle, path, files);
+      } else {
+        files.set(path, handle);
+      }
+    }
+    return files;
+  }
+
+  // Hash every manifest file found under a folder the user picks
+  async verifyManifestFolder(entries) {
+    if (!window.showDirectoryPicker) {
+      this.logActivity('Folder verification needs the File System Access API', 'error');
+      return;
+    }
+
+    let directory;
+    try {
+      directory = await window.showDirectoryPicker({ mode: 'read' });
+    } catch {
+      return; // Picker cancelled
+    }
+
+    this.logActivity(`Verifying ${entries.length} files in ${directory.name}...`);
+    const files = await this.collectFiles(directory);
+
+    // The picked folder may be the downloads folder or any folder inside it
+    const byName = new Map();
+    for (const path of files.keys()) {
+      const name = path.split('/').pop();
+      if (!byName.has(name)) {byName.set(name, []);}
+      byName.get(name).push(path);
+    }
+
+    const results = { verified: 0, mismatched: [], missing: [], unhashed: 0 };
+    const matched = new Set();
+
+    for (const entry of entries) {
+      if (!entry.sha256) {
+        results.unhashed++;
+        continue;
+      }
+
+      const name = entry.relativePath.split('/').pop();
+      const path = (byName.get(name) || [])
+        .filter(candidate => entry.relativePath.endsWith(candidate) || candidate.endsWith(entry.relativePath))
+        .sort((a, b) => b.length - a.length)[0];
+
+      if (!path) {
+        results.missing.push(entry.relativePath);
+        continue;
+      }
+
+      matched.add(path);
+      const file = await files.get(path).getFile();
+      const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+      const sha256 = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+
+      if (sha256 === entry.sha256) {
+        results.verified++;
+      } else {
+        results.mismatched.push(entry.relativePath);
+      }
+    }
+
+    results.untracked = files.size - matched.size;
+    this.renderManifestResults(results);
+
+    const problems = results.mismatched.length + results.missing.length;
+    this.logActivity(
+      `Manifest check: ${results.verified} verified, ${results.mismatched.length} mismatched, ${results.missing.length} missing`,
+      problems ? 'error' : 'success'
+    );
+  }
+
+  renderManifestResults(results) {
+    const container = document.getElementById('manifestResults');
+    if (!container) {return;}
+
+    container.innerHTML = '';
+
+    const summary = document.createElement('div');
+    summary.className = 'font-weight-600 margin-bottom-8';
+    summary.textContent = `✅ ${results.verified} verified • ❌ ${results.mismatched.length} mismatched • ` +
+      `❓ ${results.missing.length} missing • ${results.unhashed} without checksum • ${results.untracked} untracked files`;
+    container.appendChild(summary);
+
+    const problems = [
+      ...results.mismatched.map(path => `❌ ${path} — checksum does not match`),
+      ...results.missing.map(path => `❓ ${path} — not found in folder`)
+    ];
+
+    problems.slice(0, 50).forEach(text => {
+      const row = document.createElement('div');
+      row.className = 'progress-item font-size-11';
+      row.textContent = text;
+      container.appendChild(row);
+    });
+
+    if (problems.length > 50) {
+      const more = document.createElement('div');
+      more.className = 'font-size-11 color-888';
+      more.textContent = `… and ${problems.length - 50} more`;
+      container.appendChild(more);
+    }
+  }
+
+  setupSessionHandlers() {
+    const actions = {
+      sessionStartBtn: () => this.startDownloadSession(),
+      sessionCheckpointBtn: () => this.sendSessionCommand('DOWNLOAD_SESSION_CHECKPOINT', 'Checkpoint saved'),
+      sessionPauseBtn: () => this.sendSessionCommand('DOWNLOAD_SESSION_PAUSE', 'Session paused'),
+      sessionCloseBtn: () => this.sendSessionCommand('DOWNLOAD_SESSION_CLOSE', 'Session closed')
+    };
+
+    Object.entries(actions).forEach(([id, handler]) => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.addEventListener('click', handler);
+      }
+    });
+  }
+
+  getSessionName() {
+    const input = document.getElementById('sessionName');
+    const name = input ? input.value.trim() : '';
+    if (input) {input.value = '';}
+    return name || null;
+  }
+
+  async startDownloadSession() {
+    const formats = this.settings.formats || {};
+    const allowedTypes = [];
+    if (formats.jpeg) {allowedTypes.push('jpg', 'jpeg');}
+    if (formats.png) {allowedTypes.push('png');}
+    if (formats.webp) {allowedTypes.push('webp');}
+    if (formats.gif) {allowedTypes.push('gif');}
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'DOWNLOAD_SESSION_START',
+        options: {
+          name: this.getSessionName(),
+          sourcePages: this.sourceTab?.url ? [this.sourceTab.url] : [],
+          filters: {
+            minWidth: this.settings.minWidth,
+            minHeight: this.settings.minHeight,
+            skipDuplicates: this.settings.skipDuplicates,
+            nearDuplicates: this.settings.nearDuplicates,
+            duplicatePolicy: this.settings.duplicatePolicy,
+            onlyNew: this.settings.onlyNew,
+            allowedTypes
+          },
+          filenameMask: this.settings.filenameMask,
+          conflictPolicy: this.settings.conflictPolicy
+        }
+      });
+
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
+
+      this.logActivity(`Session started: ${response.session.name}`, 'success');
+      this.announceStatus(`Download session ${response.session.name} started`);
+      await this.loadDownloadSessions();
+    } catch (error) {
+      console.error('Failed to start download session:', error);
+      this.logActivity(`Session error: ${error.message}`, 'error');
+    }
+  }
+
+  async sendSessionCommand(type, successMessage) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type, name: this.getSessionName() });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
+
+      this.logActivity(`${successMessage}: ${response.session.name}`, 'success');
+      this.announceStatus(successMessage);
+      await this.loadDownloadSessions();
+    } catch (error) {
+      console.error(`${type} failed:`, error);
+      this.logActivity(`Session error: ${error.message}`, 'error');
+    }
+  }
+
+  async resumeDownloadSession(sessionId) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'DOWNLOAD_SESSION_RESUME', sessionId });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
+
+      this.logActivity(`Session resumed: ${response.session.name} (${response.requeued} re-queued, ${response.alreadyOnDisk} already on disk)`, 'success');
+      this.announceStatus(`Download session ${response.session.name} resumed`);
+      await this.loadDownloadSessions();
+    } catch (error) {
+      console.error('Failed to resume download session:', error);
+      this.logActivity(`Session error: ${error.message}`, 'error');
+    }
+  }
+
+  async deleteDownloadSession(sessionId, name) {
+    if (!confirm(`Delete download session "${name}"?`)) {return;}
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'DOWNLOAD_SESSION_DELETE', sessionId });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
+
+      this.logActivity(`Session deleted: ${name}`);
+      await this.loadDownloadSessions();
+    } catch (error) {
+      console.error('Failed to delete download session:', error);
+      this.logActivity(`Session error: ${error.message}`, 'error');
+    }
+  }
+
+  historyFilters() {
+    const value = id => document.getElementById(id)?.value || '';
+    // Date inputs are local calendar days; "to" includes the whole day
+    const from = value('historyFrom') ? new Date(`${value('historyFrom')}T00:00:00`).getTime() : null;
+    const to = value('historyTo') ? new Date(`${value('historyTo')}T23:59:59.999`).getTime() : null;
+    return {
+      query: value('historyQuery'),
+      host: value('historyHost'),
+      status: value('historyStatus'),
+      from,
+      to
+    };
+  }
+
+  async searchHistory({ append = false } = {}) {
+    try {
+      const filters = { ...this.historyFilters(), offset: append ? this.historyEntries.length : 0 };
+      const [response, hosts] = await Promise.all([
+        chrome.runtime.sendMessage({ type: 'HISTORY_SEARCH', filters }),
+        append ? null : chrome.runtime.sendMessage({ type: 'HISTORY_HOSTS' })
+      ]);
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
+
+      if (hosts?.success) {
+        this.renderHistoryHosts(hosts.hosts);
+        const badge = document.getElementById('historyBadge');
+        if (badge) {badge.textContent = hosts.count;}
+      }
+
+      this.historyEntries = append ? [...this.historyEntries, ...response.entries] : response.entries;
+      this.historyHasMore = response.hasMore;
+      this.renderHistory();
+    } catch (error) {
+      console.error('Failed to search download history:', error);
+      this.logActivity(`History error: ${error.message}`, 'error');
+    }
+  }
+
+  renderHistoryHosts(hosts) {
+    const select = document.getElementById('historyHost');
+    if (!select) {return;}
+
+    const current = select.value;
+    select.innerHTML = '';
+    const all = document.createElement('option');
+    all.value = '';
+    all.textContent = 'All hosts';
+    select.appendChild(all);
+    hosts.forEach(host => {
+      const option = document.createElement('option');
+      option.value = host;
+      option.textContent = host;
+      select.appendChild(option);
+    });
+    select.value = hosts.includes(current) ? current : '';
+  }
+
+  renderHistory() {
+    const container = document.getElementById('historyResults');
+    if (!container) {return;}
+
+    container.innerHTML = '';
+    const more = document.getElementById('historyMore');
+    if (more) {more.style.display = this.historyHasMore ? '' : 'none';}
+
+    if (this.historyEntries.length === 0) {
+      const empty = document.createElement('p');
+      empty.style.cssText = 'color: #666; text-align: center; padding: 20px;';
+      empty.textContent = 'No downloads match these filters';
+      container.appendChild(empty);
+      return;
+    }
+
+    const icons = { completed: '✅', failed: '❌', duplicate: '♊' };
+    this.historyEntries.forEach(entry => {
+      const row = document.createElement('div');
+      row.className = 'progress-item display-flex gap-8';
+
+      const details = document.createElement('div');
+      details.className = 'flex-1';
+
+      const title = document.createElement('div');
+      title.className = 'font-weight-600';
+      title.textContent = `${icons[entry.status] || '•'} ${entry.filename || entry.url}`;
+      title.title = entry.url;
+
+      const info = document.createElement('div');
+      info.className = 'font-size-11 color-666';
+      const parts = [
+        entry.host,
+        new Date(entry.timestamp).toLocaleString(),
+        entry.size ? this.formatBytes(entry.size) : null,
+        entry.siteProfile,
+        entry.sha256 ? `sha256 ${entry.sha256.slice(0, 12)}…` : null,
+        entry.status === 'failed' && entry.error ? `error: ${entry.error}` : null,
+        entry.status === 'duplicate' && entry.duplicateOf ? `same as ${entry.duplicateOf}` : null
+      ];
+      info.textContent = parts.filter(Boolean).join(' • ');
+
+      details.append(title, info);
+      row.appendChild(details);
+
+      if (entry.status === 'completed') {
+        const showBtn = document.createElement('button');
+        showBtn.className = 'btn btn-secondary btn-sm';
+        showBtn.textContent = '📂';
+        showBtn.title = 'Show in folder';
+        showBtn.addEventListener('click', () => this.showHistoryFile(entry));
+        row.appendChild(showBtn);
+      }
+
+      const redownloadBtn = document.createElement('button');
+      redownloadBtn.className = 'btn btn-primary btn-sm';
+      redownloadBtn.textContent = '🔁';
+      redownloadBtn.title = 'Download again';
+      redownloadBtn.addEventListener('click', () => this.redownloadHistoryEntry(entry));
+      row.appendChild(redownloadBtn);
+
+      container.appendChild(row);
+    });
+  }
+
+  async showHistoryFile(entry) {
+    const response = await chrome.runtime.sendMessage({ type: 'HISTORY_SHOW_IN_FOLDER', id: entry.id });
+    if (!response?.success) {
+      this.logActivity(response?.error || 'Could not show the file', 'warning');
+    }
+  }
+
+  async redownloadHistoryEntry(entry) {
+    const response = await chrome.runtime.sendMessage({ type: 'HISTORY_REDOWNLOAD', id: entry.id });
+    if (response?.success && response.added) {
+      this.logActivity(`Queued again: ${entry.filename || entry.url}`, 'success');
+    } else {
+      this.logActivity(`Re-download error: ${response?.error || 'The queue did not accept the item'}`, 'error');
+    }
+  }
+
+  async clearHistory() {
+    if (!confirm('Delete the whole download history? Files on disk are not touched.')) {return;}
+
+    const response = await chrome.runtime.sendMessage({ type: 'HISTORY_CLEAR' });
+    if (response?.success) {
+      this.logActivity('Download history cleared', 'success');
+      await this.searchHistory();
+    } else {
+      this.logActivity(`History error: ${response?.error || 'No response from background'}`, 'error');
+    }
+  }
+
+  async exportGalleryFolder(sessionId, title) {
+    const response = await chrome.runtime.sendMessage({ type: 'EXPORT_GALLERY_FOLDER', sessionId, title });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Gallery export failed');
+    }
+    this.logActivity(`Gallery page for ${response.count} downloads saved as ${response.filename}`);
+  }
+
+  async loadDownloadSessions() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'DOWNLOAD_SESSION_LIST' });
+      this.renderDownloadSessions(response?.sessions || []);
+    } catch (error) {
+      console.error('Failed to load download sessions:', error);
+    }
+  }
+
+  renderDownloadSessions(sessions) {
+    const container = document.getElementById('sessionsList');
+    if (!container) {return;}
+
+    container.innerHTML = '';
+
+    if (sessions.length === 0) {
+      const empty = document.createElement('p');
+      empty.style.cssText = 'color: #666; text-align: center; padding: 20px;';
+      empty.textContent = 'No saved sessions';
+      container.appendChild(empty);
+      return;
+    }
+
+    sessions.forEach(session => {
+      const row = document.createElement('div');
+      row.className = 'progress-item display-flex gap-8';
+
+      const details = document.createElement('div');
+      details.className = 'flex-1';
+
+      const title = document.createElement('div');
+      title.className = 'font-weight-600';
+      title.textContent = `${session.active ? '🟢' : '⚪'} ${session.name} (${session.status})`;
+
+      const counts = document.createElement('div');
+      counts.className = 'font-size-11 color-666';
+      const checkpoint = session.lastCheckpoint ? ` • last checkpoint: ${session.lastCheckpoint}` : '';
+      counts.textContent = `${session.completed} completed • ${session.failed} failed • ${session.pending} pending • ` +
+        `${session.sourcePages} source pages • updated ${new Date(session.updatedAt).toLocaleString()}${checkpoint}`;
+
+      details.append(title, counts);
+      row.appendChild(details);
+
+      if (!session.active || session.status === 'paused') {
+        const resumeBtn = document.createElement('button');
+        resumeBtn.className = 'btn btn-success btn-sm';
+        resumeBtn.textContent = '▶️ Resume';
+        resumeBtn.addEventListener('click', () => this.resumeDownloadSession(session.id));
+        row.appendChild(resumeBtn);
+      }
+
+      if (session.completed > 0) {
+        const galleryBtn = document.createElement('button');
+        galleryBtn.className = 'btn btn-secondary btn-sm';
+        galleryBtn.textContent = '🖼️';
+        galleryBtn.title = 'Save an offline gallery page of this session\'s downloads';
+        galleryBtn.addEventListener('click', () => {
+          this.exportGalleryFolder(session.id, session.name)
+            .catch(error => this.logActivity(`Gallery export failed: ${error.message}`, 'error'));
+        });
+        row.appendChild(galleryBtn);
+      }
+
+      if (!session.active) {
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger btn-sm';
+        deleteBtn.textContent = '🗑️';
+        deleteBtn.title = 'Delete session';
+        deleteBtn.addEventListener('click', () => this.deleteDownloadSession(session.id, session.name));
+        row.appendChild(deleteBtn);
+      }
+
+      container.appendChild(row);
+    });
+  }
+
   async resetSettings() {
     if (confirm('Reset all settings to defaults?')) {
       this.settings = {
@@ -1123,9 +2504,13 @@ class StepTwoDashboard {
         minWidth: 100,
         minHeight: 100,
         skipDuplicates: true,
+        nearDuplicates: false,
+        duplicatePolicy: 'largest-area',
+        onlyNew: false,
         formats: { jpeg: true, png: true, webp: true, gif: true },
         downloadFolder: '',
         filenameMask: '*name* - *num*.*ext*',
+        conflictPolicy: 'uniquify',
         autoSiteProfiles: true
       };
       